@@ -1,163 +1,896 @@
 #!/usr/bin/env node
 
-const { program } = require('commander');
+const { program, Option, Argument, InvalidArgumentError, CommanderError } = require('commander');
 const path = require('path');
 const fs = require('fs-extra');
 const chalk = require('chalk');
-const ora = require('ora');
-const inquirer = require('inquirer');
 
 const dependencyChecker = require('./lib/dependency-checker');
 const templateDownloader = require('./lib/template-downloader');
 const projectInitializer = require('./lib/project-initializer');
+const templateCache = require('./lib/template-cache');
+const templateSpec = require('./lib/template-spec');
+const templateWatcher = require('./lib/template-watcher');
+const retryPolicy = require('./lib/retry-policy');
+const packageManager = require('./lib/package-manager');
+const config = require('./lib/config');
+const supabaseEnv = require('./lib/supabase-env');
+const supabasePorts = require('./lib/supabase-ports');
+const supabaseTypes = require('./lib/supabase-types');
+const directoryMerge = require('./lib/directory-merge');
+const supervisor = require('./lib/process-supervisor');
+const journal = require('./lib/journal');
+const errors = require('./lib/errors');
 const errorHandler = require('./lib/error-handler');
+const prompter = require('./lib/prompter');
 const logger = require('./lib/logger');
 
 // Package version
 const packageJson = require('./package.json');
 
-async function main() {
-  try {
-    // Configure CLI
-    program
-      .name('create-supabase-next')
-      .description('Create a new Supabase + Next.js project with best practices')
-      .version(packageJson.version)
-      .argument('[project-name]', 'Name of the project')
-      .option('-t, --template-repo <url>', 'GitHub repository URL for the template', 'https://github.com/JonasWIP/supanexttemplate')
-      .option('--skip-dependency-check', 'Skip dependency checking', false)
-      .parse(process.argv);
-
-    // Get project name
-    let projectName = program.args[0];
-    const options = program.opts();
-
-    // If no project name provided, prompt for it
-    if (!projectName) {
-      const answers = await inquirer.prompt([
-        {
-          type: 'input',
-          name: 'projectName',
-          message: 'What is the name of your project?',
-          default: 'my-supabase-next-app',
-          validate: (input) => {
-            if (/^[a-zA-Z0-9-_]+$/.test(input)) return true;
-            return 'Project name may only include letters, numbers, underscores and hashes.';
-          }
-        }
-      ]);
-      projectName = answers.projectName;
-    }
+// What the json reporter's final `result` event says about the run, filled
+// in as the run goes
+const runSummary = {};
+
+/**
+ * Choose how the run is reported. The json reporter is meant for scripts,
+ * so it never prompts, and it ends with a `result` event however the run
+ * ends.
+ * @param {Object} options - Parsed command options, with `reporter` and `json`
+ */
+function configureReporter(options) {
+  logger.configure({ reporter: options.json ? 'json' : options.reporter });
+  
+  if (!logger.isJson()) {
+    return;
+  }
+  
+  const startedAt = Date.now();
+  
+  // Writes to pipes and files are synchronous, so the event is not lost
+  process.once('exit', (exitCode) => {
+    logger.event('result', {
+      success: exitCode === 0,
+      exitCode,
+      durationMs: Date.now() - startedAt,
+      ...runSummary
+    });
+  });
+}
 
-    // Welcome message
-    logger.welcome();
-    logger.info(`Creating a new Supabase + Next.js project: ${chalk.cyan(projectName)}`);
-
-    // Check dependencies
-    if (!options.skipDependencyCheck) {
-      const spinner = ora('Checking dependencies...').start();
-      const dependencyCheckResult = await dependencyChecker.checkAll();
-      
-      if (!dependencyCheckResult.success) {
-        spinner.fail('Dependency check failed');
-        errorHandler.handleDependencyError(dependencyCheckResult.missing);
-        process.exit(1);
+/**
+ * Create a new project
+ * @param {string} projectNameArg - Project name given on the command line
+ * @param {Object} options - Parsed CLI options
+ * @param {Object} command - Commander command, used to tell explicit options from defaults
+ * @returns {Promise<void>}
+ */
+async function createProject(projectNameArg, options, command) {
+  configureReporter(options);
+  
+  // Never block on stdin in CI or when input is piped
+  prompter.configure({
+    nonInteractive: options.yes || options.nonInteractive || logger.isJson() || !process.stdin.isTTY
+  });
+
+  // Get project name, prompting for it if it was not provided
+  const { projectName } = await prompter.ask([
+    {
+      type: 'input',
+      name: 'projectName',
+      message: 'What is the name of your project?',
+      // Only suggested on the terminal, scripts must name the project
+      default: prompter.isInteractive() ? 'my-supabase-next-app' : undefined,
+      flag: 'the [project-name] argument',
+      validate: (input) => {
+        if (/^[a-zA-Z0-9-_]+$/.test(input)) return true;
+        return 'Project name may only include letters, numbers, underscores and hashes.';
       }
-      
-      spinner.succeed('All dependencies are installed');
     }
+  ], { projectName: projectNameArg });
+
+  const template = templateSpec.parseTemplateSpec(options.template || options.templateRepo, {
+    githubHost: options.githubHost,
+    gitlabHost: options.gitlabHost
+  });
+  const localTemplatePath = templateDownloader.getLocalTemplatePath(template);
+  
+  if (options.watch && !localTemplatePath) {
+    throw new errors.UsageError('CSN_INVALID_OPTION', '--watch requires a local template directory, e.g. --template ./path/to/template');
+  }
+
+  // create-next-app only fetches from github.com, and the template cache is
+  // only used when downloading tarballs directly
+  const cacheMode = options.offline ? 'offline' : options.preferOffline ? 'prefer-offline' : 'online';
+  const nativeReason = cacheMode !== 'online'
+    ? '--offline and --prefer-offline require --strategy native'
+    : !templateSpec.toExampleUrl(template)
+      ? `create-next-app cannot fetch ${templateSpec.formatTemplateSpec(template)}, use --strategy native`
+      : null;
+  let strategy = options.strategy;
+  
+  if (nativeReason && strategy !== 'native') {
+    if (command.getOptionValueSource('strategy') !== 'default') {
+      throw new errors.UsageError('CSN_INVALID_OPTION', nativeReason);
+    }
+    
+    strategy = 'native';
+  }
+  
+  const retry = getRetrySettings(options);
+  const projectPath = path.resolve(process.cwd(), projectName);
+  
+  Object.assign(runSummary, { projectName, projectPath, template: templateSpec.formatTemplateSpec(template) });
+  logger.event('start', {
+    command: 'create',
+    version: packageJson.version,
+    ...runSummary,
+    strategy,
+    packageManager: options.packageManager
+  });
+
+  // Welcome message
+  logger.welcome();
+  logger.info(`Creating a new Supabase + Next.js project: ${chalk.cyan(projectName)}`);
 
-    // Create project directory
-    const projectPath = path.resolve(process.cwd(), projectName);
-    
-    if (fs.existsSync(projectPath)) {
-      const { overwrite } = await inquirer.prompt([
-        {
-          type: 'confirm',
-          name: 'overwrite',
-          message: `Directory ${projectName} already exists. Do you want to overwrite it?`,
-          default: false
-        }
-      ]);
-      
-      if (!overwrite) {
-        logger.error('Aborting installation');
-        process.exit(1);
+  // Check dependencies in the background while the user answers prompts and
+  // the template is fetched; the result is reported once it is needed
+  const checkOptions = {
+    packageManager: options.packageManager,
+    strategy,
+    supabase: options.supabase !== 'skip',
+    requireDocker: options.requireDocker,
+    cacheTtl: options.dependencyCacheTtl
+  };
+  const dependencyCheck = options.skipDependencyCheck ? null : dependencyChecker.checkAll(checkOptions);
+  let dependenciesChecked = null;
+  const checkDependencies = dependencyCheck && (() => {
+    dependenciesChecked = dependenciesChecked ||
+      dependencyCheck.then(result => reportDependencies(result, { ...checkOptions, installMissing: options.installMissing }));
+    return dependenciesChecked;
+  });
+
+  let merge = false;
+  
+  if (fs.existsSync(projectPath)) {
+    if (journal.exists(projectPath)) {
+      logger.info(`${projectName} holds an unfinished project. Run ${chalk.cyan(`create-supabase-next resume ${projectName}`)} to continue it instead.`);
+    }
+    
+    const { overwrite } = await prompter.ask([
+      {
+        type: 'list',
+        name: 'overwrite',
+        message: `Directory ${projectName} already exists. What do you want to do?`,
+        flag: '--overwrite <abort|replace|merge|backup>',
+        choices: [
+          { name: 'Abort', value: 'abort' },
+          { name: 'Replace the directory', value: 'replace' },
+          { name: 'Merge, asking about each conflicting file', value: 'merge' },
+          { name: 'Back up the directory, then start fresh', value: 'backup' }
+        ],
+        default: 'abort'
       }
-      
+    ], { overwrite: options.overwrite });
+    
+    if (overwrite === 'abort') {
+      throw new errors.UsageError('CSN_PROJECT_EXISTS', `Aborting installation: directory ${projectName} already exists`);
+    }
+    
+    // Do not touch the existing directory for a run that cannot succeed
+    if (checkDependencies && overwrite !== 'merge') {
+      await checkDependencies();
+    }
+    
+    if (overwrite === 'replace') {
       await fs.remove(projectPath);
+    } else if (overwrite === 'backup') {
+      const backupPath = await directoryMerge.backupDirectory(projectPath, options.backupDir);
+      logger.info(`Moved the existing directory to ${chalk.cyan(backupPath)}`);
+    } else {
+      merge = true;
+    }
+  }
+
+  // Initialize project
+  const initializeOptions = {
+    projectName,
+    projectPath,
+    template,
+    strategy,
+    cacheMode,
+    maxArchiveSize: options.maxArchiveSize,
+    merge,
+    onConflict: options.onConflict,
+    onFailure: options.onFailure,
+    variables: options.var,
+    exclude: options.exclude,
+    include: options.include,
+    verbose: options.verbose,
+    packageManager: options.packageManager,
+    supabase: options.supabase,
+    supabasePorts: options.supabasePorts,
+    genTypes: options.genTypes,
+    skipDependencyCheck: options.skipDependencyCheck,
+    requireDocker: options.requireDocker,
+    dependencyCacheTtl: options.dependencyCacheTtl,
+    checkDependencies,
+    overwriteEnv: options.overwriteEnv,
+    retry
+  };
+  const { answers, failedSteps, resolvedTemplate } = await projectInitializer.initialize(initializeOptions);
+  
+  Object.assign(runSummary, { ...resolvedTemplate, failedSteps });
+  printSuccess(projectName, projectPath, failedSteps, options.packageManager);
+
+  if (options.watch) {
+    await watchLocalTemplate(localTemplatePath, { ...initializeOptions, answers });
+  }
+
+  // Exit the process with success code
+  process.exit(0);
+}
+
+/**
+ * Offer to install the missing tools the CLI can install itself. Global
+ * tools are installed right away; project tools are left for the install
+ * step, since the project has no package.json yet.
+ * @param {Object} result - Result of dependencyChecker.checkAll
+ * @param {Object} options - Check options, with the `packageManager` and `installMissing`
+ * @returns {Promise<string[]|null>} - Tools to add to the project's devDependencies, or null if nothing is installed
+ */
+async function installMissing(result, options) {
+  const installable = dependencyChecker.getInstallable(result);
+  
+  // Installing some of the tools would not let the run continue
+  if (installable.length === 0 || installable.length < result.missing.length) {
+    return null;
+  }
+  
+  const describe = (name) => {
+    const { title } = dependencyChecker.DEPENDENCY_RULES[name];
+    return dependencyChecker.INSTALLABLE_TOOLS[name].scope === 'global' ? `${title} globally` : `${title} into the project`;
+  };
+  
+  const { install } = await prompter.ask([
+    {
+      type: 'confirm',
+      name: 'install',
+      message: `Install ${installable.map(describe).join(' and ')} with ${options.packageManager}?`,
+      flag: '--install-missing',
+      default: false
+    }
+  ], { install: options.installMissing || undefined });
+  
+  if (!install) {
+    return null;
+  }
+  
+  const isGlobal = name => dependencyChecker.INSTALLABLE_TOOLS[name].scope === 'global';
+  const globalPackages = installable.filter(isGlobal).map(name => dependencyChecker.INSTALLABLE_TOOLS[name].package);
+  
+  if (globalPackages.length > 0) {
+    const { command, args } = packageManager.getGlobalInstallCommand(options.packageManager, globalPackages);
+    logger.info(`Running ${chalk.cyan(`${command} ${args.join(' ')}`)}`);
+    
+    try {
+      await supervisor.run(command, args, { stdio: logger.getCommandOutput().stdio, detached: false }).result;
+    } catch (error) {
+      if (error.code === 'CSN_INTERRUPTED') {
+        throw error;
+      }
+      throw new errors.StepError('CSN_INSTALL_FAILED', `Could not install ${globalPackages.join(', ')}: ${error.shortMessage || error.message}`, { cause: error });
+    }
+  }
+  
+  return installable.filter(name => !isGlobal(name));
+}
+
+/**
+ * Report the result of the dependency check, offering to install missing
+ * tools and checking again once they are
+ * @param {Object} result - Result of dependencyChecker.checkAll
+ * @param {Object} options - Check options, see dependencyChecker.checkAll, and `installMissing`
+ * @returns {Promise<string[]>} - Tools to add to the project's devDependencies
+ */
+async function reportDependencies(result, options) {
+  let checked = result;
+  let missing = result.missing;
+  let projectTools = [];
+  
+  if (missing.length > 0) {
+    const installed = await installMissing(result, options);
+    
+    if (installed) {
+      projectTools = installed;
+      checked = await dependencyChecker.checkAll({ ...options, refresh: true });
+      // Tools installed into the project are checked again once they are
+      missing = checked.missing.filter(name => !projectTools.includes(name));
+    }
+  }
+  
+  const { docker, tools } = checked;
+  
+  if (missing.length > 0) {
+    const installable = !options.installMissing && dependencyChecker.getInstallable(checked).length === missing.length;
+    
+    throw new errors.DependencyError(`Missing or outdated dependencies: ${missing.join(', ')}`, {
+      missing,
+      docker,
+      tools,
+      hint: installable ? `Pass ${chalk.cyan('--install-missing')} to let the CLI install them with ${options.packageManager}.` : undefined
+    });
+  }
+  
+  if (projectTools.length > 0) {
+    const titles = projectTools.map(name => dependencyChecker.DEPENDENCY_RULES[name].title);
+    logger.success(`All other dependencies are installed; ${titles.join(' and ')} will be added to the project`);
+  } else {
+    logger.success('All dependencies are installed');
+  }
+  
+  if (docker && docker.running) {
+    const memory = docker.memory ? ` with ${logger.formatBytes(docker.memory)} of memory` : '';
+    const compose = docker.compose ? `, ${docker.compose.command} ${docker.compose.version}` : '';
+    logger.info(`Docker ${docker.version} is running${memory}${compose}`);
+  }
+  
+  if (checked.warnings.length > 0) {
+    errorHandler.handleDependencyWarning(checked.warnings, docker, tools, options.packageManager);
+  }
+  
+  return projectTools;
+}
+
+/**
+ * Print the success message, and how to retry steps that failed
+ * @param {string} projectName - Name of the project
+ * @param {string} projectPath - Path to the project
+ * @param {string[]} failedSteps - Names of optional steps that failed
+ * @param {string} manager - Package manager the project was set up with
+ */
+function printSuccess(projectName, projectPath, failedSteps, manager = 'npm') {
+  const projectDir = path.relative(process.cwd(), projectPath) || '.';
+  const run = script => chalk.cyan(packageManager.formatRun(manager, script));
+
+  if (failedSteps.length > 0) {
+    // Continue despite errors as the project might still be usable
+    logger.warn(
+      `The project was created, but these steps failed: ${failedSteps.join(', ')}. ` +
+      `Fix the problem, then run ${chalk.cyan(`create-supabase-next resume ${projectDir}`)} to retry them.`
+    );
+  }
+  
+  // The result event says where the project is
+  if (logger.isJson()) {
+    return;
+  }
+
+  // Success message
+  logger.success(`
+    ${chalk.green('Success!')} Created ${chalk.cyan(projectName)} at ${chalk.cyan(projectPath)}
+    
+    Inside that directory, you can run several commands:
+    
+      ${run('dev')}
+        Starts the development server.
+    
+      ${run('build')}
+        Builds the app for production.
+    
+      ${run('start')}
+        Runs the built app in production mode.
+    
+      ${chalk.cyan(packageManager.formatExec(manager, 'supabase start'))}
+        Starts the local Supabase development environment.
+    
+    We suggest that you begin by typing:
+    
+      ${chalk.cyan('cd')} ${projectDir}
+      ${run('dev')}
+    
+    Happy coding!
+  `);
+}
+
+/**
+ * Resume an unfinished project, re-running its failed and pending steps
+ * @param {string} dir - Project directory
+ * @param {Object} options - Parsed command options
+ * @returns {Promise<void>}
+ */
+async function resumeProject(dir, options) {
+  configureReporter(options);
+  
+  prompter.configure({
+    nonInteractive: options.yes || options.nonInteractive || logger.isJson() || !process.stdin.isTTY
+  });
+
+  const projectPath = path.resolve(process.cwd(), dir);
+  
+  runSummary.projectPath = projectPath;
+  logger.event('start', { command: 'resume', version: packageJson.version, projectPath });
+  
+  const { options: runOptions, failedSteps, resolvedTemplate } = await projectInitializer.resume(projectPath, {
+    retry: getRetrySettings(options)
+  });
+  
+  Object.assign(runSummary, {
+    projectName: runOptions.projectName,
+    template: templateSpec.formatTemplateSpec(runOptions.template),
+    ...resolvedTemplate,
+    failedSteps
+  });
+
+  printSuccess(runOptions.projectName, projectPath, failedSteps, runOptions.packageManager);
+  process.exit(0);
+}
+
+/**
+ * Write the local Supabase stack's credentials to a project's .env.local
+ * @param {string} dir - Project directory
+ * @param {Object} options - Parsed command options
+ * @returns {Promise<void>}
+ */
+async function writeEnv(dir, options) {
+  prompter.configure({
+    nonInteractive: options.yes || options.nonInteractive || !process.stdin.isTTY
+  });
+
+  try {
+    await supabaseEnv.generateEnvLocal(path.resolve(process.cwd(), dir), { overwrite: options.overwriteEnv });
+  } catch (error) {
+    if (error.code !== 'CSN_SUPABASE_NOT_RUNNING') {
+      throw error;
+    }
+    
+    logger.error(`${error.message}. Start the stack with ${chalk.cyan(packageManager.formatExec(options.packageManager, 'supabase start'))} and try again.`);
+    process.exit(error.exitCode);
+  }
+}
+
+/**
+ * Regenerate the TypeScript types of a project's local Supabase database
+ * @param {string} dir - Project directory
+ * @param {Object} options - Parsed command options
+ * @returns {Promise<void>}
+ */
+async function writeTypes(dir, options) {
+  const projectPath = path.resolve(process.cwd(), dir);
+  
+  logger.startSpinner('Generating Supabase types...');
+  
+  try {
+    const outputPath = await supabaseTypes.generateTypes(projectPath, options.output);
+    logger.succeedSpinner(`Generated Supabase types in ${chalk.cyan(path.relative(projectPath, outputPath))}`);
+  } catch (error) {
+    logger.failSpinner('Could not generate Supabase types');
+    
+    if (error.code !== 'CSN_SUPABASE_TYPES_FAILED') {
+      throw error;
     }
+    
+    error.packageManager = options.packageManager;
+    errorHandler.handleTypesError(error, `create-supabase-next types ${dir}${options.output === supabaseTypes.DEFAULT_TYPES_OUTPUT ? '' : ` --output ${options.output}`}`);
+    process.exit(error.exitCode);
+  }
+}
+
+/**
+ * Print the versions, paths and status of the tools the CLI relies on
+ * @param {string} [dir] - Template or project directory whose version requirements to check against
+ * @param {Object} options - Parsed command options
+ * @returns {Promise<void>}
+ */
+async function runDoctor(dir, options) {
+  const result = await dependencyChecker.checkAll({
+    packageManager: options.packageManager,
+    strategy: options.strategy,
+    requirements: dir ? dependencyChecker.readRequirements(path.resolve(process.cwd(), dir)) : {},
+    all: true,
+    // Always look again, and keep the cache up to date for the next scaffold
+    refresh: true
+  });
+  
+  if (options.json) {
+    console.log(JSON.stringify(result, null, 2));
+    process.exit(result.success ? 0 : errors.getExitCode('CSN_DEP_MISSING'));
+  }
+  
+  const symbols = {
+    ok: chalk.green('✔'),
+    unknown: chalk.yellow('?'),
+    outdated: chalk.red('✖'),
+    missing: chalk.red('✖')
+  };
+  const { docker } = result;
+  const rows = result.tools.map(tool => {
+    const optional = !tool.required && tool.status === 'missing';
+    const details = {
+      ok: tool.via ? `via ${tool.via}` : tool.path,
+      unknown: 'could not read the version',
+      outdated: `outdated, ${tool.via ? `via ${tool.via}` : tool.path}`,
+      missing: optional ? 'not installed, optional' : 'not installed'
+    };
+    
+    return {
+      symbol: optional ? chalk.gray('-') : symbols[tool.status],
+      columns: [tool.title, tool.version || '-', tool.source === 'default' ? tool.range : `${tool.range} (${tool.source})`],
+      detail: details[tool.status]
+    };
+  });
+  
+  if (docker.installed) {
+    rows.push({
+      symbol: docker.running ? symbols.ok : symbols.missing,
+      columns: ['Docker daemon', docker.version || '-', ''],
+      detail: docker.running ? `${docker.memory ? logger.formatBytes(docker.memory) : 'unknown'} of memory` : (docker.error || 'not reachable')
+    });
+    rows.push({
+      symbol: docker.compose ? symbols.ok : symbols.unknown,
+      columns: ['Docker Compose', docker.compose ? docker.compose.version : '-', ''],
+      detail: docker.compose ? docker.compose.command : 'not installed'
+    });
+  }
+  
+  const widths = [0, 1, 2].map(index => Math.max(...rows.map(row => row.columns[index].length)));
+  
+  rows.forEach(({ symbol, columns: [title, version, range], detail }) => {
+    console.log(`${symbol} ${title.padEnd(widths[0])}  ${version.padEnd(widths[1])}  ${chalk.gray(range.padEnd(widths[2]))}  ${chalk.gray(detail)}`);
+  });
+  
+  if (!result.success) {
+    errorHandler.handleDependencyError(result.missing, docker, result.tools);
+  }
+  
+  if (result.warnings.length > 0) {
+    errorHandler.handleDependencyWarning(result.warnings, docker, result.tools, options.packageManager);
+  }
+  
+  process.exit(result.success ? 0 : errors.getExitCode('CSN_DEP_MISSING'));
+}
 
-    // Initialize project
-    await projectInitializer.initialize({
-      projectName,
-      projectPath,
-      templateRepo: options.templateRepo
+/**
+ * Keep a generated project in sync with the local template it came from
+ * until the user presses Ctrl+C
+ * @param {string} templatePath - Local template directory
+ * @param {Object} syncOptions - Options the project was initialized with, plus its template manifest answers
+ * @returns {Promise<void>}
+ */
+async function watchLocalTemplate(templatePath, syncOptions) {
+  logger.info(`Watching ${chalk.cyan(templatePath)} for changes. Press Ctrl+C to stop.`);
+  
+  await new Promise((resolve) => {
+    const stop = templateWatcher.watchTemplate(templatePath, async (changedPaths) => {
+      logger.info(`Template changed: ${changedPaths.join(', ')}`);
+      await projectInitializer.syncTemplate(templatePath, changedPaths, syncOptions);
+    });
+    
+    process.once('SIGINT', () => {
+      stop();
+      resolve();
     });
+  });
+}
 
-    // Run setup script in the newly created project
+/**
+ * Collect repeated --var name=value flags
+ * @param {string} value - Flag value
+ * @param {Object} variables - Variables collected so far
+ * @returns {Object} - Variables keyed by name
+ */
+function collectVariable(value, variables) {
+  const separator = value.indexOf('=');
+  
+  if (separator <= 0) {
+    throw new InvalidArgumentError('Expected name=value.');
+  }
+  
+  return { ...variables, [value.slice(0, separator).trim()]: value.slice(separator + 1) };
+}
+
+/**
+ * Create a collector for repeated options that set a retry policy setting,
+ * either for every command ("3") or for one of them ("install=3")
+ * @param {string} key - Policy setting, e.g. 'maxRetries'
+ * @param {Function} parse - Parses the value
+ * @returns {Function} - Collector that merges each value into retry settings
+ */
+function collectRetrySetting(key, parse) {
+  return (value, settings) => {
+    const separator = value.indexOf('=');
+    const step = separator > 0 ? value.slice(0, separator).trim() : null;
+    
+    if (step && !retryPolicy.STEP_POLICIES[step]) {
+      throw new InvalidArgumentError(`Unknown step "${step}". Use one of ${Object.keys(retryPolicy.STEP_POLICIES).join(', ')}.`);
+    }
+    
+    let parsed;
+    
     try {
-      const spinner = ora('Running setup script in the new project...').start();
-      await new Promise((resolve, reject) => {
-        const child = require('child_process').spawn('npm', ['run', 'setup'], {
-          cwd: projectPath,
-          stdio: 'inherit',
-          shell: true
-        });
-        
-        child.on('close', (code) => {
-          if (code === 0) {
-            spinner.succeed('Setup completed successfully');
-            resolve();
-          } else {
-            spinner.fail(`Setup script failed with code ${code}`);
-            reject(new Error(`Setup script failed with code ${code}`));
-          }
-        });
-        
-        child.on('error', (err) => {
-          spinner.fail(`Setup script failed: ${err.message}`);
-          reject(err);
-        });
-      });
+      parsed = parse(value.slice(separator + 1).trim());
     } catch (error) {
-      errorHandler.handleError(error);
-      // Continue despite errors as the project might still be usable
-      logger.warn('Setup script failed, but the project was created. You may need to run setup manually.');
+      throw new InvalidArgumentError(error.message);
     }
+    
+    return retryPolicy.mergeRetrySettings(settings, step ? { steps: { [step]: { [key]: parsed } } } : { [key]: parsed });
+  };
+}
+
+/**
+ * Parse a number of retries
+ * @param {string} value - Option value
+ * @returns {number} - Number of retries
+ */
+function parseRetries(value) {
+  if (!/^\d+$/.test(value)) {
+    throw new Error(`Invalid number of retries: ${value}. Use a whole number such as 3.`);
+  }
+  
+  return Number(value);
+}
+
+/**
+ * Parse a number of days
+ * @param {string} value - Option value
+ * @returns {number} - Number of days
+ */
+function parseDays(value) {
+  const days = Number(value);
+  
+  if (value.trim() === '' || !Number.isFinite(days) || days < 0) {
+    throw new InvalidArgumentError(`Invalid number of days: ${value}. Use a non-negative number such as 30.`);
+  }
+  
+  return days;
+}
+
+/**
+ * Parse the value of --supabase-ports
+ * @param {string} value - Option value
+ * @returns {string|number} - 'auto' or the lowest port to use
+ */
+function parsePortsOption(value) {
+  try {
+    return supabasePorts.parsePortsOption(value);
+  } catch (error) {
+    throw new InvalidArgumentError(error.message);
+  }
+}
+
+/**
+ * Parse the value of --max-archive-size
+ * @param {string} value - Option value
+ * @returns {number} - Size in bytes
+ */
+function parseArchiveSize(value) {
+  try {
+    return templateDownloader.parseSize(value);
+  } catch (error) {
+    throw new InvalidArgumentError(error.message);
+  }
+}
+
+/**
+ * Parse the value of --dependency-cache-ttl
+ * @param {string} value - Option value
+ * @returns {number} - Duration in milliseconds
+ */
+function parseCacheTtl(value) {
+  try {
+    return retryPolicy.parseDuration(value);
+  } catch (error) {
+    throw new InvalidArgumentError(error.message);
+  }
+}
+
+/**
+ * Add the options that configure how commands are retried
+ * @param {Object} command - Commander command
+ * @returns {Object} - The command
+ */
+function addRetryOptions(command) {
+  return command
+    .option('--config <path>', `Config file to use instead of ${config.CONFIG_FILES.join(' or ')} in the current directory`)
+    .option('--retries <[step=]count>', `How often to retry failed commands, for all of them or one of ${Object.keys(retryPolicy.STEP_POLICIES).join(', ')}; repeatable`, collectRetrySetting('maxRetries', parseRetries))
+    .option('--step-timeout <[step=]duration>', 'Stop and retry commands that run longer than this, e.g. 90s or create=300s; 0 disables the timeout; repeatable', collectRetrySetting('timeout', retryPolicy.parseDuration));
+}
+
+/**
+ * Add the options that choose how the run is reported
+ * @param {Object} command - Commander command
+ * @returns {Object} - The command
+ */
+function addReporterOptions(command) {
+  return command
+    .addOption(new Option('--reporter <name>', 'How to report progress: human-readable, or one JSON event per line on stdout')
+      .choices(logger.REPORTERS)
+      .default('human'))
+    .option('--json', 'Alias for --reporter json', false);
+}
+
+/**
+ * Combine the retry settings from the config file with those on the command
+ * line, which take precedence
+ * @param {Object} options - Parsed command options
+ * @returns {Object} - Retry settings, see retryPolicy.normalizeRetrySettings
+ */
+function getRetrySettings(options) {
+  return retryPolicy.mergeRetrySettings(config.loadConfig(options.config).retry, options.retries, options.stepTimeout);
+}
 
-    // Success message
-    logger.success(`
-      ${chalk.green('Success!')} Created ${chalk.cyan(projectName)} at ${chalk.cyan(projectPath)}
-      
-      Inside that directory, you can run several commands:
-      
-        ${chalk.cyan('npm run dev')}
-          Starts the development server.
-      
-        ${chalk.cyan('npm run build')}
-          Builds the app for production.
-      
-        ${chalk.cyan('npm start')}
-          Runs the built app in production mode.
-      
-        ${chalk.cyan('npx supabase start')}
-          Starts the local Supabase development environment.
-      
-      We suggest that you begin by typing:
-      
-        ${chalk.cyan('cd')} ${projectName}
-        ${chalk.cyan('npm run dev')}
-      
-      Happy coding!
-    `);
-
-    // Exit the process with success code
-    process.exit(0);
+/**
+ * Collect a repeatable option into a list
+ * @param {string} value - Option value
+ * @param {string[]} values - Values collected so far
+ * @returns {string[]} - All values
+ */
+function collectList(value, values) {
+  return [...values, value];
+}
 
+/**
+ * Manage the offline template cache
+ * @param {string} action - One of 'list', 'clean' or 'prune'
+ * @param {Object} options - Parsed command options
+ * @returns {Promise<void>}
+ */
+async function manageCache(action, options) {
+  if (action === 'clean') {
+    await templateCache.clean();
+    logger.success('Template cache cleared');
+    return;
+  }
+  
+  if (action === 'prune') {
+    const maxAge = options.maxAge !== undefined ? options.maxAge * 24 * 60 * 60 * 1000 : undefined;
+    const removed = await templateCache.prune({ maxAge });
+    logger.success(`Removed ${removed.length} cached template(s)`);
+    return;
+  }
+  
+  const entries = await templateCache.list();
+  
+  if (entries.length === 0) {
+    logger.info(`The template cache at ${chalk.cyan(templateCache.getCacheDir())} is empty`);
+    return;
+  }
+  
+  logger.info(`Cached templates in ${chalk.cyan(templateCache.getCacheDir())}:`);
+  
+  entries.forEach(entry => {
+    console.log(
+      `  ${chalk.cyan(`${entry.owner}/${entry.repo}`)} ${entry.ref} ` +
+      `${chalk.gray(entry.sha.slice(0, 7))} ${logger.formatBytes(entry.size)} ${chalk.gray(entry.fetchedAt)}`
+    );
+  });
+}
+
+async function main() {
+  try {
+    // Configure CLI
+    program
+      .name('create-supabase-next')
+      .description('Create a new Supabase + Next.js project with best practices')
+      .version(packageJson.version)
+      // Subcommands share option names with the root command, such as --yes
+      .enablePositionalOptions()
+      // Throw instead of exiting on invalid arguments, so that they exit with CSN_INVALID_OPTION's code
+      .exitOverride()
+      .argument('[project-name]', 'Name of the project')
+      .option('-t, --template-repo <spec>', 'Template to use: owner/repo(#ref), a GitHub, GitLab or Bitbucket URL, an archive URL or a file: path', 'https://github.com/JonasWIP/supanexttemplate')
+      .option('--template <spec>', 'Template to use; like --template-repo, and also accepts a local path such as ./my-template')
+      .option('--watch', 'With a local template directory, re-sync the generated project whenever the template changes', false)
+      .option('--github-host <host>', 'GitHub Enterprise host for templates', process.env.GITHUB_HOST)
+      .option('--gitlab-host <host>', 'Self-hosted GitLab host for templates', process.env.GITLAB_HOST)
+      .addOption(new Option('--strategy <name>', 'How to scaffold the template: download it directly or via create-next-app')
+        .choices(['native', 'create-next-app'])
+        .default('create-next-app'))
+      .option('--offline', 'Only use templates from the local cache', false)
+      .option('--prefer-offline', 'Use cached templates when available and only download on a cache miss', false)
+      .addOption(new Option('--max-archive-size <size>', 'Largest template archive to download, e.g. 200MB')
+        .argParser(parseArchiveSize)
+        .default(templateDownloader.DEFAULT_MAX_ARCHIVE_SIZE, '500MB'))
+      .addOption(new Option('--package-manager <name>', 'Package manager to install dependencies and run scripts with')
+        .choices(packageManager.PACKAGE_MANAGERS)
+        .default(packageManager.detectPackageManager(), 'the one running this CLI, else npm'))
+      .addOption(new Option('--supabase <mode>', 'Run supabase init when the template has no supabase/config.toml, or skip it')
+        .choices(['init', 'skip'])
+        .default('init'))
+      .option('--supabase-ports <auto|base>', 'Move the local Supabase ports to free ones, or to start at the given port, and set project_id to the project name', parsePortsOption)
+      .option('--overwrite-env', 'Replace values in an existing .env.local with the local Supabase stack\'s without asking', false)
+      .option('--gen-types', 'Generate TypeScript types from the local Supabase database after setup; the stack must be running', false)
+      .option('--require-docker', 'Fail the dependency check when Docker is not installed or not running, instead of warning', false)
+      .option('--install-missing', 'Install missing tools the CLI can install, such as create-next-app and the Supabase CLI, without asking', false)
+      .option('--skip-dependency-check', 'Skip dependency checking', false)
+      .addOption(new Option('--dependency-cache-ttl <duration>', 'How long detected tool versions are reused, e.g. 30m; 0 disables the cache')
+        .argParser(parseCacheTtl)
+        .default(dependencyChecker.DEFAULT_CACHE_TTL, '24h'))
+      .option('-y, --yes', 'Do not prompt; use flags and defaults and fail if a required answer is missing', false)
+      .option('--non-interactive', 'Alias for --yes', false)
+      .option('--exclude <glob>', 'Skip template files matching a gitignore-style glob; repeatable', collectList, [])
+      .option('--include <glob>', 'Copy template files matching a glob even if an ignore rule skips them; repeatable', collectList, [])
+      .option('--verbose', 'List the template files that were skipped', false)
+      .option('--var <name=value>', 'Answer a question from the template manifest; repeatable', collectVariable, {})
+      .addOption(new Option('--overwrite <mode>', 'What to do when the project directory already exists')
+        .choices(['abort', 'replace', 'merge', 'backup']))
+      .addOption(new Option('--on-conflict <mode>', 'With --overwrite merge, keep or overwrite every conflicting file without asking')
+        .choices(['keep', 'overwrite']))
+      .addOption(new Option('--on-failure <mode>', 'What to do with a partially created project when scaffolding fails or is interrupted')
+        .choices(['remove', 'quarantine', 'keep'])
+        .default('remove'))
+      .option('--backup-dir <path>', 'With --overwrite backup, move the existing directory into this directory, e.g. a trash folder, instead of next to it')
+      .action(createProject);
+    
+    addRetryOptions(program);
+    addReporterOptions(program);
+
+    addReporterOptions(addRetryOptions(program
+      .command('resume')
+      .description('Re-run the failed and pending steps of an unfinished project')
+      .argument('<dir>', 'Project directory')
+      .option('-y, --yes', 'Do not prompt; use defaults and fail if a required answer is missing', false)
+      .option('--non-interactive', 'Alias for --yes', false)))
+      .action(resumeProject);
+
+    program
+      .command('env')
+      .description('Write the local Supabase stack\'s URL and keys to .env.local; the stack must be running')
+      .argument('[dir]', 'Project directory', '.')
+      .option('-y, --yes', 'Do not prompt; keep existing values unless --overwrite-env is passed', false)
+      .option('--non-interactive', 'Alias for --yes', false)
+      .option('--overwrite-env', 'Replace existing values without asking', false)
+      .addOption(new Option('--package-manager <name>', 'Package manager the project uses, for the commands suggested on failure')
+        .choices(packageManager.PACKAGE_MANAGERS)
+        .default(packageManager.detectPackageManager(), 'the one running this CLI, else npm'))
+      .action(writeEnv);
+
+    program
+      .command('types')
+      .description('Generate TypeScript types from the local Supabase database; the stack must be running')
+      .argument('[dir]', 'Project directory', '.')
+      .option('-o, --output <path>', 'File to write the types to, relative to the project', supabaseTypes.DEFAULT_TYPES_OUTPUT)
+      .addOption(new Option('--package-manager <name>', 'Package manager the project uses, for the commands suggested on failure')
+        .choices(packageManager.PACKAGE_MANAGERS)
+        .default(packageManager.detectPackageManager(), 'the one running this CLI, else npm'))
+      .action(writeTypes);
+
+    program
+      .command('doctor')
+      .description('Show the version, path and status of every tool the CLI and the generated project rely on')
+      .argument('[dir]', 'Template or project directory whose package.json and manifest engines to check against')
+      .addOption(new Option('--package-manager <name>', 'Package manager to treat as required')
+        .choices(packageManager.PACKAGE_MANAGERS)
+        .default(packageManager.detectPackageManager(), 'the one running this CLI, else npm'))
+      .addOption(new Option('--strategy <name>', 'Scaffolding strategy to check for; native does not need create-next-app')
+        .choices(['native', 'create-next-app'])
+        .default('create-next-app'))
+      .option('--json', 'Print the report as JSON', false)
+      .action(runDoctor);
+
+    program
+      .command('cache')
+      .description('Manage the offline template cache')
+      .addArgument(new Argument('<action>', 'Cache action').choices(['list', 'clean', 'prune']))
+      .option('--max-age <days>', 'With prune, also remove templates fetched more than this many days ago', parseDays)
+      .action(manageCache);
+
+    await program.parseAsync(process.argv);
   } catch (error) {
-    errorHandler.handleError(error);
-    process.exit(1);
+    // Commander already printed what was wrong with the command line, or
+    // the help and version it was asked for
+    if (error instanceof CommanderError) {
+      process.exit(error.exitCode === 0 ? 0 : errors.getExitCode('CSN_INVALID_OPTION'));
+    }
+    
+    const csnError = errors.toCsnError(error);
+    runSummary.error = { code: csnError.code, message: csnError.message };
+    
+    // Interrupts were already reported when the running step was stopped
+    if (error.code !== 'CSN_INTERRUPTED') {
+      errorHandler.handleError(error);
+    }
+    process.exit(csnError.exitCode);
   }
 }
 
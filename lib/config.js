@@ -0,0 +1,72 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+const errors = require('./errors');
+const retryPolicy = require('./retry-policy');
+
+// Config files looked up in the current directory, in this order. The
+// JavaScript form can also define functions, such as a retry classifier.
+const CONFIG_FILES = ['create-supabase-next.config.js', 'create-supabase-next.config.json'];
+
+// Top-level keys a config file may define
+const CONFIG_KEYS = ['retry'];
+
+/**
+ * Find the config file in a directory
+ * @param {string} dir - Directory to look in
+ * @returns {string|null} - Path to the config file, or null if there is none
+ */
+function findConfigFile(dir) {
+  const found = CONFIG_FILES.map(name => path.join(dir, name)).find(candidate => fs.existsSync(candidate));
+  return found || null;
+}
+
+/**
+ * Load and check the config file
+ * @param {string} [configPath] - Config file given with --config; looked up in the current directory when omitted
+ * @returns {Object} - Config with normalized `retry` settings, and the `path` it was loaded from, if any
+ */
+function loadConfig(configPath) {
+  const resolvedPath = configPath ? path.resolve(configPath) : findConfigFile(process.cwd());
+
+  if (!resolvedPath) {
+    return { path: null, retry: retryPolicy.normalizeRetrySettings({}) };
+  }
+
+  if (!fs.existsSync(resolvedPath)) {
+    throw new errors.UsageError('CSN_CONFIG_INVALID', `Config file not found: ${resolvedPath}`);
+  }
+
+  let config;
+
+  try {
+    config = resolvedPath.endsWith('.json') ? fs.readJsonSync(resolvedPath) : require(resolvedPath);
+  } catch (error) {
+    throw new errors.UsageError('CSN_CONFIG_INVALID', `Failed to load ${resolvedPath}: ${error.message}`, { cause: error });
+  }
+
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw new errors.UsageError('CSN_CONFIG_INVALID', `${resolvedPath} must define an object`);
+  }
+
+  const unknown = Object.keys(config).find(key => !CONFIG_KEYS.includes(key));
+
+  if (unknown) {
+    throw new errors.UsageError('CSN_CONFIG_INVALID', `${resolvedPath}: unknown setting "${unknown}". Supported settings: ${CONFIG_KEYS.join(', ')}.`);
+  }
+
+  let retry;
+
+  try {
+    retry = retryPolicy.normalizeRetrySettings(config.retry, `${path.basename(resolvedPath)} retry`);
+  } catch (error) {
+    throw new errors.UsageError('CSN_CONFIG_INVALID', error.message, { cause: error });
+  }
+
+  return { path: resolvedPath, retry };
+}
+
+module.exports = {
+  CONFIG_FILES,
+  loadConfig
+};
\ No newline at end of file
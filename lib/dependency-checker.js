@@ -1,112 +1,444 @@
-const { execSync } = require('child_process');
+const execa = require('execa');
 const semver = require('semver');
 const fs = require('fs-extra');
 const path = require('path');
 
+const templateCache = require('./template-cache');
+const { engines } = require('../package.json');
+
+// Tools the CLI and the generated project rely on, the semver range each one
+// must satisfy unless a template asks for another, and the command that
+// prints its version. Tools with `npx` set are run through npx, with those
+// npx arguments, when they are not in the PATH.
+const DEPENDENCY_RULES = {
+  node: { title: 'Node.js', range: engines.node },
+  npm: { title: 'npm', range: '>=6.0.0', command: 'npm', args: ['--version'] },
+  npx: { title: 'npx', range: '>=5.2.0', command: 'npx', args: ['--version'] },
+  pnpm: { title: 'pnpm', range: '>=7.0.0', command: 'pnpm', args: ['--version'] },
+  yarn: { title: 'Yarn', range: '>=1.22.0', command: 'yarn', args: ['--version'] },
+  bun: { title: 'Bun', range: '>=1.0.0', command: 'bun', args: ['--version'] },
+  'create-next-app': { title: 'create-next-app', range: '>=13.0.0', command: 'create-next-app', args: ['--version'], npx: ['--no-install'] },
+  supabase: { title: 'Supabase CLI', range: '>=1.0.0', command: 'supabase', args: ['--version'], npx: [] },
+  docker: { title: 'Docker', range: '>=20.10.0', command: 'docker', args: ['--version'] }
+};
+
+// Missing tools the CLI can install itself with the chosen package manager:
+// globally, or into the new project as a devDependency, which npx then finds
+const INSTALLABLE_TOOLS = {
+  'create-next-app': { package: 'create-next-app', scope: 'global' },
+  supabase: { package: 'supabase', scope: 'project' }
+};
+
+// Manifest file whose `engines` override the ranges, see templateManifest.MANIFEST_FILE
+const MANIFEST_FILE = 'create-supabase-next.json';
+
+// Memory the Docker engine should have for the local Supabase stack
+const DOCKER_MIN_MEMORY = 4 * 1024 * 1024 * 1024;
+
+// An unreachable daemon can make docker commands hang, e.g. on a stale context
+const DOCKER_TIMEOUT = 10000;
+
+// Tools that hang, e.g. npx waiting on the network, are reported as missing
+const VERSION_TIMEOUT = 30000;
+
+// How long detected tool versions are reused. A tool whose binary changed,
+// e.g. after an upgrade, is checked again right away.
+const DEFAULT_CACHE_TTL = 24 * 60 * 60 * 1000;
+
+/**
+ * Find the path of a command in the PATH
+ * @param {string} command - Command to look for
+ * @returns {Promise<string|null>} - Path of the first match, or null if it is not installed
+ */
+async function findCommand(command) {
+  try {
+    const { stdout } = await execa(process.platform === 'win32' ? 'where' : 'which', [command]);
+    return stdout.split(/\r?\n/)[0].trim() || null;
+  } catch (error) {
+    return null;
+  }
+}
+
 /**
  * Check if a command is available in the PATH
  * @param {string} command - Command to check
- * @returns {boolean} - Whether the command is available
+ * @returns {Promise<boolean>} - Whether the command is available
  */
-function commandExists(command) {
+async function commandExists(command) {
+  return await findCommand(command) !== null;
+}
+
+/**
+ * Run a command that prints a version and read the version from its output
+ * @param {string} command - Command
+ * @param {string[]} args - Arguments
+ * @param {string} [cwd] - Directory to run it in
+ * @returns {Promise<string|null>} - Version, `unknown` if the output has none, or null if the command failed
+ */
+async function readVersion(command, args, cwd) {
   try {
-    execSync(`${process.platform === 'win32' ? 'where' : 'which'} ${command}`, { stdio: 'ignore' });
-    return true;
+    const { stdout } = await execa(command, args, { cwd, stdin: 'ignore', timeout: VERSION_TIMEOUT });
+    const version = semver.coerce(stdout);
+    return version ? version.version : 'unknown';
   } catch (error) {
-    return false;
+    return null;
   }
 }
 
 /**
- * Check if Node.js version is compatible
- * @returns {boolean} - Whether Node.js version is compatible
+ * Get the path of the tool version cache
+ * @returns {string} - Cache file path
  */
-function checkNodeVersion() {
-  const requiredVersion = '14.0.0';
-  const currentVersion = process.version;
-  
-  return semver.gte(currentVersion, requiredVersion);
+function getCachePath() {
+  return path.join(templateCache.getCacheDir(), 'tools.json');
 }
 
 /**
- * Check if npm is installed
- * @returns {boolean} - Whether npm is installed
+ * Read the tool version cache
+ * @returns {Promise<Object>} - Cache entries keyed by tool name and location
  */
-function checkNpm() {
-  return commandExists('npm');
+async function readCache() {
+  try {
+    const cache = await fs.readJson(getCachePath());
+    return cache && typeof cache.entries === 'object' ? cache.entries : {};
+  } catch (error) {
+    return {};
+  }
 }
 
 /**
- * Check if npx is installed
- * @returns {boolean} - Whether npx is installed
+ * Write the tool version cache atomically
+ * @param {Object} entries - Cache entries keyed by tool name and location
+ * @returns {Promise<void>}
  */
-function checkNpx() {
-  return commandExists('npx');
+async function writeCache(entries) {
+  const cachePath = getCachePath();
+  const tempPath = `${cachePath}.${process.pid}.tmp`;
+
+  try {
+    await fs.ensureDir(path.dirname(cachePath));
+    await fs.writeJson(tempPath, { entries }, { spaces: 2 });
+    await fs.move(tempPath, cachePath, { overwrite: true });
+  } catch (error) {
+    // The cache only saves time, so a read-only cache directory is not an error
+    await fs.remove(tempPath).catch(() => {});
+  }
 }
 
 /**
- * Check if create-next-app is available
- * @returns {boolean} - Whether create-next-app is available
+ * Describe the binary at a path, so that a cached version is dropped when it changes
+ * @param {string} binaryPath - Path of the binary
+ * @returns {Promise<string|null>} - Size and modification time, or null if it cannot be read
  */
-function checkCreateNextApp() {
+async function getFingerprint(binaryPath) {
   try {
-    execSync('npx --no-install create-next-app --help', { stdio: 'ignore' });
-    return true;
+    const stats = await fs.stat(binaryPath);
+    return `${stats.size}:${stats.mtimeMs}`;
   } catch (error) {
-    return false;
+    return null;
+  }
+}
+
+/**
+ * Detect a tool's version, reusing a cached one while it is fresh and the
+ * binary has not changed. Tools run through npx are cached per directory.
+ * @param {string} key - Cache key
+ * @param {string|null} binaryPath - Path of the binary, or null when run through npx
+ * @param {Function} detect - Reads the version, see readVersion
+ * @param {Object} cache - Cache `entries`, their `ttl` and whether to `refresh` them
+ * @returns {Promise<string|null>} - Version, see readVersion
+ */
+async function cachedVersion(key, binaryPath, detect, cache) {
+  const fingerprint = binaryPath ? await getFingerprint(binaryPath) : null;
+  const entry = cache.entries[key];
+
+  if (entry && !cache.refresh && Date.now() - entry.checkedAt < cache.ttl && entry.fingerprint === fingerprint) {
+    return entry.version;
+  }
+
+  const version = await detect();
+
+  // Missing tools are not cached, so that installing one takes effect at once
+  if (version) {
+    cache.entries[key] = { version, fingerprint, checkedAt: Date.now() };
+  }
+
+  return version;
+}
+
+/**
+ * Detect a tool and check its version against a range
+ * @param {string} name - Tool name, one of DEPENDENCY_RULES
+ * @param {Object} [requirement] - Range to use instead of the rule's, see readRequirements
+ * @param {string} requirement.range - Semver range
+ * @param {string} requirement.source - Where the range comes from
+ * @param {Object} [cache] - Version cache, see checkTools; versions are always detected without one
+ * @param {string} [cwd] - Directory npx looks for the tool in, the current one by default
+ * @returns {Promise<Object>} - The tool's `name`, `title`, `range` and its `source`, the detected `version` and `path`, `via` npx if it was run through npx, and its `status`: ok, outdated, unknown (no version could be read) or missing
+ */
+async function checkTool(name, requirement, cache = { entries: {}, ttl: 0, refresh: true }, cwd = process.cwd()) {
+  const rule = DEPENDENCY_RULES[name];
+  const { range, source } = requirement || { range: rule.range, source: 'default' };
+  const tool = { name, title: rule.title, range, source, version: null, path: null, via: null, status: 'missing' };
+
+  if (name === 'node') {
+    Object.assign(tool, { version: semver.clean(process.version), path: process.execPath });
+  } else {
+    tool.path = await findCommand(rule.command);
+    tool.version = tool.path && await cachedVersion(`${name}:${tool.path}`, tool.path,
+      () => readVersion(rule.command, rule.args), cache);
+
+    if (!tool.version && rule.npx) {
+      // npx finds it in the current project or its cache instead
+      tool.version = await cachedVersion(`${name}:npx:${cwd}`, null,
+        () => readVersion('npx', [...rule.npx, rule.command, ...rule.args], cwd), cache);
+      Object.assign(tool, { path: null, via: tool.version ? 'npx' : null });
+    }
+  }
+
+  if (!tool.version) {
+    return Object.assign(tool, { version: null, path: null });
+  }
+
+  if (tool.version === 'unknown') {
+    tool.status = 'unknown';
+  } else {
+    tool.status = semver.satisfies(tool.version, range, { includePrerelease: true }) ? 'ok' : 'outdated';
   }
+
+  return tool;
 }
 
 /**
- * Check if Supabase CLI is installed
- * @returns {boolean} - Whether Supabase CLI is installed
+ * Check several tools at once, sharing the version cache between them
+ * @param {string[]} names - Tool names, see DEPENDENCY_RULES
+ * @param {Object} [options] - Check options
+ * @param {Object} [options.requirements] - Ranges to use instead of the default ones, see readRequirements
+ * @param {number} [options.cacheTtl] - How long cached versions are reused in milliseconds, DEFAULT_CACHE_TTL by default; 0 disables the cache
+ * @param {boolean} [options.refresh] - Detect every version again, updating the cache
+ * @param {string} [options.cwd] - Directory npx looks for tools in, see checkTool
+ * @returns {Promise<Object[]>} - Checked tools, see checkTool
  */
-function checkSupabase() {
+async function checkTools(names, options = {}) {
+  const { requirements = {}, cacheTtl = DEFAULT_CACHE_TTL, refresh = false, cwd } = options;
+  const cache = { entries: cacheTtl > 0 ? await readCache() : {}, ttl: cacheTtl, refresh };
+  const tools = await Promise.all(names.map(name => checkTool(name, requirements[name], cache, cwd)));
+
+  if (cacheTtl > 0) {
+    await writeCache(cache.entries);
+  }
+
+  return tools;
+}
+
+/**
+ * Read the version ranges a template or project asks for, from the `engines`
+ * of its package.json and of its create-supabase-next.json manifest, which
+ * takes precedence. Tools without a rule and invalid ranges are ignored.
+ * @param {string} dir - Template or project directory
+ * @returns {Object} - Requirements keyed by tool name, each with its `range` and `source`
+ */
+function readRequirements(dir) {
+  const requirements = {};
+  const sources = [['package.json', 'package.json engines'], [MANIFEST_FILE, `${MANIFEST_FILE} engines`]];
+
+  for (const [file, source] of sources) {
+    let declared;
+
+    try {
+      declared = (fs.readJsonSync(path.join(dir, file)).engines) || {};
+    } catch (error) {
+      continue;
+    }
+
+    Object.entries(declared).forEach(([name, range]) => {
+      if (DEPENDENCY_RULES[name] && typeof range === 'string' && semver.validRange(range)) {
+        requirements[name] = { range, source };
+      }
+    });
+  }
+
+  return requirements;
+}
+
+/**
+ * List the tools a run needs
+ * @param {Object} options - Run options
+ * @param {string} [options.packageManager] - Package manager the project is set up with, npm by default
+ * @param {string} [options.strategy] - Scaffolding strategy, 'create-next-app' by default or 'native', which does not launch create-next-app
+ * @param {boolean} [options.supabase] - Whether the Supabase CLI is needed, true by default
+ * @param {boolean} [options.requireDocker] - Whether Docker is required
+ * @returns {string[]} - Tool names
+ */
+function getRequiredTools(options = {}) {
+  const { packageManager = 'npm', strategy = 'create-next-app', supabase = true, requireDocker = false } = options;
+  // npx, which comes with npm, runs the Supabase CLI and create-next-app
+  const tools = ['node', 'npm', 'npx', packageManager];
+
+  if (strategy !== 'native') tools.push('create-next-app');
+  if (supabase) tools.push('supabase');
+  if (requireDocker) tools.push('docker');
+
+  return [...new Set(tools)];
+}
+
+/**
+ * Run a docker command and return its output
+ * @param {string} command - docker or docker-compose
+ * @param {string[]} args - Arguments
+ * @returns {Promise<string>} - Trimmed standard output
+ */
+async function runDocker(command, args) {
+  const { stdout } = await execa(command, args, { stdin: 'ignore', timeout: DOCKER_TIMEOUT });
+  return stdout.trim();
+}
+
+/**
+ * Find Docker Compose, either the `docker compose` plugin or the standalone
+ * `docker-compose`
+ * @returns {Promise<Object|null>} - The `command` to run it with and its `version`, or null if it is not installed
+ */
+async function checkDockerCompose() {
   try {
-    // Try to execute a simple Supabase CLI command
-    execSync('supabase --version', { stdio: 'ignore' });
-    return true;
+    return { command: 'docker compose', version: await runDocker('docker', ['compose', 'version', '--short']) };
   } catch (error) {
-    // Check if it's installed via npm as a dev dependency
-    try {
-      execSync('npx supabase --version', { stdio: 'ignore' });
-      return true;
-    } catch (npxError) {
-      return false;
+    // Fall back to the standalone binary
+  }
+
+  if (!await commandExists('docker-compose')) {
+    return null;
+  }
+
+  try {
+    return { command: 'docker-compose', version: await runDocker('docker-compose', ['version', '--short']) };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Ask the Docker daemon about itself
+ * @returns {Promise<Object>} - Whether it is `running`, its `version` and `memory` in bytes, or the `error` that made it unreachable
+ */
+async function checkDockerDaemon() {
+  try {
+    const info = JSON.parse(await runDocker('docker', ['info', '--format', '{{json .}}']));
+    const serverErrors = info.ServerErrors || [];
+
+    if (serverErrors.length > 0) {
+      return { running: false, error: serverErrors[0] };
     }
+
+    return { running: true, version: info.ServerVersion, memory: info.MemTotal || null };
+  } catch (error) {
+    return {
+      running: false,
+      error: error.timedOut
+        ? `docker info did not answer within ${DOCKER_TIMEOUT / 1000}s`
+        : ((error.stderr || '').trim().split('\n').pop() || error.shortMessage || error.message)
+    };
   }
 }
 
+/**
+ * Check that Docker is installed and its daemon is reachable, which the
+ * local Supabase stack needs. The daemon's state is never cached.
+ * @returns {Promise<Object>} - Whether Docker is `installed` and `running`, the daemon's `version` and `memory` in bytes, the `compose` found by checkDockerCompose, and the `error` that made the daemon unreachable
+ */
+async function checkDocker() {
+  const docker = { installed: false, running: false, version: null, memory: null, compose: null, error: null };
+
+  if (!await commandExists('docker')) {
+    return docker;
+  }
+
+  const [compose, daemon] = await Promise.all([checkDockerCompose(), checkDockerDaemon()]);
+
+  return Object.assign(docker, { installed: true, compose }, daemon);
+}
+
+/**
+ * Find the missing tools of a check that the CLI can install itself
+ * @param {Object} result - Result of checkAll
+ * @returns {string[]} - Tool names, see INSTALLABLE_TOOLS
+ */
+function getInstallable(result) {
+  return result.missing.filter(name => INSTALLABLE_TOOLS[name] &&
+    result.tools.some(tool => tool.name === name && tool.status === 'missing'));
+}
+
 /**
  * Check all dependencies
- * @returns {Object} - Result of dependency check
- */
-async function checkAll() {
-  const nodeVersion = checkNodeVersion();
-  const npm = checkNpm();
-  const npx = checkNpx();
-  const createNextApp = checkCreateNextApp();
-  const supabase = checkSupabase();
+ * @param {Object} options - Check options
+ * @param {string} [options.packageManager] - Package manager the project is set up with, npm by default
+ * @param {string} [options.strategy] - Scaffolding strategy, see getRequiredTools
+ * @param {boolean} [options.supabase] - Whether the Supabase CLI is needed, true by default
+ * @param {boolean} [options.requireDocker] - Fail instead of warning when Docker is missing, outdated or its daemon is unreachable
+ * @param {Object} [options.requirements] - Ranges to use instead of the default ones, see readRequirements
+ * @param {boolean} [options.all] - Also report tools the run does not need, such as the other package managers
+ * @param {number} [options.cacheTtl] - How long cached versions are reused, see checkTools
+ * @param {boolean} [options.refresh] - Detect every version again, see checkTools
+ * @returns {Object} - Result of dependency check, with the `missing` dependencies, `warnings` for problems that do not stop the run, every checked tool in `tools`, see checkTool, and the `docker` details, see checkDocker
+ */
+async function checkAll(options = {}) {
+  const { supabase: needsSupabase = true, requireDocker = false, requirements = {}, all = false } = options;
+  const required = getRequiredTools(options);
+  // Docker is only needed to run the local Supabase stack
+  const needsDocker = needsSupabase || requireDocker || all;
+  const names = all
+    ? Object.keys(DEPENDENCY_RULES)
+    : [...required, ...(needsDocker && !required.includes('docker') ? ['docker'] : [])];
+  
+  const [checked, docker] = await Promise.all([
+    checkTools(names, { requirements, cacheTtl: options.cacheTtl, refresh: options.refresh }),
+    needsDocker ? checkDocker() : null
+  ]);
+  const tools = checked.map(tool => ({ ...tool, required: required.includes(tool.name) }));
   
-  const missing = [];
+  const missing = tools
+    .filter(tool => tool.required && tool.name !== 'docker' && (tool.status === 'missing' || tool.status === 'outdated'))
+    .map(tool => tool.name);
+  const warnings = [];
   
-  if (!nodeVersion) missing.push('node');
-  if (!npm) missing.push('npm');
-  if (!npx) missing.push('npx');
-  if (!createNextApp) missing.push('create-next-app');
-  if (!supabase) missing.push('supabase');
+  if (docker) {
+    // Without --require-docker the project can still be created and the stack started later
+    const dockerProblems = requireDocker ? missing : warnings;
+    const dockerTool = tools.find(tool => tool.name === 'docker');
+    
+    if (!docker.installed) {
+      dockerProblems.push('docker');
+    } else if (!docker.running) {
+      dockerProblems.push('docker-daemon');
+    } else if (dockerTool.status === 'outdated') {
+      dockerProblems.push('docker');
+    } else if (docker.memory && docker.memory < DOCKER_MIN_MEMORY) {
+      warnings.push('docker-memory');
+    }
+    
+    if (docker.installed && !docker.compose) {
+      warnings.push('docker-compose');
+    }
+  }
   
   return {
     success: missing.length === 0,
-    missing
+    missing,
+    warnings,
+    tools,
+    docker
   };
 }
 
 module.exports = {
+  DEPENDENCY_RULES,
+  DOCKER_MIN_MEMORY,
+  DEFAULT_CACHE_TTL,
+  INSTALLABLE_TOOLS,
   checkAll,
-  checkNodeVersion,
-  checkNpm,
-  checkNpx,
-  checkCreateNextApp,
-  checkSupabase
+  checkTool,
+  checkTools,
+  getInstallable,
+  checkDocker,
+  readRequirements,
+  getRequiredTools
 };
\ No newline at end of file
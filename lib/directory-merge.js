@@ -0,0 +1,167 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { createTwoFilesPatch } = require('diff');
+
+const logger = require('./logger');
+const prompter = require('./prompter');
+const transaction = require('./transaction');
+
+/**
+ * Check whether two files have the same contents
+ * @param {string} srcPath - First file
+ * @param {string} destPath - Second file
+ * @returns {Promise<boolean>} - Whether the files are identical
+ */
+async function sameContents(srcPath, destPath) {
+  const [src, dest] = await Promise.all([fs.readFile(srcPath), fs.readFile(destPath)]);
+  return src.equals(dest);
+}
+
+/**
+ * Show a colored diff between an existing file and the template's version
+ * @param {string} relativePath - Path relative to the project root
+ * @param {string} srcPath - Template's version
+ * @param {string} destPath - Existing file
+ * @returns {Promise<void>}
+ */
+async function showDiff(relativePath, srcPath, destPath) {
+  const [src, dest] = await Promise.all([fs.readFile(srcPath), fs.readFile(destPath)]);
+
+  if (src.includes(0) || dest.includes(0)) {
+    logger.info(`Binary files differ: ${relativePath}`);
+    return;
+  }
+
+  const patch = createTwoFilesPatch(
+    `${relativePath} (existing)`,
+    `${relativePath} (template)`,
+    dest.toString('utf8'),
+    src.toString('utf8')
+  );
+
+  // The first line only separates the patch from what comes before it
+  logger.diff(`Differences in ${relativePath}:`, patch.split('\n').slice(1));
+}
+
+/**
+ * Create a conflict resolver that asks what to do with each file that
+ * exists both in the project and in the template. "keep all" and
+ * "overwrite all" answer the remaining conflicts too.
+ * @param {string} [onConflict] - 'keep' or 'overwrite' to resolve every conflict without asking
+ * @returns {Function} - Resolver called with the relative, template and existing paths; resolves to 'keep' or 'overwrite'
+ */
+function createConflictResolver(onConflict) {
+  let remembered = onConflict;
+
+  return async (relativePath, srcPath, destPath) => {
+    const canDiff = (await fs.stat(srcPath)).isFile() && (await fs.stat(destPath)).isFile();
+
+    while (!remembered) {
+      const { resolution } = await prompter.ask([
+        {
+          type: 'list',
+          name: 'resolution',
+          message: `${relativePath} already exists. What do you want to do?`,
+          flag: '--on-conflict <keep|overwrite>',
+          choices: [
+            { name: 'Keep the existing file', value: 'keep' },
+            { name: 'Overwrite it with the template\'s version', value: 'overwrite' },
+            ...(canDiff ? [{ name: 'Show the differences', value: 'diff' }] : []),
+            { name: 'Keep all remaining existing files', value: 'keep-all' },
+            { name: 'Overwrite all remaining existing files', value: 'overwrite-all' }
+          ],
+          default: 'keep'
+        }
+      ]);
+
+      if (resolution === 'diff') {
+        await showDiff(relativePath, srcPath, destPath);
+      } else if (resolution === 'keep-all' || resolution === 'overwrite-all') {
+        remembered = resolution === 'keep-all' ? 'keep' : 'overwrite';
+      } else {
+        return resolution;
+      }
+    }
+
+    return remembered;
+  };
+}
+
+/**
+ * Move the contents of a freshly scaffolded directory into an existing one.
+ * Files that only exist in the scaffold are moved over, identical files are
+ * left alone, and every other conflict is passed to the resolver. An
+ * existing .git directory is never merged into. Changes are recorded with
+ * the active transaction, so a failed merge can be rolled back.
+ * @param {string} srcPath - Scaffolded directory
+ * @param {string} destPath - Existing project directory
+ * @param {Function} resolveConflict - Resolver, see createConflictResolver
+ * @param {string} relativePath - Path relative to the project root, used for reporting
+ * @returns {Promise<Object>} - Relative paths that were `kept` and `overwritten`
+ */
+async function mergeDirectories(srcPath, destPath, resolveConflict, relativePath = '') {
+  const result = { kept: [], overwritten: [] };
+  const entries = await fs.readdir(srcPath);
+
+  for (const entry of entries) {
+    const src = path.join(srcPath, entry);
+    const dest = path.join(destPath, entry);
+    const relative = path.join(relativePath, entry);
+
+    if (!fs.existsSync(dest)) {
+      await fs.move(src, dest);
+      transaction.trackCreated(dest);
+      continue;
+    }
+
+    if (entry === '.git') {
+      continue;
+    }
+
+    const [srcStat, destStat] = await Promise.all([fs.lstat(src), fs.lstat(dest)]);
+
+    if (srcStat.isDirectory() && destStat.isDirectory()) {
+      const nested = await mergeDirectories(src, dest, resolveConflict, relative);
+      result.kept.push(...nested.kept);
+      result.overwritten.push(...nested.overwritten);
+      continue;
+    }
+
+    if (srcStat.isFile() && destStat.isFile() && await sameContents(src, dest)) {
+      continue;
+    }
+
+    if (await resolveConflict(relative, src, dest) === 'overwrite') {
+      await transaction.trackReplaced(dest);
+      await fs.move(src, dest);
+      result.overwritten.push(relative);
+    } else {
+      result.kept.push(relative);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Move an existing directory out of the way before scaffolding, either to a
+ * timestamped sibling or into a trash directory
+ * @param {string} dirPath - Directory to back up
+ * @param {string} [backupDir] - Directory to move it into, next to the original when omitted
+ * @returns {Promise<string>} - Path of the backup
+ */
+async function backupDirectory(dirPath, backupDir) {
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const backupName = `${path.basename(dirPath)}.backup-${timestamp}`;
+  const backupPath = path.join(backupDir ? path.resolve(backupDir) : path.dirname(dirPath), backupName);
+
+  await fs.ensureDir(path.dirname(backupPath));
+  await fs.move(dirPath, backupPath);
+  return backupPath;
+}
+
+module.exports = {
+  createConflictResolver,
+  mergeDirectories,
+  backupDirectory
+};
\ No newline at end of file
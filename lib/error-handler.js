@@ -1,122 +1,228 @@
 const chalk = require('chalk');
 
+const errors = require('./errors');
+const logger = require('./logger');
+const packageManager = require('./package-manager');
+
 /**
- * Handle general errors
+ * Report an error the CLI stops with: its code and message, the details
+ * that come with its type and what the user can do about it. Errors without
+ * a code are reported as CSN_UNEXPECTED, the only ones that ask for a bug
+ * report. Each error is reported once, later calls are ignored. The json
+ * reporter gets the same as an `error` event.
  * @param {Error} error - Error object
  */
 function handleError(error) {
-  console.error(`\n${chalk.red('Error:')} ${error.message}`);
-  
-  // Special handling for "context canceled" errors
-  if (error.message.includes('context canceled')) {
-    console.error(`\n${chalk.yellow('This appears to be a "context canceled" error, which can occur when a process is terminated unexpectedly.')}`);
-    console.error(`The system will automatically retry the operation with different methods.`);
-  } else if (error.message.includes('timed out')) {
-    console.error(`\n${chalk.yellow('The operation timed out. This could be due to slow network or system resources.')}`);
-    console.error(`The system will automatically retry with increased timeouts.`);
+  if (error.reported) {
+    return;
+  }
+  
+  const csnError = errors.toCsnError(error);
+  error.reported = true;
+  
+  if (logger.isJson()) {
+    logger.event('error', {
+      code: csnError.code,
+      exitCode: csnError.exitCode,
+      message: csnError.message,
+      ...(csnError.missing && { missing: csnError.missing }),
+      ...(csnError.hint && { hint: csnError.hint }),
+      remediation: csnError.remediation
+    });
+    return;
+  }
+  
+  console.error(`\n${chalk.red(`Error [${csnError.code}]:`)} ${csnError.message}`);
+  
+  if (csnError instanceof errors.DependencyError && csnError.missing) {
+    printDependencyProblems(csnError.missing, csnError.docker, csnError.tools);
   }
   
+  if (csnError.hint) {
+    console.error(`\n${csnError.hint}`);
+  }
+  
+  console.error(`\n${chalk.yellow(csnError.remediation)}`);
+  
   if (error.stack && process.env.DEBUG) {
     console.error(`\n${chalk.gray(error.stack)}`);
   }
   
-  console.error(`\n${chalk.yellow('If you believe this is a bug, please open an issue at:')}`);
-  console.error(`${chalk.cyan('https://github.com/JonasWIP/supanexttemplate/issues')}\n`);
+  console.error('');
 }
 
 /**
- * Handle dependency errors
- * @param {string[]} missingDependencies - List of missing dependencies
+ * Handle network errors, see handleError
+ * @param {Error} error - Error object
  */
-function handleDependencyError(missingDependencies) {
-  console.error(`\n${chalk.red('Error:')} The following dependencies are missing:`);
+function handleNetworkError(error) {
+  handleError(error);
+}
+
+/**
+ * Handle errors of commands that were run, see handleError
+ * @param {Error} error - Error object
+ */
+function handleProcessError(error) {
+  handleError(error);
+}
+
+/**
+ * Print how to install or fix a dependency
+ * @param {string} dep - Dependency name, as reported by dependencyChecker.checkAll
+ * @param {Object} [docker] - Docker details, see dependencyChecker.checkDocker
+ * @param {Object[]} [tools] - Checked tools, see dependencyChecker.checkTool
+ */
+function printRemediation(dep, docker, tools = []) {
+  const { error, memory } = docker || {};
+  const tool = tools.find(candidate => candidate.name === dep);
   
-  missingDependencies.forEach(dep => {
-    console.error(`  - ${chalk.cyan(dep)}`);
-  });
+  switch (dep) {
+    case 'node':
+      console.error(`  ${chalk.cyan('Node.js')}: https://nodejs.org/en/download/ (${tool ? tool.range : '>=14.0.0'})`);
+      break;
+    case 'npm':
+      console.error(`  ${chalk.cyan('npm')}: Included with Node.js installation`);
+      break;
+    case 'npx':
+      console.error(`  ${chalk.cyan('npx')}: Included with npm 5.2.0 and higher`);
+      break;
+    case 'pnpm':
+      console.error(`  ${chalk.cyan('pnpm')}: corepack enable pnpm, or see https://pnpm.io/installation`);
+      break;
+    case 'yarn':
+      console.error(`  ${chalk.cyan('Yarn')}: corepack enable yarn, or see https://yarnpkg.com/getting-started/install`);
+      break;
+    case 'bun':
+      console.error(`  ${chalk.cyan('Bun')}: Please install using instructions at https://bun.sh/docs/installation`);
+      break;
+    case 'create-next-app':
+      console.error(`  ${chalk.cyan('create-next-app')}: npm install -g create-next-app`);
+      break;
+    case 'supabase':
+      console.error(`  ${chalk.cyan('Supabase CLI')}: Please install using instructions at https://github.com/supabase/cli#install-the-cli`);
+      break;
+    case 'docker':
+      console.error(`  ${chalk.cyan('Docker')}: Install or upgrade Docker Desktop or Docker Engine${tool && tool.status === 'outdated' ? ` (found ${tool.version}, need ${tool.range})` : ''}, see https://docs.docker.com/get-docker/`);
+      break;
+    case 'docker-daemon':
+      console.error(`  ${chalk.cyan('Docker daemon')}: Docker is installed but its daemon is not reachable${error ? ` (${error})` : ''}.`);
+      console.error('    Start Docker Desktop, or the service with: sudo systemctl start docker');
+      break;
+    case 'docker-memory':
+      console.error(`  ${chalk.cyan('Docker memory')}: Docker has ${(memory / 1024 ** 3).toFixed(1)} GB of memory; the local Supabase stack needs at least 4 GB.`);
+      console.error('    Raise it in Docker Desktop under Settings > Resources');
+      break;
+    case 'docker-compose':
+      console.error(`  ${chalk.cyan('Docker Compose')}: Install the Compose plugin, see https://docs.docker.com/compose/install/`);
+      break;
+    default:
+      console.error(`  ${chalk.cyan(dep)}: Please install this dependency`);
+  }
+}
+
+/**
+ * Describe a dependency for a list of problems, with the version found when it is outdated
+ * @param {string} dep - Dependency name
+ * @param {Object[]} [tools] - Checked tools, see dependencyChecker.checkTool
+ * @returns {string} - Description
+ */
+function describeDependency(dep, tools = []) {
+  const tool = tools.find(candidate => candidate.name === dep);
   
-  console.error('\nPlease install the missing dependencies and try again:');
+  if (tool && tool.status === 'outdated') {
+    return `${chalk.cyan(dep)} (found ${tool.version}, need ${tool.range}${tool.source === 'default' ? '' : ` from ${tool.source}`})`;
+  }
   
+  return chalk.cyan(dep);
+}
+
+/**
+ * Print missing or outdated dependencies and how to install or upgrade them
+ * @param {string[]} missingDependencies - List of missing or outdated dependencies
+ * @param {Object} [docker] - Docker details, see dependencyChecker.checkDocker
+ * @param {Object[]} [tools] - Checked tools, see dependencyChecker.checkTool
+ */
+function printDependencyProblems(missingDependencies, docker, tools) {
   missingDependencies.forEach(dep => {
-    switch (dep) {
-      case 'node':
-        console.error(`  ${chalk.cyan('Node.js')}: https://nodejs.org/en/download/ (v14.0.0 or higher)`);
-        break;
-      case 'npm':
-        console.error(`  ${chalk.cyan('npm')}: Included with Node.js installation`);
-        break;
-      case 'npx':
-        console.error(`  ${chalk.cyan('npx')}: Included with npm 5.2.0 and higher`);
-        break;
-      case 'create-next-app':
-        console.error(`  ${chalk.cyan('create-next-app')}: npm install -g create-next-app`);
-        break;
-      case 'supabase':
-        console.error(`  ${chalk.cyan('Supabase CLI')}: Please install using instructions at https://github.com/supabase/cli#install-the-cli`);
-        break;
-      default:
-        console.error(`  ${chalk.cyan(dep)}: Please install this dependency`);
-    }
+    console.error(`  - ${describeDependency(dep, tools)}`);
   });
   
-  console.error('');
+  console.error('\nTo install or upgrade them:');
+  
+  missingDependencies.forEach(dep => printRemediation(dep, docker, tools));
 }
 
 /**
- * Handle network errors
- * @param {Error} error - Error object
+ * Handle dependency errors found by a check that does not stop the CLI with
+ * an error, such as the doctor command
+ * @param {string[]} missingDependencies - List of missing or outdated dependencies
+ * @param {Object} [docker] - Docker details, see dependencyChecker.checkDocker
+ * @param {Object[]} [tools] - Checked tools, see dependencyChecker.checkTool
  */
-function handleNetworkError(error) {
-  console.error(`\n${chalk.red('Network Error:')} ${error.message}`);
-  console.error(`\nPlease check your internet connection and try again.`);
-  
-  if (error.code === 'ENOTFOUND') {
-    console.error(`\nCould not resolve hostname. Please check your DNS settings.`);
-  } else if (error.code === 'ETIMEDOUT') {
-    console.error(`\nConnection timed out. The server might be down or your internet connection is slow.`);
-  } else if (error.message.includes('context canceled')) {
-    console.error(`\n${chalk.yellow('This appears to be a "context canceled" error, which can occur when a process is terminated unexpectedly.')}`);
-    console.error(`The system will automatically retry the operation with different methods.`);
-  }
-  
+function handleDependencyError(missingDependencies, docker, tools) {
+  console.error(`\n${chalk.red('Error:')} The following dependencies are missing or outdated:`);
+  printDependencyProblems(missingDependencies, docker, tools);
   console.error('');
 }
 
 /**
- * Handle file system errors
- * @param {Error} error - Error object
+ * Handle dependency problems that do not stop the run, such as Docker not
+ * running when it is only needed to start the local Supabase stack later
+ * @param {string[]} dependencies - Dependencies with problems
+ * @param {Object} [docker] - Docker details, see dependencyChecker.checkDocker
+ * @param {Object[]} [tools] - Checked tools, see dependencyChecker.checkTool
+ * @param {string} [manager] - Package manager the project is set up with, see packageManager.PACKAGE_MANAGERS
  */
-function handleFileSystemError(error) {
-  console.error(`\n${chalk.red('File System Error:')} ${error.message}`);
-  
-  if (error.code === 'EACCES') {
-    console.error(`\nPermission denied. Please check your file permissions.`);
-  } else if (error.code === 'ENOENT') {
-    console.error(`\nFile or directory not found. Please check the path.`);
-  } else if (error.code === 'EEXIST') {
-    console.error(`\nFile or directory already exists. Please choose a different name.`);
+function handleDependencyWarning(dependencies, docker, tools, manager = 'npm') {
+  const start = packageManager.formatExec(manager, 'supabase start');
+  
+  if (logger.isJson()) {
+    logger.event('warning', { message: `These dependencies need attention before you run ${start}`, dependencies });
+    return;
+  }
+  
+  console.error(`\n${chalk.yellow('Warning:')} The project can be created, but these dependencies need attention before you run ${chalk.cyan(start)}:`);
+  
+  dependencies.forEach(dep => printRemediation(dep, docker, tools));
+  
+  if (dependencies.includes('docker') || dependencies.includes('docker-daemon')) {
+    console.error(`\nPass ${chalk.cyan('--require-docker')} to stop instead when Docker is not ready.`);
   }
   
   console.error('');
 }
 
 /**
- * Handle process errors
- * @param {Error} error - Error object
+ * Handle errors from generating Supabase types
+ * @param {Error} error - Error object, with the `reason` found by supabaseTypes.generateTypes when the command ran, and the project's `packageManager` when it is known
+ * @param {string} [retryCommand] - Command that regenerates the types once the problem is fixed
  */
-function handleProcessError(error) {
-  console.error(`\n${chalk.red('Process Error:')} ${error.message}`);
-  
-  if (error.message.includes('context canceled')) {
-    console.error(`\n${chalk.yellow('A "context canceled" error occurred. This typically happens when:')}`);
-    console.error(`- A process was terminated unexpectedly`);
-    console.error(`- There was a race condition in process execution`);
-    console.error(`- The system is under heavy load`);
-    console.error(`\nThe system will automatically retry with alternative methods.`);
-  } else if (error.code === 'ENOENT') {
-    console.error(`\nCommand not found. Please ensure the required tools are installed.`);
-  } else if (error.signal) {
-    console.error(`\nProcess was terminated with signal: ${error.signal}`);
+function handleTypesError(error, retryCommand = 'create-supabase-next types') {
+  const manager = error.packageManager || 'npm';
+  const supabase = args => chalk.cyan(packageManager.formatExec(manager, `supabase ${args}`));
+  const install = packageManager.getAddDevCommand(manager, ['supabase']);
+  const hints = {
+    docker: `Docker is not running. The local Supabase stack runs in Docker, so start Docker Desktop or the Docker service, then run ${supabase('start')}.`,
+    stack: `The local Supabase stack is not running. Start it with ${supabase('start')}.`,
+    cli: `The Supabase CLI was not found. Install it in the project with ${chalk.cyan([install.command, ...install.args].join(' '))}.`,
+    timeout: `The local database did not answer in time. Check that ${supabase('status')} shows the stack as running.`
+  };
+  const hint = hints[error.reason];
+  const command = chalk.cyan(retryCommand);
+  
+  if (logger.isJson()) {
+    logger.event('warning', { code: error.code, message: error.message, ...(hint && { hint }), retryCommand });
+    return;
+  }
+  
+  console.error(`\n${chalk.red(`Error [${error.code}]:`)} ${error.message}`);
+  
+  if (hint) {
+    console.error(`\n${chalk.yellow(hint)}`);
+    console.error(`Then run ${command} to generate the types.`);
+  } else {
+    console.error(`\nFix the problem above, then run ${command} to generate the types.`);
   }
   
   console.error('');
@@ -125,7 +231,8 @@ function handleProcessError(error) {
 module.exports = {
   handleError,
   handleDependencyError,
+  handleDependencyWarning,
   handleNetworkError,
-  handleFileSystemError,
-  handleProcessError
+  handleProcessError,
+  handleTypesError
 };
\ No newline at end of file
@@ -0,0 +1,236 @@
+const { bugs } = require('../package.json');
+const packageManager = require('./package-manager');
+
+// Error codes the CLI stops with, the exit code of each and what the user
+// can do about it, or a function building that from the error. Codes and
+// exit codes are stable, so that wrapper scripts can branch on them; add new
+// ones rather than renumbering.
+const ERROR_CODES = {
+  CSN_UNEXPECTED: {
+    exitCode: 1,
+    remediation: `This looks like a bug. Please open an issue at ${bugs.url}`
+  },
+  CSN_MISSING_ANSWER: {
+    exitCode: 2,
+    remediation: 'Pass the flag named above, or run in an interactive terminal.'
+  },
+  CSN_INVALID_OPTION: {
+    exitCode: 3,
+    remediation: 'Check the option above, or run create-supabase-next --help.'
+  },
+  CSN_CONFIG_INVALID: {
+    exitCode: 4,
+    remediation: 'Fix the config file, or pass --config to use another one.'
+  },
+  CSN_PROJECT_EXISTS: {
+    exitCode: 5,
+    remediation: 'Choose another project name, or pass --overwrite replace, merge or backup.'
+  },
+  CSN_NOTHING_TO_RESUME: {
+    exitCode: 6,
+    remediation: 'Check the directory. Projects that were created successfully have nothing to resume.'
+  },
+  CSN_JOURNAL_INVALID: {
+    exitCode: 7,
+    remediation: 'Resume the project with the version of create-supabase-next that started it, or remove it and start over.'
+  },
+  CSN_DEP_MISSING: {
+    exitCode: 10,
+    remediation: 'Install or upgrade the missing tools and try again, or pass --skip-dependency-check to create the project anyway.'
+  },
+  CSN_TEMPLATE_NOT_FOUND: {
+    exitCode: 20,
+    remediation: 'Check the template name, ref and subdirectory, and that you have access to it.'
+  },
+  CSN_TEMPLATE_INVALID: {
+    exitCode: 21,
+    remediation: 'Fix the template, or ask its author to.'
+  },
+  CSN_TEMPLATE_TOO_LARGE: {
+    exitCode: 22,
+    remediation: 'Pass a larger --max-archive-size to allow the template.'
+  },
+  CSN_TEMPLATE_NOT_CACHED: {
+    exitCode: 23,
+    remediation: 'Run once without --offline to cache the template.'
+  },
+  CSN_NETWORK_TIMEOUT: {
+    exitCode: 30,
+    remediation: 'The server might be down or your connection slow. Try again, or use a cached template with --prefer-offline.'
+  },
+  CSN_NETWORK_UNREACHABLE: {
+    exitCode: 31,
+    remediation: 'Check your internet connection and DNS settings, or use a cached template with --prefer-offline.'
+  },
+  CSN_DOWNLOAD_FAILED: {
+    exitCode: 32,
+    remediation: 'Check that you have access to the template. Private templates need a token, such as GITHUB_TOKEN or GITLAB_TOKEN.'
+  },
+  CSN_FILE_SYSTEM: {
+    exitCode: 33,
+    remediation: 'Check that you can write to the project directory and that the disk is not full.'
+  },
+  CSN_INSTALL_FAILED: {
+    exitCode: 40,
+    remediation: 'Check the package manager\'s output above for the cause.'
+  },
+  CSN_SUPABASE_INIT_FAILED: {
+    exitCode: 41,
+    remediation: 'Check that the Supabase CLI is installed, see https://github.com/supabase/cli#install-the-cli'
+  },
+  CSN_SUPABASE_CONFIG_INVALID: {
+    exitCode: 42,
+    remediation: 'Fix supabase/config.toml, or remove it to have supabase init write a new one.'
+  },
+  CSN_SETUP_FAILED: {
+    exitCode: 43,
+    remediation: 'Check the setup script\'s output above for the cause.'
+  },
+  CSN_VERIFY_FAILED: {
+    exitCode: 44,
+    remediation: 'Check that the template has a package.json with a dev script, and that the install step put its dependencies in place.'
+  },
+  CSN_SUPABASE_PORTS_FAILED: {
+    exitCode: 45,
+    remediation: 'Stop other local Supabase stacks, or pass --supabase-ports with another base port.'
+  },
+  CSN_SUPABASE_NOT_RUNNING: {
+    exitCode: 50,
+    remediation: error => `Start the local Supabase stack with ${formatSupabaseCommand(error, 'start')} and try again.`
+  },
+  CSN_SUPABASE_TYPES_FAILED: {
+    exitCode: 51,
+    remediation: error => `Check that the local Supabase stack is running with ${formatSupabaseCommand(error, 'status')}.`
+  },
+  CSN_INTERRUPTED: {
+    exitCode: 130,
+    remediation: 'Run the command again to start over.'
+  }
+};
+
+/**
+ * Base class of the errors the CLI stops with on purpose. Each carries one
+ * of ERROR_CODES as `code` and the exit code the CLI ends with as `exitCode`.
+ */
+class CsnError extends Error {
+  /**
+   * @param {string} code - One of ERROR_CODES
+   * @param {string} message - Error message
+   * @param {Object} [props] - Extra properties, such as the `cause` this error wraps
+   */
+  constructor(code, message, props = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code;
+    this.exitCode = ERROR_CODES[code].exitCode;
+    Object.assign(this, props);
+  }
+
+  /**
+   * What the user can do about the error
+   * @returns {string} - Remediation message
+   */
+  get remediation() {
+    const { remediation } = ERROR_CODES[this.code];
+    return typeof remediation === 'function' ? remediation(this) : remediation;
+  }
+}
+
+// Invalid options, config files and answers, or a command that cannot run as asked
+class UsageError extends CsnError {}
+
+// Required tools that are missing or outdated
+class DependencyError extends CsnError {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} [props] - The `missing` dependency names, and the `tools` and `docker` details of the check
+   */
+  constructor(message, props) {
+    super('CSN_DEP_MISSING', message, props);
+  }
+}
+
+// Templates that cannot be found or used
+class TemplateError extends CsnError {}
+
+// Templates that cannot be downloaded
+class NetworkError extends CsnError {}
+
+// Files that cannot be read or written
+class FileSystemError extends CsnError {}
+
+// Commands the scaffold runs in the project, such as the install or setup script
+class StepError extends CsnError {}
+
+// The project's Supabase config and its local stack, which the env and types commands need running
+class SupabaseError extends CsnError {}
+
+// Runs stopped by Ctrl+C or SIGTERM
+class InterruptedError extends CsnError {
+  /**
+   * @param {string} signal - Signal that was received, e.g. 'SIGINT'
+   * @param {number} exitCode - Conventional exit code for the signal
+   */
+  constructor(signal, exitCode) {
+    super('CSN_INTERRUPTED', `Interrupted by ${signal}`, { exitCode });
+  }
+}
+
+/**
+ * Format a Supabase CLI command the way the user runs it in their project
+ * @param {CsnError} error - Error, with the project's `packageManager` when it is known
+ * @param {string} args - Supabase CLI arguments, e.g. 'start'
+ * @returns {string} - Command line, e.g. "pnpm exec supabase start"
+ */
+function formatSupabaseCommand(error, args) {
+  return packageManager.formatExec(error.packageManager || 'npm', `supabase ${args}`);
+}
+
+// System error codes of requests that could not reach the server
+const UNREACHABLE_CODES = ['ENOTFOUND', 'EAI_AGAIN', 'ECONNRESET', 'ECONNREFUSED', 'ENETUNREACH'];
+
+/**
+ * Turn any error into a CsnError. Errors the CLI did not expect, such as
+ * bugs, become CSN_UNEXPECTED, except for network failures.
+ * @param {Error} error - Error to convert
+ * @returns {CsnError} - The error itself if it already is one, else one wrapping it as `cause`
+ */
+function toCsnError(error) {
+  if (error instanceof CsnError) {
+    return error;
+  }
+
+  if (error.code === 'ETIMEDOUT') {
+    return new NetworkError('CSN_NETWORK_TIMEOUT', error.message, { cause: error });
+  }
+
+  if (UNREACHABLE_CODES.includes(error.code)) {
+    return new NetworkError('CSN_NETWORK_UNREACHABLE', error.message, { cause: error });
+  }
+
+  return new CsnError('CSN_UNEXPECTED', error.message, { cause: error });
+}
+
+/**
+ * Get the exit code for an error code
+ * @param {string} code - One of ERROR_CODES
+ * @returns {number} - Exit code
+ */
+function getExitCode(code) {
+  return ERROR_CODES[code].exitCode;
+}
+
+module.exports = {
+  ERROR_CODES,
+  CsnError,
+  UsageError,
+  DependencyError,
+  TemplateError,
+  NetworkError,
+  FileSystemError,
+  StepError,
+  SupabaseError,
+  InterruptedError,
+  toCsnError,
+  getExitCode
+};
\ No newline at end of file
@@ -0,0 +1,112 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+const errors = require('./errors');
+
+// Directory inside the project that holds the journal and staged template
+// files until every step has succeeded
+const JOURNAL_DIR = '.create-supabase-next';
+
+// Bump when the journal format changes
+const JOURNAL_VERSION = 1;
+
+/**
+ * Get the journal directory of a project
+ * @param {string} projectPath - Path to the project
+ * @returns {string} - Journal directory
+ */
+function getJournalDir(projectPath) {
+  return path.join(projectPath, JOURNAL_DIR);
+}
+
+/**
+ * Get the path of a project's journal file
+ * @param {string} projectPath - Path to the project
+ * @returns {string} - Journal file path
+ */
+function getJournalPath(projectPath) {
+  return path.join(getJournalDir(projectPath), 'journal.json');
+}
+
+/**
+ * Check whether a project has an unfinished journal
+ * @param {string} projectPath - Path to the project
+ * @returns {boolean} - Whether a journal exists
+ */
+function exists(projectPath) {
+  return fs.existsSync(getJournalPath(projectPath));
+}
+
+/**
+ * Create a journal for a new run. It is only written by save.
+ * @param {Object} options - Options the project is initialized with, see projectInitializer.initialize
+ * @param {string[]} stepNames - Names of the steps to run, in order
+ * @returns {Object} - Journal
+ */
+function create(options, stepNames) {
+  const now = new Date().toISOString();
+
+  return {
+    version: JOURNAL_VERSION,
+    createdAt: now,
+    updatedAt: now,
+    options,
+    state: {},
+    steps: stepNames.map(name => ({ name, status: 'pending' }))
+  };
+}
+
+/**
+ * Load a project's journal
+ * @param {string} projectPath - Path to the project
+ * @returns {Promise<Object|null>} - Journal, or null if the project has none
+ */
+async function load(projectPath) {
+  if (!exists(projectPath)) {
+    return null;
+  }
+
+  const journal = await fs.readJson(getJournalPath(projectPath));
+
+  if (journal.version !== JOURNAL_VERSION) {
+    throw new errors.UsageError('CSN_JOURNAL_INVALID', `Unsupported journal version ${journal.version} in ${getJournalPath(projectPath)}`);
+  }
+
+  return journal;
+}
+
+/**
+ * Write a project's journal atomically
+ * @param {string} projectPath - Path to the project
+ * @param {Object} journal - Journal
+ * @returns {Promise<void>}
+ */
+async function save(projectPath, journal) {
+  const journalPath = getJournalPath(projectPath);
+  const tempPath = `${journalPath}.${process.pid}.tmp`;
+
+  journal.updatedAt = new Date().toISOString();
+
+  await fs.ensureDir(path.dirname(journalPath));
+  await fs.writeJson(tempPath, journal, { spaces: 2 });
+  await fs.move(tempPath, journalPath, { overwrite: true });
+}
+
+/**
+ * Remove a project's journal directory, including staged template files
+ * @param {string} projectPath - Path to the project
+ * @returns {Promise<void>}
+ */
+async function remove(projectPath) {
+  await fs.remove(getJournalDir(projectPath));
+}
+
+module.exports = {
+  JOURNAL_DIR,
+  getJournalDir,
+  exists,
+  create,
+  load,
+  save,
+  remove
+};
\ No newline at end of file
@@ -1,12 +1,72 @@
 const chalk = require('chalk');
 const ora = require('ora');
 
+// Reporters that can be chosen with --reporter: 'human' prints colored
+// messages and spinners, 'json' writes one JSON event per line to stdout
+const REPORTERS = ['human', 'json'];
+
+let reporter = 'human';
 let spinner = null;
 
+// Text of the running spinner; the json reporter shows no spinner but keeps
+// track of whether one would be running
+let spinnerText = null;
+
+/**
+ * Choose how messages are reported
+ * @param {Object} options - Logger options
+ * @param {string} [options.reporter] - One of REPORTERS, 'human' by default
+ */
+function configure(options = {}) {
+  reporter = options.reporter || 'human';
+  
+  if (reporter === 'json') {
+    // Messages end up in JSON strings, where color codes are only noise
+    chalk.level = 0;
+  }
+}
+
+/**
+ * Check whether messages are reported as JSON events
+ * @returns {boolean} - Whether the json reporter is used
+ */
+function isJson() {
+  return reporter === 'json';
+}
+
+/**
+ * Emit an event for the json reporter as a line of JSON on stdout, with its
+ * `type` and the `time` it happened. The human reporter ignores events.
+ * @param {string} type - Event type, e.g. 'step:start'
+ * @param {Object} [data] - Event fields
+ */
+function event(type, data = {}) {
+  if (reporter === 'json') {
+    process.stdout.write(`${JSON.stringify({ type, time: new Date().toISOString(), ...data })}\n`);
+  }
+}
+
+/**
+ * Get where the output of commands the CLI runs should go. The json
+ * reporter keeps stdout for its events, so commands write to stderr.
+ * @returns {Object} - `stream` to copy piped output to, and `stdio` to start interactive commands with
+ */
+function getCommandOutput() {
+  if (reporter === 'json') {
+    return { stream: process.stderr, stdio: ['inherit', process.stderr, 'inherit'] };
+  }
+  
+  return { stream: process.stdout, stdio: 'inherit' };
+}
+
 /**
  * Display welcome message
  */
 function welcome() {
+  if (reporter === 'json') {
+    return;
+  }
+  
   const message = `
   ┌─────────────────────────────────────────────────┐
   │                                                 │
@@ -24,9 +84,16 @@ function welcome() {
 /**
  * Log an informational message
  * @param {string} message - Message to log
+ * @param {string[]} [details] - Lines listed below the message, such as paths
  */
-function info(message) {
+function info(message, details = []) {
+  if (reporter === 'json') {
+    event('log', { level: 'info', message, ...(details.length > 0 && { details }) });
+    return;
+  }
+  
   console.log(`${chalk.blue('info')} ${message}`);
+  details.forEach(line => console.log(`  ${line}`));
 }
 
 /**
@@ -34,6 +101,11 @@ function info(message) {
  * @param {string} message - Message to log
  */
 function success(message) {
+  if (reporter === 'json') {
+    event('log', { level: 'success', message });
+    return;
+  }
+  
   console.log(`${chalk.green('success')} ${message}`);
 }
 
@@ -42,6 +114,11 @@ function success(message) {
  * @param {string} message - Message to log
  */
 function error(message) {
+  if (reporter === 'json') {
+    event('log', { level: 'error', message });
+    return;
+  }
+  
   console.error(`${chalk.red('error')} ${message}`);
 }
 
@@ -50,20 +127,52 @@ function error(message) {
  * @param {string} message - Message to log
  */
 function warn(message) {
+  if (reporter === 'json') {
+    event('warning', { message });
+    return;
+  }
+  
   console.warn(`${chalk.yellow('warn')} ${message}`);
 }
 
+/**
+ * Show the lines of a unified diff, colored by whether they were added or
+ * removed. The json reporter lists them as the `details` of a log event.
+ * @param {string} message - Message to show above the diff
+ * @param {string[]} lines - Diff lines
+ */
+function diff(message, lines) {
+  if (reporter === 'json') {
+    info(message, lines);
+    return;
+  }
+  
+  info(message);
+  lines.forEach(line => {
+    if (line.startsWith('+')) {
+      console.log(chalk.green(line));
+    } else if (line.startsWith('-')) {
+      console.log(chalk.red(line));
+    } else if (line.startsWith('@@')) {
+      console.log(chalk.cyan(line));
+    } else {
+      console.log(line);
+    }
+  });
+}
+
 /**
  * Start a spinner with the given message
  * @param {string} message - Message to display
- * @returns {Object} - Spinner instance
+ * @returns {Object|null} - Spinner instance, null with the json reporter
  */
 function startSpinner(message) {
   if (spinner) {
     spinner.stop();
   }
   
-  spinner = ora(message).start();
+  spinnerText = message;
+  spinner = reporter === 'json' ? null : ora(message).start();
   return spinner;
 }
 
@@ -73,8 +182,10 @@ function startSpinner(message) {
 function stopSpinner() {
   if (spinner) {
     spinner.stop();
-    spinner = null;
   }
+  
+  spinner = null;
+  spinnerText = null;
 }
 
 /**
@@ -82,6 +193,10 @@ function stopSpinner() {
  * @param {string} message - New message to display
  */
 function updateSpinner(message) {
+  if (spinnerText !== null) {
+    spinnerText = message;
+  }
+  
   if (spinner) {
     spinner.text = message;
   }
@@ -92,10 +207,18 @@ function updateSpinner(message) {
  * @param {string} message - Success message
  */
 function succeedSpinner(message) {
+  if (spinnerText === null) {
+    return;
+  }
+  
   if (spinner) {
     spinner.succeed(message);
-    spinner = null;
+  } else {
+    success(message);
   }
+  
+  spinner = null;
+  spinnerText = null;
 }
 
 /**
@@ -103,21 +226,54 @@ function succeedSpinner(message) {
  * @param {string} message - Failure message
  */
 function failSpinner(message) {
+  if (spinnerText === null) {
+    return;
+  }
+  
   if (spinner) {
     spinner.fail(message);
-    spinner = null;
+  } else {
+    error(message);
   }
+  
+  spinner = null;
+  spinnerText = null;
+}
+
+/**
+ * Format a byte count for display
+ * @param {number} bytes - Number of bytes
+ * @returns {string} - Human readable size
+ */
+function formatBytes(bytes) {
+  const units = ['B', 'KB', 'MB', 'GB'];
+  let value = bytes;
+  let unit = 0;
+  
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  
+  return `${unit === 0 ? value : value.toFixed(1)} ${units[unit]}`;
 }
 
 module.exports = {
+  REPORTERS,
+  configure,
+  isJson,
+  event,
+  getCommandOutput,
   welcome,
   info,
   success,
   error,
   warn,
+  diff,
   startSpinner,
   stopSpinner,
   updateSpinner,
   succeedSpinner,
-  failSpinner
+  failSpinner,
+  formatBytes
 };
\ No newline at end of file
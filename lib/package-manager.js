@@ -0,0 +1,114 @@
+// Package managers the generated project can be set up with
+const PACKAGE_MANAGERS = ['npm', 'pnpm', 'yarn', 'bun'];
+
+// How to run a package's binary, e.g. the Supabase CLI, with each package manager
+const EXEC_COMMANDS = {
+  npm: 'npx',
+  pnpm: 'pnpm exec',
+  yarn: 'yarn',
+  bun: 'bunx'
+};
+
+/**
+ * Detect the package manager the CLI was launched with, e.g. through
+ * `pnpm dlx` or `yarn create`, from the user agent it sets
+ * @param {string} [userAgent] - User agent, such as "pnpm/8.15.0 npm/? node/v20.11.0 linux x64"
+ * @returns {string} - One of PACKAGE_MANAGERS, npm when it cannot be told
+ */
+function detectPackageManager(userAgent = process.env.npm_config_user_agent) {
+  const name = (userAgent || '').split('/')[0];
+  return PACKAGE_MANAGERS.includes(name) ? name : 'npm';
+}
+
+/**
+ * Get the command that installs a project's dependencies
+ * @param {string} packageManager - One of PACKAGE_MANAGERS
+ * @returns {Object} - `command` and `args`
+ */
+function getInstallCommand(packageManager) {
+  return { command: packageManager, args: ['install'] };
+}
+
+/**
+ * Get the command that adds packages to a project's devDependencies
+ * @param {string} packageManager - One of PACKAGE_MANAGERS
+ * @param {string[]} packages - Package names
+ * @returns {Object} - `command` and `args`
+ */
+function getAddDevCommand(packageManager, packages) {
+  const args = packageManager === 'npm' ? ['install', '--save-dev'] : ['add', '--dev'];
+  return { command: packageManager, args: [...args, ...packages] };
+}
+
+/**
+ * Get the command that installs packages globally
+ * @param {string} packageManager - One of PACKAGE_MANAGERS
+ * @param {string[]} packages - Package names
+ * @returns {Object} - `command` and `args`
+ */
+function getGlobalInstallCommand(packageManager, packages) {
+  const args = {
+    npm: ['install', '--global'],
+    pnpm: ['add', '--global'],
+    yarn: ['global', 'add'],
+    bun: ['add', '--global']
+  }[packageManager];
+
+  return { command: packageManager, args: [...args, ...packages] };
+}
+
+/**
+ * Get the command that runs one of the project's scripts
+ * @param {string} packageManager - One of PACKAGE_MANAGERS
+ * @param {string} script - Script name
+ * @returns {Object} - `command` and `args`
+ */
+function getRunCommand(packageManager, script) {
+  return { command: packageManager, args: ['run', script] };
+}
+
+/**
+ * Format how a user would run one of the project's scripts, e.g. "npm run dev"
+ * or "pnpm dev"
+ * @param {string} packageManager - One of PACKAGE_MANAGERS
+ * @param {string} script - Script name
+ * @returns {string} - Command line
+ */
+function formatRun(packageManager, script) {
+  if (packageManager === 'npm' && script !== 'start') {
+    return `npm run ${script}`;
+  }
+
+  return `${packageManager} ${script}`;
+}
+
+/**
+ * Format how a user would run a package's binary, e.g. "npx supabase start"
+ * @param {string} packageManager - One of PACKAGE_MANAGERS
+ * @param {string} commandLine - Binary and its arguments
+ * @returns {string} - Command line
+ */
+function formatExec(packageManager, commandLine) {
+  return `${EXEC_COMMANDS[packageManager]} ${commandLine}`;
+}
+
+/**
+ * Get the create-next-app flag that selects the package manager
+ * @param {string} packageManager - One of PACKAGE_MANAGERS
+ * @returns {string} - Flag, e.g. "--use-pnpm"
+ */
+function getCreateNextAppFlag(packageManager) {
+  return `--use-${packageManager}`;
+}
+
+module.exports = {
+  PACKAGE_MANAGERS,
+  detectPackageManager,
+  getInstallCommand,
+  getAddDevCommand,
+  getGlobalInstallCommand,
+  getRunCommand,
+  formatRun,
+  formatExec,
+  getCreateNextAppFlag
+};
\ No newline at end of file
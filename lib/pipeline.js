@@ -0,0 +1,90 @@
+const errors = require('./errors');
+const logger = require('./logger');
+const journal = require('./journal');
+
+/**
+ * Run steps in order, recording each one's progress in the project's
+ * journal. Steps that are already done or skipped are not run again, so the
+ * same call resumes an interrupted run. A failed step stops the pipeline,
+ * unless it is marked optional, in which case the remaining steps still run.
+ * Once `context.interrupted` is set to the error the run was interrupted
+ * with, no further step starts and the interrupted step is left as running,
+ * to be retried on resume. Each step's start and finish are emitted as
+ * `step:start` and `step:finish` events for the json reporter.
+ * @param {Object[]} steps - Steps with a `name`, `title`, `run(context)` and optionally `skip(context)` and `optional`
+ * @param {Object} context - Shared state passed to every step
+ * @param {string} context.projectPath - Path to the project the journal is kept in
+ * @param {Object} context.journal - Journal, see journal.create
+ * @returns {Promise<string[]>} - Names of optional steps that failed
+ */
+async function runPipeline(steps, context) {
+  const failed = [];
+
+  for (const step of steps) {
+    if (context.interrupted) {
+      throw context.interrupted;
+    }
+    
+    let entry = context.journal.steps.find(candidate => candidate.name === step.name);
+
+    if (!entry) {
+      entry = { name: step.name, status: 'pending' };
+      context.journal.steps.push(entry);
+    }
+
+    if (entry.status === 'done' || entry.status === 'skipped') {
+      continue;
+    }
+
+    const skipReason = step.skip ? await step.skip(context) : null;
+
+    if (skipReason) {
+      Object.assign(entry, { status: 'skipped', reason: skipReason });
+      await journal.save(context.projectPath, context.journal);
+      logger.info(`Skipped ${step.title}: ${skipReason}`);
+      logger.event('step:finish', { step: step.name, status: 'skipped', reason: skipReason });
+      continue;
+    }
+
+    const startedAt = Date.now();
+    Object.assign(entry, { status: 'running', startedAt: new Date(startedAt).toISOString(), error: undefined });
+    await journal.save(context.projectPath, context.journal);
+    logger.event('step:start', { step: step.name, title: step.title });
+
+    try {
+      await step.run(context);
+      Object.assign(entry, { status: 'done', finishedAt: new Date().toISOString() });
+      await journal.save(context.projectPath, context.journal);
+      logger.event('step:finish', { step: step.name, status: 'done', durationMs: Date.now() - startedAt });
+    } catch (error) {
+      if (context.interrupted) {
+        logger.event('step:finish', { step: step.name, status: 'interrupted', durationMs: Date.now() - startedAt });
+        throw error;
+      }
+      
+      Object.assign(entry, { status: 'failed', finishedAt: new Date().toISOString(), error: error.message });
+      await journal.save(context.projectPath, context.journal);
+      logger.event('step:finish', {
+        step: step.name,
+        status: 'failed',
+        optional: Boolean(step.optional),
+        durationMs: Date.now() - startedAt,
+        error: { code: errors.toCsnError(error).code, message: error.message }
+      });
+
+      if (!step.optional) {
+        throw error;
+      }
+
+      logger.failSpinner(`${step.title} failed`);
+      logger.warn(`${step.title} failed: ${error.message}`);
+      failed.push(step.name);
+    }
+  }
+
+  return failed;
+}
+
+module.exports = {
+  runPipeline
+};
\ No newline at end of file
@@ -0,0 +1,231 @@
+const { spawnSync } = require('child_process');
+const execa = require('execa');
+
+const errors = require('./errors');
+
+// How long a process tree gets to exit after SIGTERM before it is killed
+const DEFAULT_GRACE_PERIOD = 5000;
+
+// Exit codes conventionally used for processes ended by a signal
+const SIGNAL_EXIT_CODES = { SIGINT: 130, SIGTERM: 143 };
+
+// Supervised processes that are still running, each with a `stop` function
+// and a `settled` promise that resolves once it has exited
+const running = new Map();
+
+/**
+ * Send a signal to a process, or to a process group given its negated id
+ * @param {number} pid - Process id
+ * @param {string} signal - 'SIGTERM' or 'SIGKILL'
+ */
+function sendSignal(pid, signal) {
+  try {
+    process.kill(pid, signal);
+  } catch (error) {
+    // The process is already gone
+    if (error.code !== 'ESRCH') {
+      throw error;
+    }
+  }
+}
+
+/**
+ * Find the processes a process started, and the ones they started in turn
+ * @param {number} pid - Process id
+ * @returns {number[]} - Ids of its descendants, parents first; empty if ps cannot be run
+ */
+function findDescendants(pid) {
+  const { status, stdout } = spawnSync('ps', ['-A', '-o', 'pid=,ppid='], { encoding: 'utf8' });
+
+  if (status !== 0 || !stdout) {
+    return [];
+  }
+
+  const children = new Map();
+
+  stdout.split('\n').forEach((line) => {
+    const [childPid, parentPid] = line.trim().split(/\s+/).map(Number);
+
+    if (childPid && parentPid) {
+      children.set(parentPid, [...(children.get(parentPid) || []), childPid]);
+    }
+  });
+
+  const found = [];
+  const queue = [pid];
+
+  while (queue.length > 0) {
+    const next = children.get(queue.shift()) || [];
+    found.push(...next);
+    queue.push(...next);
+  }
+
+  return found;
+}
+
+/**
+ * Send a signal to a child and everything it started. On POSIX a detached
+ * child leads its own process group, so the whole group is signalled; on
+ * Windows taskkill walks the tree. A child that shares the CLI's process
+ * group is signalled along with the descendants found when it was stopped.
+ * @param {Object} child - Child process started by run
+ * @param {string} signal - 'SIGTERM' or 'SIGKILL'
+ * @param {number[]} pids - The child's and its descendants' ids, for a child without its own group
+ */
+function signalTree(child, signal, pids) {
+  if (!child.supervisedGroup) {
+    pids.forEach(pid => sendSignal(pid, signal));
+    return;
+  }
+
+  if (process.platform === 'win32') {
+    const force = signal === 'SIGKILL' ? ['/F'] : [];
+    spawnSync('taskkill', ['/pid', String(child.pid), '/T', ...force], { stdio: 'ignore' });
+    return;
+  }
+
+  sendSignal(-child.pid, signal);
+}
+
+/**
+ * Stop a child and everything it started: SIGTERM first, then SIGKILL for
+ * whatever is still running after the grace period
+ * @param {Object} child - Child process started by run
+ * @param {number} gracePeriod - Milliseconds to wait before SIGKILL
+ */
+function killProcessTree(child, gracePeriod = DEFAULT_GRACE_PERIOD) {
+  if (!child.pid) {
+    return;
+  }
+
+  // Without a group of their own, the descendants are looked up before the
+  // first signal, as they are reparented once their parent exits
+  const pids = child.supervisedGroup ? [] : [child.pid, ...findDescendants(child.pid)];
+
+  signalTree(child, 'SIGTERM', pids);
+
+  // Do not keep the CLI alive just to deliver the SIGKILL
+  setTimeout(() => signalTree(child, 'SIGKILL', pids), gracePeriod).unref();
+}
+
+/**
+ * Create the error a command is rejected with when it is stopped on purpose
+ * @param {string} message - Error message
+ * @param {Object} props - Extra error properties such as `code`
+ * @returns {Error} - Error
+ */
+function stoppedError(message, props) {
+  return Object.assign(new Error(message), props);
+}
+
+/**
+ * Create the error a command is rejected with when its signal is aborted
+ * @returns {Error} - Error named AbortError, as for other abortable Node APIs
+ */
+function abortError() {
+  return stoppedError('The command was aborted', { name: 'AbortError', code: 'ABORT_ERR' });
+}
+
+/**
+ * Create the error commands are stopped with when the CLI is interrupted
+ * @param {string} signal - Signal that was received, e.g. 'SIGINT'
+ * @returns {errors.InterruptedError} - Error carrying the conventional exit code for the signal
+ */
+function interruptedError(signal) {
+  return new errors.InterruptedError(signal, SIGNAL_EXIT_CODES[signal] || 1);
+}
+
+/**
+ * Run a command under supervision. It gets its own process group, so that a
+ * timeout, an aborted signal or terminateAll stops the whole process tree
+ * rather than only the direct child, as npx and npm start their own
+ * children. Timers are cleared as soon as the command exits.
+ * @param {string} command - Command to run
+ * @param {string[]} args - Command arguments
+ * @param {Object} options - execa options, plus:
+ * @param {number} [options.timeout] - Stop the command after this many milliseconds
+ * @param {AbortSignal} [options.signal] - Stop the command when aborted
+ * @param {number} [options.gracePeriod] - Milliseconds between SIGTERM and SIGKILL
+ * @param {boolean} [options.detached] - Start a new process group, true by default; interactive commands that read the terminal need false, and their tree is then found with ps when they are stopped
+ * @returns {Object} - The execa `child` and a `result` promise that rejects with the reason the command was stopped
+ */
+function run(command, args, options = {}) {
+  const { timeout, signal, gracePeriod = DEFAULT_GRACE_PERIOD, detached = true, ...execaOptions } = options;
+
+  if (signal && signal.aborted) {
+    return { child: null, result: Promise.reject(abortError()) };
+  }
+
+  // On Windows, taskkill finds the tree without a separate process group
+  const supervisedGroup = detached || process.platform === 'win32';
+  const child = execa(command, args, {
+    ...execaOptions,
+    detached: detached && process.platform !== 'win32'
+  });
+  child.supervisedGroup = supervisedGroup;
+  let stopReason = null;
+  let timer = null;
+
+  const stop = (reason) => {
+    if (!stopReason) {
+      stopReason = reason;
+      killProcessTree(child, gracePeriod);
+    }
+  };
+
+  const onAbort = () => stop(abortError());
+
+  if (timeout) {
+    timer = setTimeout(() => stop(stoppedError(`Command timed out after ${timeout}ms`, { code: 'ETIMEDOUT' })), timeout);
+  }
+
+  if (signal) {
+    signal.addEventListener('abort', onAbort, { once: true });
+  }
+
+  const cleanUp = () => {
+    clearTimeout(timer);
+    running.delete(child);
+    if (signal) {
+      signal.removeEventListener('abort', onAbort);
+    }
+  };
+
+  const result = child.then(
+    (value) => {
+      cleanUp();
+      if (stopReason) {
+        throw stopReason;
+      }
+      return value;
+    },
+    (error) => {
+      cleanUp();
+      throw stopReason || error;
+    }
+  );
+
+  running.set(child, { stop, settled: result.catch(() => {}) });
+  return { child, result };
+}
+
+/**
+ * Stop every supervised command that is still running
+ * @param {Error} reason - Error the stopped commands are rejected with
+ * @returns {Promise<number>} - Number of commands that were stopped, once all of them have exited
+ */
+async function terminateAll(reason) {
+  const entries = [...running.values()];
+  entries.forEach(entry => entry.stop(reason));
+  await Promise.all(entries.map(entry => entry.settled));
+  return entries.length;
+}
+
+module.exports = {
+  DEFAULT_GRACE_PERIOD,
+  SIGNAL_EXIT_CODES,
+  interruptedError,
+  run,
+  killProcessTree,
+  terminateAll
+};
\ No newline at end of file
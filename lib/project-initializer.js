@@ -2,135 +2,1032 @@ const path = require('path');
 const fs = require('fs-extra');
 const { execSync } = require('child_process');
 const execa = require('execa');
+const chalk = require('chalk');
+const ignore = require('ignore');
+const tmp = require('tmp-promise');
 
+const errors = require('./errors');
 const logger = require('./logger');
 const errorHandler = require('./error-handler');
+const templateDownloader = require('./template-downloader');
+const templateSpec = require('./template-spec');
+const templateManifest = require('./template-manifest');
+const templateIgnore = require('./template-ignore');
+const directoryMerge = require('./directory-merge');
+const transaction = require('./transaction');
+const journal = require('./journal');
+const pipeline = require('./pipeline');
+const supervisor = require('./process-supervisor');
+const retryPolicy = require('./retry-policy');
+const packageManager = require('./package-manager');
+const supabaseConfig = require('./supabase-config');
+const supabaseEnv = require('./supabase-env');
+const supabasePorts = require('./supabase-ports');
+const supabaseTypes = require('./supabase-types');
+const dependencyChecker = require('./dependency-checker');
+
+// How much of a command's stderr is kept for the retry classifier
+const STDERR_TAIL_LENGTH = 16 * 1024;
+
+// Project paths the CLI, Next.js and the Supabase CLI write to, which a
+// template re-sync never removes, in .gitignore syntax
+const TOOL_OWNED_PATHS = [
+  'node_modules',
+  '.git',
+  journal.JOURNAL_DIR,
+  '.next',
+  '.env',
+  '.env.local',
+  '.env.*.local',
+  'supabase/.temp',
+  'supabase/.branches'
+];
 
 /**
- * Execute a command with retry logic and proper error handling
+ * Execute a command with retry logic and proper error handling. The command
+ * runs under supervision: on timeout its whole process tree is stopped
+ * before the next attempt starts. Whether a failure is retried is decided by
+ * the policy's classifier, which also sees the exit code and stderr.
  * @param {string} command - Command to execute
  * @param {string[]} args - Command arguments
- * @param {Object} options - Execution options
- * @param {number} maxRetries - Maximum number of retries
- * @param {number} timeout - Timeout in milliseconds
+ * @param {Object} options - Execution options, including an optional AbortSignal as `signal`
+ * @param {Object} policy - Retry policy, see retryPolicy.resolvePolicy
  * @returns {Promise<void>}
  */
-async function executeWithRetry(command, args, options, maxRetries = 3, timeout = 60000) {
-  let lastError = null;
+async function executeWithRetry(command, args, options, policy) {
   let retryCount = 0;
   
-  while (retryCount <= maxRetries) {
+  while (true) {
+    let stderr = '';
+    
     try {
-      // Create a promise that will reject after the timeout
-      const timeoutPromise = new Promise((_, reject) => {
-        setTimeout(() => reject(new Error(`Command timed out after ${timeout}ms`)), timeout);
-      });
-      
-      // Create the command execution promise with pipe instead of inherit
+      // Run the command with pipe instead of inherit
       // This gives us more control over the process
-      const execaOptions = {
+      const { child, result } = supervisor.run(command, args, {
         ...options,
+        timeout: policy.timeout,
         stdio: ['pipe', 'pipe', 'pipe'],
         buffer: false
-      };
-      
-      const execPromise = execa(command, args, execaOptions);
+      });
       
       // Set up output handling
-      if (execPromise.stdout) {
-        execPromise.stdout.on('data', (data) => {
-          process.stdout.write(data);
+      if (child && child.stdout) {
+        child.stdout.on('data', (data) => {
+          logger.getCommandOutput().stream.write(data);
         });
       }
       
-      if (execPromise.stderr) {
-        execPromise.stderr.on('data', (data) => {
+      if (child && child.stderr) {
+        child.stderr.on('data', (data) => {
           process.stderr.write(data);
+          stderr = (stderr + data).slice(-STDERR_TAIL_LENGTH);
         });
       }
       
-      // Race between the command execution and the timeout
-      await Promise.race([execPromise, timeoutPromise]);
+      await result;
       
       // If we get here, the command completed successfully
       return;
     } catch (error) {
-      lastError = error;
+      // Output is not buffered, so keep the end of stderr with the error
+      error.stderr = stderr;
+      
+      // Stopped on purpose, not worth retrying whatever the classifier says
+      if (error.code === 'CSN_INTERRUPTED' || error.name === 'AbortError') {
+        throw error;
+      }
       
-      // Check if this is a "context canceled" error or other transient error
-      const isTransientError =
-        error.message.includes('context canceled') ||
-        error.message.includes('timed out') ||
-        error.code === 'ETIMEDOUT' ||
-        error.code === 'ECONNRESET' ||
-        error.code === 'ECONNREFUSED';
+      error.transient = Boolean(await policy.classify({
+        error,
+        command,
+        args,
+        exitCode: error.exitCode,
+        stderr,
+        attempt: retryCount
+      }));
       
-      if (isTransientError && retryCount < maxRetries) {
-        // Log retry attempt
-        logger.warn(`Command failed with error: ${error.message}. Retrying (${retryCount + 1}/${maxRetries})...`);
-        
-        // Exponential backoff: wait longer between each retry
-        const backoffTime = Math.min(1000 * Math.pow(2, retryCount), 10000);
-        await new Promise(resolve => setTimeout(resolve, backoffTime));
-        
-        retryCount++;
-      } else {
+      if (!error.transient || retryCount >= policy.maxRetries) {
         // Either not a transient error or we've exhausted retries
         throw error;
       }
+      
+      const delay = retryPolicy.getDelay(policy, retryCount);
+      logger.warn(`Command failed with error: ${error.message}. Retrying in ${(delay / 1000).toFixed(1)}s (${retryCount + 1}/${policy.maxRetries})...`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+      
+      retryCount++;
+    }
+  }
+}
+
+/**
+ * Execute a command with retry logic, see executeWithRetry, and give its
+ * failure the error code of the step that ran it
+ * @param {string} command - Command to execute
+ * @param {string[]} args - Command arguments
+ * @param {Object} options - Execution options
+ * @param {Object} policy - Retry policy, see retryPolicy.resolvePolicy
+ * @param {string} code - Error code of the step, one of errors.ERROR_CODES
+ * @returns {Promise<void>}
+ */
+async function executeStep(command, args, options, policy, code) {
+  try {
+    await executeWithRetry(command, args, options, policy);
+  } catch (error) {
+    if (error.code === 'CSN_INTERRUPTED' || error.name === 'AbortError') {
+      throw error;
+    }
+    
+    // Commands stopped by the supervisor, e.g. on timeout, do not name themselves
+    throw new errors.StepError(code, error.shortMessage || `${[command, ...args].join(' ')}: ${error.message}`, { cause: error });
+  }
+}
+
+/**
+ * Ask the questions of the template manifest, if the scaffolded template
+ * has one, and render the answers into the project
+ * @param {string} projectName - Name of the project
+ * @param {string} projectPath - Path to the scaffolded project
+ * @param {Object} variables - Answers given with --var, keyed by question name
+ * @returns {Promise<Object>} - `answers` keyed by question name, and the `typesOutput` path the manifest sets, if any
+ */
+async function applyManifest(projectName, projectPath, variables) {
+  const manifest = await templateManifest.loadManifest(projectPath);
+  
+  if (!manifest) {
+    return { answers: {} };
+  }
+  
+  const answers = await templateManifest.askQuestions(manifest, variables);
+  await templateManifest.renderProject(projectPath, manifest, { projectName, ...answers });
+  return { answers, typesOutput: manifest.types && manifest.types.output };
+}
+
+/**
+ * Name the project's package after the project, as create-next-app does
+ * @param {string} projectPath - Path to the project
+ * @param {string} projectName - Name of the project
+ * @returns {Promise<void>}
+ */
+async function setPackageName(projectPath, projectName) {
+  const packageJsonPath = path.join(projectPath, 'package.json');
+  
+  if (fs.existsSync(packageJsonPath)) {
+    const packageJson = await fs.readJson(packageJsonPath);
+    packageJson.name = projectName;
+    await fs.writeJson(packageJsonPath, packageJson, { spaces: 2 });
+  }
+}
+
+/**
+ * Read the project's package.json
+ * @param {string} projectPath - Path to the project
+ * @returns {Promise<Object|null>} - Parsed package.json, or null if there is none
+ */
+async function readPackageJson(projectPath) {
+  const packageJsonPath = path.join(projectPath, 'package.json');
+  return fs.existsSync(packageJsonPath) ? fs.readJson(packageJsonPath) : null;
+}
+
+/**
+ * Clone the template with create-next-app, without installing dependencies
+ * or initializing git, which are separate steps
+ * @param {Object} template - Parsed template, see templateSpec.parseTemplateSpec
+ * @param {string} destPath - Directory to clone into
+ * @param {Object} options - Options the project is initialized with, see initialize
+ * @returns {Promise<void>}
+ */
+async function fetchWithCreateNextApp(template, destPath, options) {
+  logger.startSpinner(`Cloning ${templateSpec.formatTemplateSpec(template)} with create-next-app...`);
+  
+  await executeWithRetry('npx', [
+    'create-next-app',
+    destPath,
+    packageManager.getCreateNextAppFlag(options.packageManager),
+    '--example',
+    templateSpec.toExampleUrl(template),
+    '--skip-install',
+    '--disable-git'
+  ], {}, retryPolicy.resolvePolicy('create', options.retry));
+  
+  logger.succeedSpinner('Template cloned successfully');
+}
+
+/**
+ * Download step: fetch the template while the dependency check started by
+ * the caller finishes, then check the installed tools against the versions
+ * the template requires
+ * @param {Object} context - Pipeline context, see runSteps
+ * @returns {Promise<void>}
+ */
+async function downloadStep(context) {
+  const { options, journal: { state } } = context;
+  
+  // Let the fetch settle before failing on missing tools, so that nothing
+  // is still writing into the project while the transaction rolls back
+  const [fetched, checked] = await Promise.allSettled([
+    fetchTemplate(context),
+    options.checkDependencies ? options.checkDependencies() : null
+  ]);
+  
+  if (checked.status === 'rejected') {
+    throw checked.reason;
+  }
+  
+  if (fetched.status === 'rejected') {
+    throw fetched.reason;
+  }
+  
+  logger.event('template', { template: templateSpec.formatTemplateSpec(options.template), ...state.resolvedTemplate });
+  
+  // Missing tools the user chose to install into the project
+  state.devTools = checked.value || [];
+  
+  if (!options.skipDependencyCheck) {
+    await checkTemplateRequirements(state.templatePath, options);
+  }
+}
+
+/**
+ * Fetch the template into the journal directory, with create-next-app or
+ * directly depending on the strategy. When create-next-app fails with a
+ * transient error after its retries, the template is downloaded directly
+ * instead. Local template directories are used in place.
+ * @param {Object} context - Pipeline context, see runSteps
+ * @returns {Promise<void>}
+ */
+async function fetchTemplate(context) {
+  const { options, journal: { state } } = context;
+  const localPath = templateDownloader.getLocalTemplatePath(options.template);
+  
+  if (localPath) {
+    state.templatePath = localPath;
+    state.resolvedTemplate = { ref: null, sha: null };
+    return;
+  }
+  
+  const stagedPath = path.join(journal.getJournalDir(context.projectPath), 'template');
+  await fs.remove(stagedPath);
+  
+  if (options.strategy !== 'native') {
+    try {
+      await fetchWithCreateNextApp(options.template, stagedPath, options);
+      state.templatePath = stagedPath;
+      // create-next-app does not say which commit it cloned
+      state.resolvedTemplate = { ref: options.template.ref || null, sha: null };
+      return;
+    } catch (error) {
+      if (error.code === 'CSN_INTERRUPTED') {
+        throw error;
+      }
+      
+      if (!error.transient) {
+        throw new errors.NetworkError('CSN_DOWNLOAD_FAILED', `create-next-app could not fetch the template: ${error.shortMessage || error.message}`, { cause: error });
+      }
+      
+      logger.warn(`create-next-app failed with error: ${error.message}. Falling back to native scaffolding...`);
+      
+      // Discard whatever create-next-app left behind before starting over
+      await fs.remove(stagedPath);
+    }
+  }
+  
+  const { path: downloadedPath, ref, sha } = await templateDownloader.downloadTemplate(options.template, {
+    cacheMode: options.cacheMode,
+    maxArchiveSize: options.maxArchiveSize
+  });
+  
+  await fs.move(downloadedPath, stagedPath);
+  state.templatePath = stagedPath;
+  state.resolvedTemplate = { ref: ref || null, sha: sha || null };
+}
+
+/**
+ * Check the tools the run needs against the version ranges the template
+ * asks for in its package.json or manifest `engines`. The CLI's own ranges
+ * were already checked before the template was fetched.
+ * @param {string} templatePath - Template directory
+ * @param {Object} options - Run options, see initialize
+ * @returns {Promise<void>}
+ */
+async function checkTemplateRequirements(templatePath, options) {
+  const requirements = dependencyChecker.readRequirements(templatePath);
+  const required = dependencyChecker.getRequiredTools({ ...options, supabase: options.supabase !== 'skip' });
+  const names = required.filter(name => requirements[name]);
+  const tools = await dependencyChecker.checkTools(names, { requirements, cacheTtl: options.dependencyCacheTtl });
+  const outdated = tools.filter(tool => tool.status === 'outdated');
+  
+  if (outdated.length > 0) {
+    throw new errors.DependencyError(`The template needs newer versions of ${outdated.map(tool => tool.title).join(', ')}`, {
+      missing: outdated.map(tool => tool.name),
+      tools
+    });
+  }
+}
+
+/**
+ * Copy step: copy the template next to the project, apply its manifest and
+ * move the result into the project directory, asking about conflicts when
+ * merging into an existing directory. Once the files are in place, the
+ * transaction is committed: later failures keep the project for `resume`
+ * instead of rolling it back.
+ * @param {Object} context - Pipeline context, see runSteps
+ * @returns {Promise<void>}
+ */
+async function copyStep(context) {
+  const { options, projectPath, journal: { state } } = context;
+  const journalDir = journal.getJournalDir(projectPath);
+  const scaffoldPath = path.join(journalDir, 'scaffold');
+  
+  await fs.remove(scaffoldPath);
+  await templateDownloader.copyTemplateFiles(state.templatePath, scaffoldPath, options);
+  
+  // The manifest is not copied into the project, so keep what later steps need from it
+  ({ answers: state.answers, typesOutput: state.typesOutput } = await applyManifest(options.projectName, scaffoldPath, options.variables));
+  await setPackageName(scaffoldPath, options.projectName);
+  
+  // A fresh project directory only holds the journal, so nothing can
+  // conflict there except files left by an earlier attempt
+  const { kept, overwritten } = await directoryMerge.mergeDirectories(
+    scaffoldPath,
+    projectPath,
+    directoryMerge.createConflictResolver(options.merge ? options.onConflict : 'overwrite')
+  );
+  
+  if (options.merge && overwritten.length > 0) {
+    logger.info(`Overwrote ${overwritten.length} existing file(s): ${overwritten.join(', ')}`);
+  }
+  
+  if (kept.length > 0) {
+    logger.warn(`Kept ${kept.length} existing file(s): ${kept.join(', ')}`);
+  }
+  
+  await fs.remove(scaffoldPath);
+  
+  if (state.templatePath.startsWith(journalDir)) {
+    await fs.remove(state.templatePath);
+  }
+  
+  await transaction.commit();
+}
+
+/**
+ * Install step: install the project's dependencies with the chosen package
+ * manager, then add the missing tools the user chose to install into the
+ * project and check that they can be found
+ * @param {Object} context - Pipeline context, see runSteps
+ * @returns {Promise<void>}
+ */
+async function installStep(context) {
+  const { options, projectPath, journal: { state } } = context;
+  const policy = retryPolicy.resolvePolicy('install', options.retry);
+  const { command, args } = packageManager.getInstallCommand(options.packageManager);
+  
+  logger.startSpinner(`Installing dependencies with ${command}...`);
+  await executeStep(command, args, { cwd: projectPath }, policy, 'CSN_INSTALL_FAILED');
+  logger.succeedSpinner('Dependencies installed');
+  
+  const devTools = state.devTools || [];
+  
+  if (devTools.length === 0) {
+    return;
+  }
+  
+  const packages = devTools.map(name => dependencyChecker.INSTALLABLE_TOOLS[name].package);
+  const add = packageManager.getAddDevCommand(options.packageManager, packages);
+  
+  logger.startSpinner(`Adding ${packages.join(', ')} to the project's devDependencies...`);
+  await executeStep(add.command, add.args, { cwd: projectPath }, policy, 'CSN_INSTALL_FAILED');
+  
+  const tools = await dependencyChecker.checkTools(devTools, { cwd: projectPath, refresh: true });
+  const stillMissing = tools.filter(tool => tool.status === 'missing');
+  
+  if (stillMissing.length > 0) {
+    throw new errors.DependencyError(`${stillMissing.map(tool => tool.title).join(', ')} could not be found after adding it to the project`, {
+      missing: stillMissing.map(tool => tool.name),
+      tools
+    });
+  }
+  
+  logger.succeedSpinner(`Added ${packages.join(', ')} to the project's devDependencies`);
+}
+
+/**
+ * Run `supabase init`, falling back as described in
+ * supabase-context-canceled-solution.md: through npx first, then the
+ * globally installed CLI, and when that fails with "context canceled", once
+ * more with the terminal attached and twice the timeout
+ * @param {string} projectPath - Path to the project
+ * @param {Object} [retry] - Retry settings, see retryPolicy.normalizeRetrySettings
+ * @returns {Promise<void>}
+ */
+async function initializeSupabase(projectPath, retry) {
+  const policy = retryPolicy.resolvePolicy('supabase', retry);
+  // Closing stdin keeps init from waiting for answers to its prompts
+  const options = { cwd: projectPath, input: '' };
+  
+  try {
+    await executeWithRetry('npx', ['supabase', 'init'], options, policy);
+    return;
+  } catch (error) {
+    if (error.code === 'CSN_INTERRUPTED') {
+      throw error;
+    }
+    
+    logger.warn(`npx supabase init failed: ${error.message}. Trying the supabase command directly...`);
+  }
+  
+  try {
+    await executeWithRetry('supabase', ['init'], options, policy);
+    return;
+  } catch (error) {
+    if (error.code === 'CSN_INTERRUPTED') {
+      throw error;
+    }
+    
+    logger.warn(`supabase init failed: ${error.message}`);
+    
+    if (!`${error.message}\n${error.stderr}`.includes('context canceled')) {
+      throw supabaseInitError(error);
+    }
+  }
+  
+  logger.info('Detected a "context canceled" error, attempting final initialization with the terminal attached...');
+  
+  const { result } = supervisor.run('supabase', ['init'], {
+    cwd: projectPath,
+    stdio: logger.getCommandOutput().stdio,
+    detached: false,
+    timeout: policy.timeout * 2
+  });
+  
+  try {
+    await result;
+  } catch (error) {
+    if (error.code === 'CSN_INTERRUPTED') {
+      throw error;
+    }
+    
+    logger.warn(`Final attempt failed: ${error.message}`);
+    throw supabaseInitError(error);
+  }
+}
+
+/**
+ * Create the error reported when every way of running `supabase init` failed
+ * @param {Error} cause - Error of the last attempt
+ * @returns {errors.StepError} - Error
+ */
+function supabaseInitError(cause) {
+  return new errors.StepError(
+    'CSN_SUPABASE_INIT_FAILED',
+    'Failed to initialize Supabase. Please ensure Supabase CLI is installed correctly.\n' +
+    'See installation instructions at: https://github.com/supabase/cli#install-the-cli',
+    { cause }
+  );
+}
+
+/**
+ * Supabase step: initialize Supabase unless the template ships its own
+ * supabase/config.toml, then check that the config is usable
+ * @param {Object} context - Pipeline context, see runSteps
+ * @returns {Promise<void>}
+ */
+async function supabaseStep(context) {
+  const { projectPath, options } = context;
+  
+  if (!supabaseConfig.exists(projectPath)) {
+    logger.startSpinner('Initializing Supabase...');
+    await initializeSupabase(projectPath, options.retry);
+    logger.succeedSpinner('Supabase initialized successfully');
+  }
+  
+  await supabaseConfig.validateProjectConfig(projectPath);
+}
+
+/**
+ * Supabase ports step: move the local stack's ports and set its project_id,
+ * so that it can run next to other projects
+ * @param {Object} context - Pipeline context, see runSteps
+ * @returns {Promise<void>}
+ */
+async function supabasePortsStep(context) {
+  const { projectPath, options } = context;
+  const { ports, busy, envUpdated } = await supabasePorts.allocatePorts(projectPath, {
+    mode: options.supabasePorts,
+    projectName: options.projectName
+  });
+  
+  logger.success(`Supabase will use ports ${[...ports.values()].sort((a, b) => a - b).join(', ')} (API on ${ports.get('api.port')})`);
+  
+  if (busy.length > 0) {
+    logger.warn(`These ports are in use right now: ${busy.join(', ')}`);
+  }
+  
+  if (envUpdated.length > 0) {
+    logger.info(`Updated ${envUpdated.join(', ')} in ${supabaseEnv.ENV_FILE} to the new ports`);
+  }
+}
+
+/**
+ * Setup step: run the template's setup script in the new project
+ * @param {Object} context - Pipeline context, see runSteps
+ * @returns {Promise<void>}
+ */
+async function setupStep(context) {
+  const { command, args } = packageManager.getRunCommand(context.options.packageManager, 'setup');
+  
+  logger.startSpinner('Running setup script in the new project...');
+  
+  // The setup script may prompt, so it keeps the terminal's process group
+  const { result } = supervisor.run(command, args, {
+    cwd: context.projectPath,
+    stdio: logger.getCommandOutput().stdio,
+    shell: true,
+    detached: false
+  });
+  
+  try {
+    await result;
+  } catch (error) {
+    if (error.exitCode === undefined || error.code === 'CSN_INTERRUPTED') {
+      throw error;
+    }
+    throw new errors.StepError('CSN_SETUP_FAILED', `Setup script failed with code ${error.exitCode}`, { cause: error });
+  }
+  
+  logger.succeedSpinner('Setup completed successfully');
+}
+
+/**
+ * Gen types step: generate TypeScript types from the local Supabase
+ * database into the path set by the template manifest. The local stack must
+ * be running, so failures come with a hint on how to start it.
+ * @param {Object} context - Pipeline context, see runSteps
+ * @returns {Promise<void>}
+ */
+async function genTypesStep(context) {
+  const { projectPath, options, journal: { state } } = context;
+  
+  logger.startSpinner('Generating Supabase types...');
+  
+  try {
+    const outputPath = await supabaseTypes.generateTypes(projectPath, state.typesOutput);
+    logger.succeedSpinner(`Generated Supabase types in ${chalk.cyan(path.relative(projectPath, outputPath))}`);
+  } catch (error) {
+    if (error.code !== 'CSN_INTERRUPTED') {
+      error.packageManager = options.packageManager;
+      logger.failSpinner('Could not generate Supabase types');
+      const projectDir = path.relative(process.cwd(), projectPath) || '.';
+      const output = state.typesOutput ? ` --output ${state.typesOutput}` : '';
+      errorHandler.handleTypesError(error, `create-supabase-next types ${projectDir}${output}`);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Check whether a command can be run
+ * @param {string} command - Command to check
+ * @param {string[]} args - Arguments to run it with
+ * @param {Object} options - Execution options
+ * @returns {Promise<boolean>} - Whether the command succeeded
+ */
+async function succeeds(command, args, options = {}) {
+  try {
+    await execa(command, args, options);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Git init step: create a repository with an initial commit, unless the
+ * project is already inside one
+ * @param {Object} context - Pipeline context, see runSteps
+ * @returns {Promise<void>}
+ */
+async function gitInitStep(context) {
+  const cwd = context.projectPath;
+  
+  await execa('git', ['init'], { cwd });
+  
+  // Keep the journal of an unfinished run out of the repository
+  await fs.appendFile(path.join(cwd, '.git', 'info', 'exclude'), `\n/${journal.JOURNAL_DIR}/\n`);
+  
+  await execa('git', ['add', '-A'], { cwd });
+  
+  if (!await succeeds('git', ['commit', '-m', 'Initial commit from create-supabase-next'], { cwd })) {
+    logger.warn('Initialized a git repository, but could not create the initial commit. Check your git user.name and user.email.');
+    return;
+  }
+  
+  logger.success('Initialized a git repository');
+}
+
+/**
+ * Env step: write the local Supabase stack's credentials to .env.local. When
+ * the stack is not running, the step only explains how to do it later.
+ * @param {Object} context - Pipeline context, see runSteps
+ * @returns {Promise<void>}
+ */
+async function envStep(context) {
+  const { projectPath, options } = context;
+  
+  try {
+    await supabaseEnv.generateEnvLocal(projectPath, { overwrite: options.overwriteEnv });
+  } catch (error) {
+    if (error.code !== 'CSN_SUPABASE_NOT_RUNNING') {
+      throw error;
+    }
+    
+    const projectDir = path.relative(process.cwd(), projectPath) || '.';
+    logger.info(
+      `${error.message}. Start it with ${chalk.cyan(packageManager.formatExec(options.packageManager, 'supabase start'))}, ` +
+      `then run ${chalk.cyan(`create-supabase-next env ${projectDir}`)} to write ${supabaseEnv.ENV_FILE}.`
+    );
+  }
+}
+
+/**
+ * Verify step: check that the project looks complete
+ * @param {Object} context - Pipeline context, see runSteps
+ * @returns {Promise<void>}
+ */
+async function verifyStep(context) {
+  const { projectPath, journal: { steps } } = context;
+  const packageJson = await readPackageJson(projectPath);
+  const installed = steps.some(step => step.name === 'install' && step.status === 'done');
+  const problems = [];
+  
+  if (!packageJson) {
+    problems.push('package.json is missing');
+  } else if (!packageJson.scripts || !packageJson.scripts.dev) {
+    problems.push('package.json has no dev script');
+  }
+  
+  const hasDependencies = packageJson &&
+    Object.keys({ ...packageJson.dependencies, ...packageJson.devDependencies }).length > 0;
+  
+  // Yarn Plug'n'Play installs without a node_modules directory
+  const dependenciesPresent = ['node_modules', '.pnp.cjs'].some(name => fs.existsSync(path.join(projectPath, name)));
+  
+  if (installed && hasDependencies && !dependenciesPresent) {
+    problems.push('node_modules is missing');
+  }
+  
+  if (problems.length > 0) {
+    throw new errors.StepError('CSN_VERIFY_FAILED', `The project looks incomplete: ${problems.join(', ')}`);
+  }
+}
+
+// Steps run by initialize and resume, in order
+const STEPS = [
+  { name: 'download', title: 'Download', run: downloadStep },
+  { name: 'copy', title: 'Copy', run: copyStep },
+  {
+    name: 'install',
+    title: 'Install',
+    run: installStep,
+    skip: async (context) => (await readPackageJson(context.projectPath) ? null : 'the template has no package.json')
+  },
+  {
+    name: 'supabase-init',
+    title: 'Supabase init',
+    optional: true,
+    run: supabaseStep,
+    skip: async (context) => (context.options.supabase === 'skip' ? 'disabled with --supabase skip' : null)
+  },
+  {
+    name: 'supabase-ports',
+    title: 'Supabase ports',
+    optional: true,
+    run: supabasePortsStep,
+    skip: async (context) => {
+      if (context.options.supabase === 'skip') {
+        return 'disabled with --supabase skip';
+      }
+      if (!context.options.supabasePorts) {
+        return 'keeping the template\'s ports, pass --supabase-ports auto to move them';
+      }
+      return supabaseConfig.exists(context.projectPath) ? null : `the project has no ${supabaseConfig.CONFIG_PATH}`;
     }
+  },
+  {
+    name: 'setup',
+    title: 'Setup',
+    optional: true,
+    run: setupStep,
+    skip: async (context) => {
+      const packageJson = await readPackageJson(context.projectPath);
+      return packageJson && packageJson.scripts && packageJson.scripts.setup ? null : 'the template has no setup script';
+    }
+  },
+  {
+    name: 'gen-types',
+    title: 'Gen types',
+    optional: true,
+    run: genTypesStep,
+    skip: async (context) => {
+      if (context.options.supabase === 'skip') {
+        return 'disabled with --supabase skip';
+      }
+      if (!context.options.genTypes) {
+        return 'pass --gen-types to generate Supabase types';
+      }
+      return supabaseConfig.exists(context.projectPath) ? null : `the project has no ${supabaseConfig.CONFIG_PATH}`;
+    }
+  },
+  {
+    name: 'git-init',
+    title: 'Git init',
+    optional: true,
+    run: gitInitStep,
+    skip: async (context) => {
+      if (!await succeeds('git', ['--version'])) {
+        return 'git is not installed';
+      }
+      return await succeeds('git', ['rev-parse', '--is-inside-work-tree'], { cwd: context.projectPath })
+        ? 'the project is already inside a git repository'
+        : null;
+    }
+  },
+  {
+    name: 'env',
+    title: 'Env',
+    optional: true,
+    run: envStep,
+    skip: async (context) => (context.options.supabase === 'skip' ? 'disabled with --supabase skip' : null)
+  },
+  { name: 'verify', title: 'Verify', optional: true, run: verifyStep }
+];
+
+/**
+ * Report a failed run, see errorHandler.handleError
+ * @param {Error} error - Error that stopped the run
+ */
+function reportError(error) {
+  logger.failSpinner('Failed to create project');
+  errorHandler.handleError(error);
+}
+
+/**
+ * Tell the user how to continue an unfinished project
+ * @param {string} projectPath - Path to the project
+ * @param {Error} error - Error the run stopped with
+ */
+function printResumeHint(projectPath, error) {
+  const command = chalk.cyan(`create-supabase-next resume ${path.relative(process.cwd(), projectPath) || '.'}`);
+  
+  if (error.code === 'CSN_INTERRUPTED') {
+    logger.failSpinner(error.message);
+    logger.info(`Run ${command} to continue.`);
+  } else {
+    logger.info(`Fix the problem above, then run ${command} to continue.`);
   }
 }
 
 /**
- * Initialize project by cloning the template repository using create-next-app
+ * Run the steps that are not done yet and clean up the journal once all of
+ * them have succeeded
+ * @param {Object} context - Pipeline context with the `projectPath`, the run `options` and the `journal`
+ * @returns {Promise<Object>} - Template manifest `answers`, the names of `failedSteps` and the `resolvedTemplate` ref and commit SHA
+ */
+async function runSteps(context) {
+  // Stop running commands on Ctrl+C, so that the interrupted step is left
+  // for resume to re-run. Before the files are copied, the transaction
+  // rolls back instead. The handlers stay registered until the steps are
+  // done: with none left, execa's exit hook would re-raise the signal and
+  // kill the CLI before the interrupt is reported.
+  const onSignal = (signal) => {
+    context.interrupted = supervisor.interruptedError(signal);
+    supervisor.terminateAll(context.interrupted).then((stopped) => {
+      if (stopped === 0 && !transaction.wasInterrupted()) {
+        logger.failSpinner(`Interrupted by ${signal}`);
+        process.exit(supervisor.SIGNAL_EXIT_CODES[signal]);
+      }
+    });
+  };
+  
+  process.on('SIGINT', onSignal);
+  process.on('SIGTERM', onSignal);
+  
+  let failedSteps;
+  
+  try {
+    failedSteps = await pipeline.runPipeline(STEPS, context);
+  } finally {
+    process.removeListener('SIGINT', onSignal);
+    process.removeListener('SIGTERM', onSignal);
+  }
+  
+  if (failedSteps.length === 0) {
+    await journal.remove(context.projectPath);
+    logger.succeedSpinner('Project created successfully');
+  }
+  
+  const { answers = {}, resolvedTemplate = null } = context.journal.state;
+  return { answers, failedSteps, resolvedTemplate };
+}
+
+/**
+ * Initialize project from the template repository. The work is split into
+ * named steps (download, copy, install, supabase-init, supabase-ports, setup,
+ * git-init, env and verify) whose progress is journalled in the project
+ * directory, see resume. Until the files are copied, a failure or Ctrl+C
+ * rolls the project back; after that, the project is kept so that the failed
+ * steps can be resumed.
  * @param {Object} options - Initialization options
  * @param {string} options.projectName - Name of the project
  * @param {string} options.projectPath - Path to the project
- * @param {string} options.templateRepo - GitHub repository URL for the template
- * @returns {Promise<void>}
+ * @param {Object} options.template - Parsed template, see templateSpec.parseTemplateSpec
+ * @param {string} [options.strategy] - Scaffolding strategy, 'create-next-app' or 'native'
+ * @param {string} [options.cacheMode] - Template cache mode, 'online', 'prefer-offline' or 'offline'
+ * @param {number} [options.maxArchiveSize] - Maximum template archive size in bytes
+ * @param {boolean} [options.merge] - Merge into an existing directory, asking about each conflicting file
+ * @param {string} [options.onConflict] - 'keep' or 'overwrite' to resolve merge conflicts without asking
+ * @param {Object} [options.variables] - Answers for the template manifest given with --var
+ * @param {string[]} [options.exclude] - Extra globs of template files to skip
+ * @param {string[]} [options.include] - Globs of template files to copy even when ignored
+ * @param {boolean} [options.verbose] - List the template files that were skipped
+ * @param {string} [options.onFailure] - What to do with a partial project on failure or Ctrl+C: 'remove', 'quarantine' or 'keep'
+ * @param {string} [options.packageManager] - Package manager to install dependencies and run scripts with, one of packageManager.PACKAGE_MANAGERS
+ * @param {string} [options.supabase] - 'init' to initialize Supabase when the template has no supabase/config.toml, 'skip' to leave it out
+ * @param {string|number} [options.supabasePorts] - 'auto' or the lowest port to move the local Supabase stack's ports to
+ * @param {boolean} [options.genTypes] - Generate TypeScript types from the local Supabase database after setup
+ * @param {boolean} [options.skipDependencyCheck] - Do not check tool versions against the template's requirements
+ * @param {boolean} [options.requireDocker] - Treat Docker as required when checking the template's requirements
+ * @param {number} [options.dependencyCacheTtl] - How long cached tool versions are reused, see dependencyChecker.checkTools
+ * @param {Function} [options.checkDependencies] - Resolves once the dependency check the caller started in the background has passed, with the names of tools to add to the project's devDependencies, see dependencyChecker.INSTALLABLE_TOOLS; rejects if it failed. Awaited after the template is fetched.
+ * @param {boolean} [options.overwriteEnv] - Replace values in an existing .env.local without asking
+ * @param {Object} [options.retry] - Retry settings for the commands that are run, see retryPolicy.normalizeRetrySettings
+ * @returns {Promise<Object>} - Template manifest `answers`, needed to re-sync the project later, the names of optional `failedSteps` and the `resolvedTemplate` ref and commit SHA
  */
 async function initialize(options) {
-  const { projectName, projectPath, templateRepo } = options;
+  const runOptions = {
+    strategy: 'create-next-app',
+    cacheMode: 'online',
+    merge: false,
+    variables: {},
+    packageManager: 'npm',
+    supabase: 'init',
+    ...options
+  };
+  const { projectPath } = runOptions;
+  const context = {
+    projectPath,
+    options: runOptions,
+    journal: journal.create(runOptions, STEPS.map(step => step.name))
+  };
+  
+  transaction.begin({ projectPath, existed: runOptions.merge, onFailure: runOptions.onFailure });
   
   try {
-    logger.startSpinner(`Creating project by cloning ${templateRepo}...`);
+    if (runOptions.merge && !fs.existsSync(journal.getJournalDir(projectPath))) {
+      transaction.trackCreated(journal.getJournalDir(projectPath));
+    }
+    
+    return await runSteps(context);
+  } catch (error) {
+    if (transaction.wasInterrupted()) {
+      // The signal handler rolls back, reports and exits
+      await transaction.rollback();
+      throw error;
+    }
     
-    // Use create-next-app to clone the repository directly
-    await executeWithRetry('npx', [
-      'create-next-app',
-      projectName,
-      '--use-npm',
-      '--example',
-      templateRepo
-    ], {}, 2, 180000); // Longer timeout for create-next-app as it can take time
+    // Interrupts were already reported when the running step was stopped
+    if (error.code !== 'CSN_INTERRUPTED') {
+      reportError(error);
+    }
     
-    logger.succeedSpinner('Project created successfully');
+    await transaction.rollback();
     
-    // Additional initialization steps can be handled by the setup script
-    logger.info('The project was created successfully. The setup script will handle the remaining initialization.');
+    if (journal.exists(projectPath)) {
+      printResumeHint(projectPath, error);
+    }
     
+    throw error;
+  }
+}
+
+/**
+ * Resume an unfinished project, re-running only its failed and pending
+ * steps with the options it was initialized with
+ * @param {string} projectPath - Path to the project
+ * @param {Object} [overrides] - Options that take precedence over the saved ones
+ * @param {Object} [overrides.retry] - Retry settings, merged into the saved ones
+ * @returns {Promise<Object>} - The `options` the project was initialized with, its template manifest `answers`, the names of optional `failedSteps` and the `resolvedTemplate`
+ */
+async function resume(projectPath, overrides = {}) {
+  const saved = await journal.load(projectPath);
+  
+  if (!saved) {
+    throw new errors.UsageError('CSN_NOTHING_TO_RESUME', `Nothing to resume: ${projectPath} has no unfinished create-supabase-next run`);
+  }
+  
+  const context = {
+    projectPath,
+    options: {
+      packageManager: 'npm',
+      ...saved.options,
+      projectPath,
+      retry: retryPolicy.mergeRetrySettings(saved.options.retry, overrides.retry)
+    },
+    journal: saved
+  };
+  
+  const pending = saved.steps.filter(step => step.status !== 'done' && step.status !== 'skipped');
+  logger.info(`Resuming ${chalk.cyan(projectPath)}: ${pending.map(step => step.name).join(', ') || 'no steps left'}`);
+  
+  try {
+    return { options: context.options, ...await runSteps(context) };
   } catch (error) {
-    logger.failSpinner('Failed to create project');
-    
-    // Use the appropriate error handler based on the error type
-    if (error.message.includes('context canceled') ||
-        error.message.includes('timed out') ||
-        error.code === 'ETIMEDOUT' ||
-        error.signal) {
-      errorHandler.handleProcessError(error);
-    } else if (error.code === 'ENOTFOUND' ||
-               error.code === 'ECONNREFUSED' ||
-               error.code === 'ECONNRESET') {
-      errorHandler.handleNetworkError(error);
-    } else {
-      errorHandler.handleError(error);
+    if (error.code !== 'CSN_INTERRUPTED') {
+      reportError(error);
     }
     
+    printResumeHint(projectPath, error);
     throw error;
   }
 }
 
+/**
+ * Remove a file that was deleted from the template from the project. Only
+ * files are removed: a directory is removed once it is empty, so that files
+ * the user added to it are kept.
+ * @param {string} projectPath - Path to the project
+ * @param {string} relativePath - Rendered path, relative to the project
+ * @returns {Promise<void>}
+ */
+async function removeDeletedPath(projectPath, relativePath) {
+  const targetPath = path.join(projectPath, relativePath);
+  const stats = await fs.lstat(targetPath).catch(() => null);
+  
+  if (!stats) {
+    return;
+  }
+  
+  if (!stats.isDirectory() || (await fs.readdir(targetPath)).length === 0) {
+    await fs.remove(targetPath);
+  }
+}
+
+/**
+ * Re-sync a project with the local template it was generated from. The
+ * template is copied and rendered in a staging directory, with the answers
+ * given when the project was created, and only the resulting files are
+ * copied over the project. Files deleted from the template are removed from
+ * the project, unless the template's ignore rules skip them or they belong
+ * to the tools, see TOOL_OWNED_PATHS.
+ * @param {string} templatePath - Local template directory
+ * @param {string[]} changedPaths - Changed paths, relative to the template directory
+ * @param {Object} options - Options the project was initialized with, see initialize
+ * @param {Object} options.answers - Template manifest answers returned by initialize
+ * @returns {Promise<void>}
+ */
+async function syncTemplate(templatePath, changedPaths, options) {
+  const { projectName, projectPath, answers = {} } = options;
+  const variables = { projectName, ...answers };
+  const isIgnored = templateIgnore.createIgnoreMatcher(templatePath, options);
+  const toolOwned = ignore().add(TOOL_OWNED_PATHS);
+  const staging = await tmp.dir({ unsafeCleanup: true });
+  
+  try {
+    await templateDownloader.copyTemplateFiles(templatePath, staging.path, options);
+    
+    const manifest = await templateManifest.loadManifest(staging.path);
+    
+    if (manifest) {
+      await templateManifest.renderProject(staging.path, manifest, variables);
+    }
+    
+    await setPackageName(staging.path, projectName);
+    
+    for (const changedPath of changedPaths) {
+      if (!changedPath || fs.existsSync(path.join(templatePath, changedPath)) ||
+        isIgnored(changedPath, false) || isIgnored(changedPath, true)) {
+        continue;
+      }
+      
+      const renderedPath = templateManifest.renderString(changedPath, variables);
+      
+      // Keep tool state, and paths another template file still renders to
+      if (toolOwned.ignores(renderedPath.split(path.sep).join('/')) || fs.existsSync(path.join(staging.path, renderedPath))) {
+        continue;
+      }
+      
+      await removeDeletedPath(projectPath, renderedPath);
+    }
+    
+    await fs.copy(staging.path, projectPath);
+  } finally {
+    await staging.cleanup();
+  }
+}
+
 module.exports = {
-  initialize
+  initialize,
+  resume,
+  syncTemplate
 };
\ No newline at end of file
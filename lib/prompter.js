@@ -0,0 +1,97 @@
+const inquirer = require('inquirer');
+
+const errors = require('./errors');
+
+let interactive = true;
+
+/**
+ * Configure whether questions may be asked on the terminal
+ * @param {Object} options - Prompt options
+ * @param {boolean} options.nonInteractive - Never prompt, resolve answers from flags and defaults
+ */
+function configure(options = {}) {
+  interactive = !options.nonInteractive && Boolean(process.stdin.isTTY);
+}
+
+/**
+ * Check whether questions will be asked on the terminal
+ * @returns {boolean} - Whether prompting is allowed
+ */
+function isInteractive() {
+  return interactive;
+}
+
+/**
+ * Create the error thrown when a question without a default is not answered
+ * @param {Object} question - Question that could not be answered
+ * @returns {errors.UsageError} - Error with the CSN_MISSING_ANSWER code
+ */
+function missingAnswerError(question) {
+  const hint = question.flag ? ` Pass ${question.flag} or run in an interactive terminal.` : '';
+  return new errors.UsageError('CSN_MISSING_ANSWER', `Missing required answer: ${question.message}${hint}`);
+}
+
+/**
+ * Validate an answer supplied on the command line
+ * @param {Object} question - Question the answer belongs to
+ * @param {*} value - Supplied answer
+ * @returns {Promise<*>} - Validated answer
+ */
+async function validatePreset(question, value) {
+  if (question.choices) {
+    const values = question.choices.map(choice => (typeof choice === 'object' ? choice.value : choice));
+    const invalid = (Array.isArray(value) ? value : [value]).find(item => !values.includes(item));
+    if (invalid !== undefined) {
+      throw new errors.UsageError('CSN_INVALID_OPTION', `Invalid value "${invalid}" for ${question.flag || question.name}. Expected one of: ${values.join(', ')}`);
+    }
+  }
+
+  if (question.validate) {
+    const result = await question.validate(value);
+    if (result !== true) {
+      throw new errors.UsageError('CSN_INVALID_OPTION', typeof result === 'string' ? result : `Invalid value "${value}" for ${question.flag || question.name}`);
+    }
+  }
+
+  return value;
+}
+
+/**
+ * Ask a set of questions. Answers already supplied through CLI flags are
+ * validated and not asked again. In non-interactive mode the remaining
+ * questions fall back to their defaults, and a question without one fails
+ * fast instead of blocking on stdin.
+ * @param {Object[]} questions - Inquirer questions, optionally with a `flag` key
+ * @param {Object} presets - Answers supplied on the command line, keyed by question name
+ * @returns {Promise<Object>} - Answers keyed by question name
+ */
+async function ask(questions, presets = {}) {
+  const answers = {};
+
+  for (const question of questions) {
+    if (presets[question.name] !== undefined) {
+      answers[question.name] = await validatePreset(question, presets[question.name]);
+    }
+  }
+
+  const remaining = questions.filter(question => answers[question.name] === undefined);
+
+  if (interactive) {
+    return inquirer.prompt(remaining, answers);
+  }
+
+  for (const question of remaining) {
+    if (question.default === undefined) {
+      throw missingAnswerError(question);
+    }
+    answers[question.name] = question.default;
+  }
+
+  return answers;
+}
+
+module.exports = {
+  configure,
+  isInteractive,
+  ask
+};
\ No newline at end of file
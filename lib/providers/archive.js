@@ -0,0 +1,79 @@
+/**
+ * Parse a plain archive URL such as https://example.com/template.tar.gz
+ * @param {string} spec - Template specifier
+ * @returns {Object|null} - Template source, or null if the specifier is not an archive URL
+ */
+function parse(spec) {
+  if (!/^https?:\/\//i.test(spec)) {
+    return null;
+  }
+
+  let pathname;
+
+  try {
+    ({ pathname } = new URL(spec));
+  } catch (error) {
+    // Not a valid URL, parseTemplateSpec reports it as an invalid template
+    return null;
+  }
+
+  const format = /\.zip$/i.test(pathname) ? 'zip' : /\.(tar\.gz|tgz|tar)$/i.test(pathname) ? 'tar' : null;
+
+  if (!format) {
+    return null;
+  }
+
+  return { provider: 'archive', url: spec, format, subdir: '' };
+}
+
+/**
+ * Format a template source for display
+ * @param {Object} source - Template source
+ * @returns {string} - Archive URL without its query string, which may hold credentials
+ */
+function format(source) {
+  const url = new URL(source.url);
+  return `${url.origin}${url.pathname}`;
+}
+
+/**
+ * Get the request headers for the archive request. TEMPLATE_ARCHIVE_TOKEN is
+ * sent as a bearer token for archives behind authentication.
+ * @returns {Object} - Request headers
+ */
+function getHeaders() {
+  if (process.env.TEMPLATE_ARCHIVE_TOKEN) {
+    return { 'Authorization': `Bearer ${process.env.TEMPLATE_ARCHIVE_TOKEN}` };
+  }
+
+  return {};
+}
+
+/**
+ * Turn a failed response into a helpful error message
+ * @param {http.IncomingMessage} response - Failed response
+ * @param {Object} source - Template source
+ * @returns {string} - Error message
+ */
+function describeHttpError(response, source) {
+  const { statusCode } = response;
+
+  if (statusCode === 401 || statusCode === 403) {
+    return `Access to ${format(source)} was denied. Set TEMPLATE_ARCHIVE_TOKEN if the archive requires authentication.`;
+  }
+
+  if (statusCode === 404) {
+    return `Template archive not found: ${format(source)}`;
+  }
+
+  return `Failed to download template archive: ${statusCode} ${response.statusMessage}`;
+}
+
+module.exports = {
+  name: 'archive',
+  kind: 'archive',
+  parse,
+  format,
+  getHeaders,
+  describeHttpError
+};
\ No newline at end of file
@@ -0,0 +1,168 @@
+const errors = require('../errors');
+
+const API_BASE = 'https://api.bitbucket.org/2.0';
+
+/**
+ * Parse a Bitbucket Cloud template specifier. Supported forms:
+ *   bitbucket:owner/repo(#ref)
+ *   https://bitbucket.org/owner/repo(.git)(#ref)
+ *   bitbucket.org/owner/repo/src/<ref>/<path/to/subdirectory>
+ * @param {string} spec - Template specifier
+ * @returns {Object|null} - Template source, or null if the specifier is not a Bitbucket template
+ */
+function parse(spec) {
+  const [location, hashRef] = spec.split('#');
+  let repoPath;
+
+  if (location.startsWith('bitbucket:')) {
+    repoPath = location.slice('bitbucket:'.length);
+  } else {
+    const hostMatch = location.match(/^(?:https?:\/\/)?(?:[^@/]+@)?bitbucket\.org\/(.*)$/);
+    if (!hostMatch) {
+      return null;
+    }
+    repoPath = hostMatch[1];
+  }
+
+  const match = repoPath
+    .replace(/^\/+|\/+$/g, '')
+    .match(/^([^/]+)\/([^/]+?)(?:\.git)?(?:\/src\/([^/]+)(?:\/(.+))?)?$/);
+
+  if (!match) {
+    return null;
+  }
+
+  const [, owner, repo, srcRef, subdir] = match;
+
+  if (srcRef && hashRef) {
+    throw new errors.UsageError('CSN_INVALID_OPTION', `Invalid template: ${spec}\nSpecify the ref either with /src/<ref> or with #<ref>, not both.`);
+  }
+
+  return {
+    provider: 'bitbucket',
+    owner,
+    repo,
+    ref: srcRef || hashRef || null,
+    subdir: subdir || ''
+  };
+}
+
+/**
+ * Format a template source for display
+ * @param {Object} source - Template source
+ * @returns {string} - Description such as bitbucket.org/owner/repo#ref:subdir
+ */
+function format(source) {
+  const ref = source.ref ? `#${source.ref}` : '';
+  const subdir = source.subdir ? `:${source.subdir}` : '';
+  return `bitbucket.org/${source.owner}/${source.repo}${ref}${subdir}`;
+}
+
+/**
+ * Get the request headers for API and archive requests. BITBUCKET_TOKEN is
+ * sent as a bearer token (repository or workspace access token);
+ * BITBUCKET_USERNAME with BITBUCKET_APP_PASSWORD as basic authentication.
+ * @returns {Object} - Request headers
+ */
+function getHeaders() {
+  if (process.env.BITBUCKET_TOKEN) {
+    return { 'Authorization': `Bearer ${process.env.BITBUCKET_TOKEN}` };
+  }
+
+  if (process.env.BITBUCKET_USERNAME && process.env.BITBUCKET_APP_PASSWORD) {
+    const credentials = Buffer
+      .from(`${process.env.BITBUCKET_USERNAME}:${process.env.BITBUCKET_APP_PASSWORD}`)
+      .toString('base64');
+    return { 'Authorization': `Basic ${credentials}` };
+  }
+
+  return {};
+}
+
+/**
+ * Turn a failed response into a helpful error message
+ * @param {http.IncomingMessage} response - Failed response
+ * @returns {string} - Error message
+ */
+function describeHttpError(response) {
+  const { statusCode } = response;
+
+  if (statusCode === 401) {
+    return 'Authentication with Bitbucket failed. Please check BITBUCKET_TOKEN or BITBUCKET_USERNAME and BITBUCKET_APP_PASSWORD.';
+  }
+
+  if (statusCode === 403) {
+    return 'Access forbidden. The repository may be private; set BITBUCKET_TOKEN to access it.';
+  }
+
+  if (statusCode === 404) {
+    return 'Repository or ref not found. Please check the repository URL and ref.';
+  }
+
+  if (statusCode === 429) {
+    return 'Bitbucket rate limit exceeded. Please try again later.';
+  }
+
+  if (statusCode >= 500) {
+    return 'Bitbucket server error. Please try again later.';
+  }
+
+  return `Bitbucket request failed: ${statusCode} ${response.statusMessage}`;
+}
+
+/**
+ * Get the main branch of the repository
+ * @param {Object} source - Template source
+ * @param {Function} fetchJson - Fetches a URL with the provider's headers and parses the JSON response
+ * @returns {Promise<string>} - Default branch
+ */
+async function getDefaultBranch(source, fetchJson) {
+  const repository = await fetchJson(`${API_BASE}/repositories/${source.owner}/${source.repo}`);
+  return repository.mainbranch.name;
+}
+
+/**
+ * Resolve a branch, tag or commit to the commit SHA it points at
+ * @param {Object} source - Template source
+ * @param {string} ref - Branch, tag or commit
+ * @param {Function} fetchJson - Fetches a URL with the provider's headers and parses the JSON response
+ * @returns {Promise<string>} - Commit SHA
+ */
+async function resolveCommit(source, ref, fetchJson) {
+  const commit = await fetchJson(
+    `${API_BASE}/repositories/${source.owner}/${source.repo}/commit/${encodeURIComponent(ref)}`
+  );
+  return commit.hash;
+}
+
+/**
+ * Get the URL of the tarball of a commit
+ * @param {Object} source - Template source
+ * @param {string} sha - Commit SHA
+ * @returns {string} - Tarball URL
+ */
+function getArchiveUrl(source, sha) {
+  return `https://bitbucket.org/${source.owner}/${source.repo}/get/${sha}.tar.gz`;
+}
+
+/**
+ * Get the key the template is stored under in the template cache
+ * @param {Object} source - Template source
+ * @returns {Object} - Cache owner and repo
+ */
+function getCacheKey(source) {
+  return { owner: `bitbucket.org/${source.owner}`, repo: source.repo };
+}
+
+module.exports = {
+  name: 'bitbucket',
+  kind: 'repository',
+  parse,
+  format,
+  getHeaders,
+  describeHttpError,
+  getDefaultBranch,
+  resolveCommit,
+  getArchiveUrl,
+  getCacheKey
+};
\ No newline at end of file
@@ -0,0 +1,44 @@
+const os = require('os');
+const path = require('path');
+
+/**
+ * Parse a local template specifier: a directory such as ./path/to/template
+ * or file:./path/to/template, or an archive such as file:./template.tar.gz
+ * or ./template.zip. Bare paths must start with ./, ../, / or ~/.
+ * @param {string} spec - Template specifier
+ * @returns {Object|null} - Template source, or null if the specifier is not a local template
+ */
+function parse(spec) {
+  const isBarePath = /^(\.{1,2}|~)([\\/]|$)|^\/|^[a-zA-Z]:[\\/]/.test(spec);
+
+  if (!spec.startsWith('file:') && !isBarePath) {
+    return null;
+  }
+
+  let rawPath = spec.startsWith('file:') ? spec.slice('file:'.length).replace(/^\/\/(?=\/)/, '') : spec;
+
+  if (rawPath === '~' || rawPath.startsWith('~/')) {
+    rawPath = path.join(os.homedir(), rawPath.slice(1));
+  }
+
+  const localPath = path.resolve(rawPath);
+  const format = /\.zip$/i.test(localPath) ? 'zip' : /\.(tar\.gz|tgz|tar)$/i.test(localPath) ? 'tar' : 'directory';
+
+  return { provider: 'file', path: localPath, format, subdir: '' };
+}
+
+/**
+ * Format a template source for display
+ * @param {Object} source - Template source
+ * @returns {string} - Local path
+ */
+function format(source) {
+  return source.path;
+}
+
+module.exports = {
+  name: 'file',
+  kind: 'file',
+  parse,
+  format
+};
\ No newline at end of file
@@ -0,0 +1,226 @@
+const errors = require('../errors');
+
+const DEFAULT_HOST = 'github.com';
+
+/**
+ * Get the API base URL of a GitHub or GitHub Enterprise host
+ * @param {string} host - GitHub host
+ * @returns {string} - API base URL
+ */
+function getApiBase(host) {
+  return host === DEFAULT_HOST ? 'https://api.github.com' : `https://${host}/api/v3`;
+}
+
+/**
+ * Get the token used to authenticate against a GitHub host
+ * @param {string} host - GitHub host
+ * @returns {string|undefined} - Token, if one is configured
+ */
+function getToken(host) {
+  if (host === DEFAULT_HOST) {
+    return process.env.GITHUB_TOKEN;
+  }
+
+  return process.env.GITHUB_ENTERPRISE_TOKEN || process.env.GITHUB_TOKEN;
+}
+
+/**
+ * Parse a GitHub template specifier. Supported forms:
+ *   owner/repo, github:owner/repo
+ *   owner/repo#v2.1.0, owner/repo#<commit sha>
+ *   https://github.com/owner/repo(.git)(#ref)
+ *   github.com/owner/repo/tree/<ref>/<path/to/subdirectory>
+ * URLs on the configured GitHub Enterprise host are accepted as well, and
+ * the shorthand forms resolve to that host when one is configured.
+ * @param {string} spec - Template specifier
+ * @param {Object} options - Provider options
+ * @param {string} [options.githubHost] - GitHub Enterprise host
+ * @returns {Object|null} - Template source, or null if the specifier is not a GitHub template
+ */
+function parse(spec, options = {}) {
+  const [location, hashRef] = spec.split('#');
+  const hosts = [DEFAULT_HOST, options.githubHost].filter(Boolean);
+  const hostMatch = location.match(/^(?:https?:\/\/)?(?:www\.)?([^/]+\.[^/]+)\/(.*)$/);
+
+  let host = options.githubHost || DEFAULT_HOST;
+  let repoPath = location;
+
+  if (location.startsWith('github:')) {
+    repoPath = location.slice('github:'.length);
+  } else if (hostMatch) {
+    if (!hosts.includes(hostMatch[1])) {
+      return null;
+    }
+    [, host, repoPath] = hostMatch;
+  } else if (/^[a-z][a-z0-9+.-]*:/i.test(location)) {
+    return null;
+  }
+
+  const match = repoPath
+    .replace(/^\/+|\/+$/g, '')
+    .match(/^([^/]+)\/([^/]+?)(?:\.git)?(?:\/tree\/([^/]+)(?:\/(.+))?)?$/);
+
+  if (!match) {
+    return null;
+  }
+
+  const [, owner, repo, treeRef, subdir] = match;
+
+  if (treeRef && hashRef) {
+    throw new errors.UsageError('CSN_INVALID_OPTION', `Invalid template: ${spec}\nSpecify the ref either with /tree/<ref> or with #<ref>, not both.`);
+  }
+
+  return {
+    provider: 'github',
+    host,
+    owner,
+    repo,
+    ref: treeRef || hashRef || null,
+    subdir: subdir || ''
+  };
+}
+
+/**
+ * Format a template source for display
+ * @param {Object} source - Template source
+ * @returns {string} - Description such as owner/repo#ref:subdir
+ */
+function format(source) {
+  const host = source.host === DEFAULT_HOST ? '' : `${source.host}/`;
+  const ref = source.ref ? `#${source.ref}` : '';
+  const subdir = source.subdir ? `:${source.subdir}` : '';
+  return `${host}${source.owner}/${source.repo}${ref}${subdir}`;
+}
+
+/**
+ * Get the request headers for API and archive requests
+ * @param {Object} source - Template source
+ * @returns {Object} - Request headers
+ */
+function getHeaders(source) {
+  const headers = { 'Accept': 'application/vnd.github.v3+json' };
+  const token = getToken(source.host);
+
+  if (token) {
+    headers['Authorization'] = `token ${token}`;
+  }
+
+  return headers;
+}
+
+/**
+ * Turn a failed response into a helpful error message
+ * @param {http.IncomingMessage} response - Failed response
+ * @param {Object} source - Template source
+ * @returns {string} - Error message
+ */
+function describeHttpError(response, source) {
+  const { statusCode } = response;
+
+  if (statusCode === 403 && response.headers['x-ratelimit-remaining'] === '0') {
+    if (!getToken(source.host)) {
+      return 'GitHub API rate limit exceeded. Consider setting a GITHUB_TOKEN environment variable to increase rate limits. ' +
+        'You can create a token at: https://github.com/settings/tokens';
+    }
+
+    const resetTime = new Date(parseInt(response.headers['x-ratelimit-reset']) * 1000);
+    return `GitHub API rate limit exceeded. Rate limit will reset at ${resetTime.toLocaleString()}.`;
+  }
+
+  if (statusCode === 401) {
+    return `Authentication with ${source.host} failed. Please check your ${source.host === DEFAULT_HOST ? 'GITHUB_TOKEN' : 'GITHUB_ENTERPRISE_TOKEN'}.`;
+  }
+
+  if (statusCode === 403) {
+    return 'Access forbidden. The repository may be private or not exist.';
+  }
+
+  if (statusCode === 404) {
+    return 'Repository or ref not found. Please check the repository URL and ref.';
+  }
+
+  if (statusCode >= 500) {
+    return 'GitHub server error. Please try again later.';
+  }
+
+  return `GitHub request failed: ${statusCode} ${response.statusMessage}`;
+}
+
+/**
+ * Get the default branch of the repository
+ * @param {Object} source - Template source
+ * @param {Function} fetchJson - Fetches a URL with the provider's headers and parses the JSON response
+ * @returns {Promise<string>} - Default branch
+ */
+async function getDefaultBranch(source, fetchJson) {
+  const metadata = await fetchJson(`${getApiBase(source.host)}/repos/${source.owner}/${source.repo}`);
+  return metadata.default_branch;
+}
+
+/**
+ * Resolve a branch, tag or commit to the commit SHA it points at
+ * @param {Object} source - Template source
+ * @param {string} ref - Branch, tag or commit
+ * @param {Function} fetchJson - Fetches a URL with the provider's headers and parses the JSON response
+ * @returns {Promise<string>} - Commit SHA
+ */
+async function resolveCommit(source, ref, fetchJson) {
+  const commit = await fetchJson(
+    `${getApiBase(source.host)}/repos/${source.owner}/${source.repo}/commits/${encodeURIComponent(ref)}`
+  );
+  return commit.sha;
+}
+
+/**
+ * Get the URL of the tarball of a commit
+ * @param {Object} source - Template source
+ * @param {string} sha - Commit SHA
+ * @returns {string} - Tarball URL
+ */
+function getArchiveUrl(source, sha) {
+  return `${getApiBase(source.host)}/repos/${source.owner}/${source.repo}/tarball/${sha}`;
+}
+
+/**
+ * Get the key the template is stored under in the template cache
+ * @param {Object} source - Template source
+ * @returns {Object} - Cache owner and repo
+ */
+function getCacheKey(source) {
+  const owner = source.host === DEFAULT_HOST ? source.owner : `${source.host}/${source.owner}`;
+  return { owner, repo: source.repo };
+}
+
+/**
+ * Build the URL create-next-app's --example flag understands. Only
+ * github.com repositories are supported by create-next-app.
+ * @param {Object} source - Template source
+ * @returns {string|null} - Example URL, or null if create-next-app cannot fetch the template
+ */
+function toExampleUrl(source) {
+  if (source.host !== DEFAULT_HOST) {
+    return null;
+  }
+
+  const url = `https://github.com/${source.owner}/${source.repo}`;
+
+  if (!source.ref) {
+    return url;
+  }
+
+  return `${url}/tree/${source.ref}${source.subdir ? `/${source.subdir}` : ''}`;
+}
+
+module.exports = {
+  name: 'github',
+  kind: 'repository',
+  parse,
+  format,
+  getHeaders,
+  describeHttpError,
+  getDefaultBranch,
+  resolveCommit,
+  getArchiveUrl,
+  getCacheKey,
+  toExampleUrl
+};
\ No newline at end of file
@@ -0,0 +1,191 @@
+const errors = require('../errors');
+
+const DEFAULT_HOST = 'gitlab.com';
+
+/**
+ * Get the API base URL of a GitLab host
+ * @param {string} host - GitLab host
+ * @returns {string} - API base URL
+ */
+function getApiBase(host) {
+  return `https://${host}/api/v4`;
+}
+
+/**
+ * Get the API path of a project
+ * @param {Object} source - Template source
+ * @returns {string} - Project API URL
+ */
+function getProjectUrl(source) {
+  return `${getApiBase(source.host)}/projects/${encodeURIComponent(source.projectPath)}`;
+}
+
+/**
+ * Parse a GitLab template specifier. Supported forms:
+ *   gitlab:group/project(#ref)
+ *   https://gitlab.com/group/subgroup/project(.git)(#ref)
+ *   gitlab.com/group/project/-/tree/<ref>/<path/to/subdirectory>
+ * URLs on the configured self-hosted GitLab host are accepted as well.
+ * @param {string} spec - Template specifier
+ * @param {Object} options - Provider options
+ * @param {string} [options.gitlabHost] - Self-hosted GitLab host
+ * @returns {Object|null} - Template source, or null if the specifier is not a GitLab template
+ */
+function parse(spec, options = {}) {
+  const [location, hashRef] = spec.split('#');
+  const hosts = [DEFAULT_HOST, options.gitlabHost].filter(Boolean);
+  const hostMatch = location.match(/^(?:https?:\/\/)?([^/]+\.[^/]+)\/(.*)$/);
+
+  let host = options.gitlabHost || DEFAULT_HOST;
+  let repoPath;
+
+  if (location.startsWith('gitlab:')) {
+    repoPath = location.slice('gitlab:'.length);
+  } else if (hostMatch && hosts.includes(hostMatch[1])) {
+    [, host, repoPath] = hostMatch;
+  } else {
+    return null;
+  }
+
+  const match = repoPath
+    .replace(/^\/+|\/+$/g, '')
+    .match(/^(.+?\/[^/]+?)(?:\.git)?(?:\/-\/tree\/([^/]+)(?:\/(.+))?)?$/);
+
+  if (!match) {
+    return null;
+  }
+
+  const [, projectPath, treeRef, subdir] = match;
+
+  if (treeRef && hashRef) {
+    throw new errors.UsageError('CSN_INVALID_OPTION', `Invalid template: ${spec}\nSpecify the ref either with /-/tree/<ref> or with #<ref>, not both.`);
+  }
+
+  return {
+    provider: 'gitlab',
+    host,
+    projectPath,
+    ref: treeRef || hashRef || null,
+    subdir: subdir || ''
+  };
+}
+
+/**
+ * Format a template source for display
+ * @param {Object} source - Template source
+ * @returns {string} - Description such as gitlab.com/group/project#ref:subdir
+ */
+function format(source) {
+  const ref = source.ref ? `#${source.ref}` : '';
+  const subdir = source.subdir ? `:${source.subdir}` : '';
+  return `${source.host}/${source.projectPath}${ref}${subdir}`;
+}
+
+/**
+ * Get the request headers for API and archive requests. GITLAB_TOKEN is
+ * sent as a personal access token, CI_JOB_TOKEN inside GitLab CI jobs.
+ * @returns {Object} - Request headers
+ */
+function getHeaders() {
+  if (process.env.GITLAB_TOKEN) {
+    return { 'PRIVATE-TOKEN': process.env.GITLAB_TOKEN };
+  }
+
+  if (process.env.CI_JOB_TOKEN) {
+    return { 'JOB-TOKEN': process.env.CI_JOB_TOKEN };
+  }
+
+  return {};
+}
+
+/**
+ * Turn a failed response into a helpful error message
+ * @param {http.IncomingMessage} response - Failed response
+ * @param {Object} source - Template source
+ * @returns {string} - Error message
+ */
+function describeHttpError(response, source) {
+  const { statusCode } = response;
+
+  if (statusCode === 401) {
+    return `Authentication with ${source.host} failed. Please check your GITLAB_TOKEN.`;
+  }
+
+  if (statusCode === 403) {
+    return 'Access forbidden. Your GITLAB_TOKEN may lack the read_api or read_repository scope.';
+  }
+
+  if (statusCode === 404) {
+    // GitLab answers 404 rather than 403 for private projects
+    return 'Project or ref not found. Please check the project path and ref; private projects need a GITLAB_TOKEN.';
+  }
+
+  if (statusCode === 429) {
+    return `${source.host} rate limit exceeded. Please try again later.`;
+  }
+
+  if (statusCode >= 500) {
+    return 'GitLab server error. Please try again later.';
+  }
+
+  return `GitLab request failed: ${statusCode} ${response.statusMessage}`;
+}
+
+/**
+ * Get the default branch of the project
+ * @param {Object} source - Template source
+ * @param {Function} fetchJson - Fetches a URL with the provider's headers and parses the JSON response
+ * @returns {Promise<string>} - Default branch
+ */
+async function getDefaultBranch(source, fetchJson) {
+  const project = await fetchJson(getProjectUrl(source));
+  return project.default_branch;
+}
+
+/**
+ * Resolve a branch, tag or commit to the commit SHA it points at
+ * @param {Object} source - Template source
+ * @param {string} ref - Branch, tag or commit
+ * @param {Function} fetchJson - Fetches a URL with the provider's headers and parses the JSON response
+ * @returns {Promise<string>} - Commit SHA
+ */
+async function resolveCommit(source, ref, fetchJson) {
+  const commit = await fetchJson(`${getProjectUrl(source)}/repository/commits/${encodeURIComponent(ref)}`);
+  return commit.id;
+}
+
+/**
+ * Get the URL of the tarball of a commit
+ * @param {Object} source - Template source
+ * @param {string} sha - Commit SHA
+ * @returns {string} - Tarball URL
+ */
+function getArchiveUrl(source, sha) {
+  return `${getProjectUrl(source)}/repository/archive.tar.gz?sha=${sha}`;
+}
+
+/**
+ * Get the key the template is stored under in the template cache
+ * @param {Object} source - Template source
+ * @returns {Object} - Cache owner and repo
+ */
+function getCacheKey(source) {
+  const separator = source.projectPath.lastIndexOf('/');
+  return {
+    owner: `${source.host}/${source.projectPath.slice(0, separator)}`,
+    repo: source.projectPath.slice(separator + 1)
+  };
+}
+
+module.exports = {
+  name: 'gitlab',
+  kind: 'repository',
+  parse,
+  format,
+  getHeaders,
+  describeHttpError,
+  getDefaultBranch,
+  resolveCommit,
+  getArchiveUrl,
+  getCacheKey
+};
\ No newline at end of file
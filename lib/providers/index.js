@@ -0,0 +1,28 @@
+const file = require('./file');
+const archive = require('./archive');
+const gitlab = require('./gitlab');
+const bitbucket = require('./bitbucket');
+const github = require('./github');
+
+// Tried in order; GitHub comes last as it also handles the owner/repo shorthand
+const providers = [file, archive, gitlab, bitbucket, github];
+
+/**
+ * Get a provider by name
+ * @param {string} name - Provider name
+ * @returns {Object} - Provider module
+ */
+function get(name) {
+  const provider = providers.find(candidate => candidate.name === name);
+
+  if (!provider) {
+    throw new Error(`Unknown template provider: ${name}`);
+  }
+
+  return provider;
+}
+
+module.exports = {
+  providers,
+  get
+};
\ No newline at end of file
@@ -0,0 +1,198 @@
+// Backoff strategies: how the delay before each retry grows
+const BACKOFF_STRATEGIES = ['exponential', 'linear', 'fixed'];
+
+// Policy for commands that have no policy of their own
+const DEFAULT_POLICY = {
+  maxRetries: 3,
+  timeout: 60000,
+  backoff: 'exponential',
+  delay: 1000,
+  maxDelay: 10000,
+  jitter: 0.2
+};
+
+// Built-in policies of the commands that are run with retries, keyed by the
+// name used in --retries, --step-timeout and the config file
+const STEP_POLICIES = {
+  // create-next-app fetching the template
+  create: { maxRetries: 2, timeout: 180000 },
+  install: { maxRetries: 2, timeout: 300000 },
+  // supabase init, tried through npx and then directly
+  supabase: { maxRetries: 3, timeout: 60000 }
+};
+
+// Messages and error codes of failures that are worth retrying, matched
+// against both the error and the command's stderr
+const TRANSIENT_PATTERNS = ['context canceled', 'timed out', 'socket hang up'];
+const TRANSIENT_CODES = ['ETIMEDOUT', 'ECONNRESET', 'ECONNREFUSED', 'EAI_AGAIN'];
+
+/**
+ * Parse a duration such as "300s", "5m" or "1500ms" into milliseconds.
+ * Numbers are taken as milliseconds, and 0 disables the timeout.
+ * @param {string|number} value - Duration to parse
+ * @returns {number} - Duration in milliseconds
+ */
+function parseDuration(value) {
+  if (typeof value === 'number' && value >= 0) {
+    return value;
+  }
+
+  const match = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*(ms|s|m|h)?$/i);
+
+  // Only 0 can do without a unit
+  if (!match || (!match[2] && parseFloat(match[1]) !== 0)) {
+    throw new Error(`Invalid duration: ${value}. Use a value such as 300s, 5m or 1500ms.`);
+  }
+
+  const multipliers = { ms: 1, s: 1000, m: 60 * 1000, h: 60 * 60 * 1000 };
+  return Math.round(parseFloat(match[1]) * multipliers[(match[2] || 'ms').toLowerCase()]);
+}
+
+/**
+ * Check a set of policy settings and normalize durations to milliseconds
+ * @param {Object} settings - Policy settings, any of the DEFAULT_POLICY keys and `classify`
+ * @param {string} source - Where the settings come from, used in error messages
+ * @returns {Object} - Normalized settings
+ */
+function normalizeSettings(settings, source) {
+  const normalized = { ...settings };
+
+  if (normalized.maxRetries !== undefined && !(Number.isInteger(normalized.maxRetries) && normalized.maxRetries >= 0)) {
+    throw new Error(`${source}: maxRetries must be a whole number of at least 0`);
+  }
+
+  ['timeout', 'delay', 'maxDelay'].forEach(key => {
+    if (normalized[key] === undefined) {
+      return;
+    }
+
+    try {
+      normalized[key] = parseDuration(normalized[key]);
+    } catch (error) {
+      throw new Error(`${source}: ${key} must be a duration such as 300s, 5m or 1500ms`);
+    }
+  });
+
+  if (normalized.backoff !== undefined && !BACKOFF_STRATEGIES.includes(normalized.backoff)) {
+    throw new Error(`${source}: backoff must be one of ${BACKOFF_STRATEGIES.join(', ')}`);
+  }
+
+  if (normalized.jitter === true || normalized.jitter === false) {
+    normalized.jitter = normalized.jitter ? DEFAULT_POLICY.jitter : 0;
+  }
+
+  if (normalized.jitter !== undefined && !(normalized.jitter >= 0 && normalized.jitter <= 1)) {
+    throw new Error(`${source}: jitter must be a fraction between 0 and 1`);
+  }
+
+  if (normalized.classify !== undefined && typeof normalized.classify !== 'function') {
+    throw new Error(`${source}: classify must be a function`);
+  }
+
+  return normalized;
+}
+
+/**
+ * Check retry settings as given in the config file or on the command line:
+ * policy settings for all commands, plus per-command settings under `steps`
+ * @param {Object} retry - Retry settings
+ * @param {string} source - Where the settings come from, used in error messages
+ * @returns {Object} - Normalized settings
+ */
+function normalizeRetrySettings(retry = {}, source = 'retry') {
+  const { steps = {}, ...settings } = retry;
+
+  const unknown = Object.keys(steps).find(step => !STEP_POLICIES[step]);
+
+  if (unknown) {
+    throw new Error(`${source}: unknown step "${unknown}". Use one of ${Object.keys(STEP_POLICIES).join(', ')}.`);
+  }
+
+  return {
+    ...normalizeSettings(settings, source),
+    steps: Object.fromEntries(
+      Object.entries(steps).map(([step, stepSettings]) => [step, normalizeSettings(stepSettings, `${source}.steps.${step}`)])
+    )
+  };
+}
+
+/**
+ * Merge retry settings, later ones taking precedence
+ * @param {...Object} sources - Normalized retry settings
+ * @returns {Object} - Merged settings
+ */
+function mergeRetrySettings(...sources) {
+  return sources.filter(Boolean).reduce((merged, { steps = {}, ...settings }) => {
+    const mergedSteps = { ...merged.steps };
+
+    Object.entries(steps).forEach(([step, stepSettings]) => {
+      mergedSteps[step] = { ...mergedSteps[step], ...stepSettings };
+    });
+
+    return { ...merged, ...settings, steps: mergedSteps };
+  }, { steps: {} });
+}
+
+/**
+ * Resolve the policy a command runs with: the built-in defaults, overridden
+ * by the settings for all commands and then by those for this one
+ * @param {string} step - Command name, a key of STEP_POLICIES
+ * @param {Object} [retry] - Normalized retry settings, see normalizeRetrySettings
+ * @returns {Object} - Retry policy
+ */
+function resolvePolicy(step, retry = {}) {
+  const { steps = {}, ...settings } = retry;
+
+  return {
+    ...DEFAULT_POLICY,
+    classify: isTransientFailure,
+    ...STEP_POLICIES[step],
+    ...settings,
+    ...steps[step]
+  };
+}
+
+/**
+ * Default classifier: decide whether a failed command is worth retrying
+ * from its error and the output it wrote to stderr
+ * @param {Object} failure - Failed attempt
+ * @param {Error} failure.error - Error the command failed with
+ * @param {number} [failure.exitCode] - Exit code, if the command exited on its own
+ * @param {string} [failure.stderr] - End of the command's stderr
+ * @returns {boolean} - Whether the failure is transient
+ */
+function isTransientFailure({ error, stderr = '' }) {
+  const text = `${error.message}\n${stderr}`;
+
+  return TRANSIENT_CODES.includes(error.code) ||
+    [...TRANSIENT_PATTERNS, ...TRANSIENT_CODES].some(pattern => text.includes(pattern));
+}
+
+/**
+ * Get how long to wait before a retry
+ * @param {Object} policy - Retry policy
+ * @param {number} attempt - Number of the retry, starting at 0
+ * @returns {number} - Delay in milliseconds
+ */
+function getDelay(policy, attempt) {
+  const delays = {
+    exponential: policy.delay * Math.pow(2, attempt),
+    linear: policy.delay * (attempt + 1),
+    fixed: policy.delay
+  };
+  const delay = Math.min(delays[policy.backoff], policy.maxDelay);
+
+  // Spread retries out by up to ±jitter, so that parallel runs do not retry in lockstep
+  return Math.round(delay * (1 + policy.jitter * (Math.random() * 2 - 1)));
+}
+
+module.exports = {
+  BACKOFF_STRATEGIES,
+  STEP_POLICIES,
+  parseDuration,
+  normalizeRetrySettings,
+  mergeRetrySettings,
+  resolvePolicy,
+  isTransientFailure,
+  getDelay
+};
\ No newline at end of file
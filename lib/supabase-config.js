@@ -0,0 +1,160 @@
+const fs = require('fs-extra');
+const path = require('path');
+const TOML = require('@iarna/toml');
+
+const errors = require('./errors');
+
+// Where `supabase init` writes the local development config
+const CONFIG_PATH = path.join('supabase', 'config.toml');
+
+/**
+ * Get the path of a project's Supabase config
+ * @param {string} projectPath - Path to the project
+ * @returns {string} - Path to supabase/config.toml
+ */
+function getConfigPath(projectPath) {
+  return path.join(projectPath, CONFIG_PATH);
+}
+
+/**
+ * Check whether a project has a Supabase config
+ * @param {string} projectPath - Path to the project
+ * @returns {boolean} - Whether supabase/config.toml exists
+ */
+function exists(projectPath) {
+  return fs.existsSync(getConfigPath(projectPath));
+}
+
+/**
+ * Read and parse a project's Supabase config
+ * @param {string} projectPath - Path to the project
+ * @returns {Promise<Object>} - Parsed config
+ */
+async function readConfig(projectPath) {
+  const contents = await fs.readFile(getConfigPath(projectPath), 'utf8');
+
+  try {
+    return TOML.parse(contents);
+  } catch (error) {
+    // TOML errors span several lines with a code excerpt, the first one says what is wrong
+    throw new errors.SupabaseError('CSN_SUPABASE_CONFIG_INVALID', `${CONFIG_PATH} is not valid TOML: ${error.message.split('\n')[0].replace(/:$/, '')}`);
+  }
+}
+
+/**
+ * Find every port setting in a parsed config, e.g. `api.port` or `db.shadow_port`
+ * @param {Object} config - Parsed config
+ * @param {string} prefix - Dotted path of `config`, used when recursing
+ * @returns {Object[]} - Port settings, each with its dotted `key` and `value`
+ */
+function findPorts(config, prefix = '') {
+  return Object.entries(config).flatMap(([key, value]) => {
+    const dottedKey = prefix ? `${prefix}.${key}` : key;
+
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      return findPorts(value, dottedKey);
+    }
+
+    return key === 'port' || key.endsWith('_port') ? [{ key: dottedKey, value }] : [];
+  });
+}
+
+/**
+ * Check a parsed Supabase config for the settings the local stack needs
+ * @param {Object} config - Parsed config
+ * @returns {string[]} - Problems found, empty if the config is valid
+ */
+function validateConfig(config) {
+  const problems = [];
+
+  if (typeof config.project_id !== 'string' || config.project_id.trim() === '') {
+    problems.push('project_id must be a non-empty string');
+  }
+
+  if (!config.api || !config.db) {
+    problems.push('the [api] and [db] sections are required');
+  }
+
+  const seen = new Map();
+
+  findPorts(config).forEach(({ key, value }) => {
+    if (!Number.isInteger(value) || value < 1 || value > 65535) {
+      problems.push(`${key} must be a port number between 1 and 65535`);
+    } else if (seen.has(value)) {
+      problems.push(`${key} uses port ${value}, which ${seen.get(value)} already uses`);
+    } else {
+      seen.set(value, key);
+    }
+  });
+
+  return problems;
+}
+
+/**
+ * Rewrite settings in the text of a config.toml, keeping its comments and
+ * layout. Only plain `key = value` lines are changed.
+ * @param {string} contents - Config file contents
+ * @param {Object} changes - Changes to make
+ * @param {string} [changes.projectId] - New project_id
+ * @param {Map<string, number>} [changes.ports] - New port numbers keyed by dotted setting, e.g. 'api.port'
+ * @returns {string} - Rewritten contents
+ */
+function rewriteConfig(contents, changes) {
+  const { projectId, ports = new Map() } = changes;
+  let section = '';
+
+  return contents.split('\n').map(line => {
+    const header = line.match(/^\s*\[\s*([\w.-]+)\s*\]/);
+
+    if (header) {
+      section = header[1];
+      return line;
+    }
+
+    const setting = line.match(/^(\s*)([\w-]+)(\s*=\s*)("[^"]*"|\d+)(.*)$/);
+
+    if (!setting) {
+      return line;
+    }
+
+    const [, indent, key, equals, , rest] = setting;
+    const dottedKey = section ? `${section}.${key}` : key;
+
+    if (dottedKey === 'project_id' && projectId !== undefined) {
+      return `${indent}${key}${equals}${JSON.stringify(projectId)}${rest}`;
+    }
+
+    if (ports.has(dottedKey)) {
+      return `${indent}${key}${equals}${ports.get(dottedKey)}${rest}`;
+    }
+
+    return line;
+  }).join('\n');
+}
+
+/**
+ * Read a project's Supabase config and check that it is usable
+ * @param {string} projectPath - Path to the project
+ * @returns {Promise<Object>} - Parsed config
+ */
+async function validateProjectConfig(projectPath) {
+  const config = await readConfig(projectPath);
+  const problems = validateConfig(config);
+
+  if (problems.length > 0) {
+    throw new errors.SupabaseError('CSN_SUPABASE_CONFIG_INVALID', `${CONFIG_PATH} is invalid: ${problems.join('; ')}`);
+  }
+
+  return config;
+}
+
+module.exports = {
+  CONFIG_PATH,
+  getConfigPath,
+  exists,
+  readConfig,
+  validateConfig,
+  findPorts,
+  rewriteConfig,
+  validateProjectConfig
+};
\ No newline at end of file
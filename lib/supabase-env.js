@@ -0,0 +1,256 @@
+const fs = require('fs-extra');
+const path = require('path');
+const chalk = require('chalk');
+const execa = require('execa');
+
+const errors = require('./errors');
+const logger = require('./logger');
+const prompter = require('./prompter');
+const supervisor = require('./process-supervisor');
+
+// File the credentials are written to; Next.js loads it and git ignores it
+const ENV_FILE = '.env.local';
+
+// Template listing the variables the project expects
+const ENV_EXAMPLE_FILE = '.env.example';
+
+// Environment variables that can be filled in from `supabase status`, and the
+// status field each one comes from
+const STATUS_ENV_VARS = {
+  NEXT_PUBLIC_SUPABASE_URL: 'API_URL',
+  NEXT_PUBLIC_SUPABASE_ANON_KEY: 'ANON_KEY',
+  SUPABASE_URL: 'API_URL',
+  SUPABASE_ANON_KEY: 'ANON_KEY',
+  SUPABASE_SERVICE_ROLE_KEY: 'SERVICE_ROLE_KEY',
+  SUPABASE_JWT_SECRET: 'JWT_SECRET',
+  SUPABASE_DB_URL: 'DB_URL',
+  DATABASE_URL: 'DB_URL'
+};
+
+// Variables written when the template has no .env.example
+const DEFAULT_ENV_VARS = ['NEXT_PUBLIC_SUPABASE_URL', 'NEXT_PUBLIC_SUPABASE_ANON_KEY', 'SUPABASE_SERVICE_ROLE_KEY'];
+
+// Matches a `KEY=value` line, optionally prefixed with `export`
+const ENV_LINE_PATTERN = /^\s*(?:export\s+)?([A-Za-z_][\w.]*)\s*=\s*(.*?)\s*$/;
+
+/**
+ * Parse the value part of a `KEY=value` line, removing quotes
+ * @param {string} raw - Raw value
+ * @returns {string} - Value
+ */
+function parseValue(raw) {
+  const quoted = raw.match(/^(["'])(.*)\1$/);
+
+  if (quoted) {
+    return quoted[1] === '"' ? quoted[2].replace(/\\n/g, '\n') : quoted[2];
+  }
+
+  // Unquoted values may end with a comment
+  return raw.replace(/\s+#.*$/, '');
+}
+
+/**
+ * Parse dotenv-style contents into their lines, keeping comments and blank
+ * lines so that the file can be written back unchanged
+ * @param {string} contents - File contents
+ * @returns {Object[]} - Lines, each with its `text` and, for assignments, `key` and `value`
+ */
+function parseEnv(contents) {
+  return contents.split(/\r?\n/).map(text => {
+    const match = text.match(ENV_LINE_PATTERN);
+    return match ? { text, key: match[1], value: parseValue(match[2]) } : { text };
+  });
+}
+
+/**
+ * Parse the output of `supabase status -o json`, ignoring anything the CLI
+ * prints around the JSON object, such as update notices
+ * @param {string} output - Command output
+ * @returns {Object} - Status fields, such as API_URL and ANON_KEY
+ */
+function parseStatusOutput(output) {
+  const start = output.indexOf('{');
+  const end = output.lastIndexOf('}');
+
+  if (start !== -1 && end > start) {
+    try {
+      return JSON.parse(output.slice(start, end + 1));
+    } catch (error) {
+      // Reported below
+    }
+  }
+
+  throw new Error('Could not parse the output of supabase status');
+}
+
+/**
+ * Read the credentials of the project's local Supabase stack, through npx
+ * first and then the globally installed CLI
+ * @param {string} projectPath - Path to the project
+ * @returns {Promise<Object>} - Status fields, such as API_URL and ANON_KEY
+ */
+async function getStatus(projectPath) {
+  let lastError = null;
+
+  for (const [command, args] of [['npx', ['supabase', 'status', '-o', 'json']], ['supabase', ['status', '-o', 'json']]]) {
+    try {
+      const { stdout } = await supervisor.run(command, args, { cwd: projectPath, timeout: 30000 }).result;
+      return parseStatusOutput(stdout);
+    } catch (error) {
+      if (error.code === 'CSN_INTERRUPTED') {
+        throw error;
+      }
+
+      // A missing global CLI says less about the problem than npx's failure
+      if (!lastError || error.code !== 'ENOENT') {
+        lastError = error;
+      }
+    }
+  }
+
+  const reason = ((lastError.stderr || '').trim().split('\n').pop() || lastError.message).replace(/\.$/, '');
+  throw new errors.SupabaseError('CSN_SUPABASE_NOT_RUNNING', `Could not read the local Supabase stack's credentials: ${reason}`, { cause: lastError });
+}
+
+/**
+ * Pick the variables to write and their values. The template's .env.example
+ * decides which variables the project uses; without one, the Supabase URL,
+ * anon key and service role key are written.
+ * @param {Object[]} exampleLines - Parsed .env.example, or null if there is none
+ * @param {Object} status - Status fields, see getStatus
+ * @returns {Object} - Values keyed by variable name
+ */
+function getValues(exampleLines, status) {
+  const names = exampleLines
+    ? exampleLines.filter(line => line.key && STATUS_ENV_VARS[line.key]).map(line => line.key)
+    : DEFAULT_ENV_VARS;
+
+  return Object.fromEntries(
+    names
+      .filter(name => status[STATUS_ENV_VARS[name]] !== undefined)
+      .map(name => [name, String(status[STATUS_ENV_VARS[name]])])
+  );
+}
+
+/**
+ * Write the local Supabase stack's credentials to .env.local. A new file
+ * starts as a copy of .env.example. Values that are already set to
+ * something else are only replaced after confirmation.
+ * @param {string} projectPath - Path to the project
+ * @param {Object} status - Status fields, see getStatus
+ * @param {Object} options - Write options
+ * @param {boolean} [options.overwrite] - Replace differing values without asking
+ * @returns {Promise<Object>} - Variable names that were `added`, `updated` and `kept`
+ */
+async function writeEnvLocal(projectPath, status, options = {}) {
+  const envPath = path.join(projectPath, ENV_FILE);
+  const examplePath = path.join(projectPath, ENV_EXAMPLE_FILE);
+  const exampleLines = fs.existsSync(examplePath) ? parseEnv(await fs.readFile(examplePath, 'utf8')) : null;
+  const values = getValues(exampleLines, status);
+  const existed = fs.existsSync(envPath);
+  const lines = existed ? parseEnv(await fs.readFile(envPath, 'utf8')) : exampleLines ? exampleLines.map(line => ({ ...line })) : [];
+  const result = { added: [], updated: [], kept: [] };
+
+  const differing = Object.keys(values).filter(name => {
+    const line = lines.find(candidate => candidate.key === name);
+    // A new file only holds .env.example's placeholders, which need no confirmation
+    return existed && line && line.value !== '' && line.value !== values[name];
+  });
+
+  let overwrite = false;
+
+  if (differing.length > 0) {
+    ({ overwrite } = await prompter.ask([
+      {
+        type: 'confirm',
+        name: 'overwrite',
+        message: `${ENV_FILE} already sets ${differing.join(', ')} to other values. Replace them with the local Supabase stack's?`,
+        flag: '--overwrite-env',
+        default: false
+      }
+    ], { overwrite: options.overwrite || undefined }));
+  }
+
+  Object.entries(values).forEach(([name, value]) => {
+    const line = lines.find(candidate => candidate.key === name);
+
+    if (!line) {
+      lines.push({ text: `${name}=${value}`, key: name, value });
+      result.added.push(name);
+    } else if (line.value === value) {
+      return;
+    } else if (differing.includes(name) && !overwrite) {
+      result.kept.push(name);
+    } else {
+      line.text = `${name}=${value}`;
+      line.value = value;
+      (existed ? result.updated : result.added).push(name);
+    }
+  });
+
+  // Separate appended variables from the rest of an existing file
+  if (existed && result.added.length > 0 && lines.length > result.added.length) {
+    const firstAdded = lines.length - result.added.length;
+    if (lines[firstAdded - 1].text !== '') {
+      lines.splice(firstAdded, 0, { text: '' });
+    }
+  }
+
+  if (!existed || result.added.length + result.updated.length > 0) {
+    await fs.writeFile(envPath, lines.map(line => line.text).join('\n').replace(/\n*$/, '\n'));
+  }
+
+  return result;
+}
+
+/**
+ * Check whether git would commit .env.local
+ * @param {string} projectPath - Path to the project
+ * @returns {Promise<boolean>} - Whether the project is a git repository that does not ignore the file
+ */
+async function isTrackable(projectPath) {
+  try {
+    await execa('git', ['check-ignore', '-q', ENV_FILE], { cwd: projectPath });
+    return false;
+  } catch (error) {
+    // 1 means not ignored; anything else, e.g. not a repository, is not a concern
+    return error.exitCode === 1;
+  }
+}
+
+/**
+ * Read the local Supabase stack's credentials and write them to .env.local,
+ * reporting what changed
+ * @param {string} projectPath - Path to the project
+ * @param {Object} options - See writeEnvLocal
+ * @returns {Promise<Object>} - See writeEnvLocal
+ */
+async function generateEnvLocal(projectPath, options = {}) {
+  const status = await getStatus(projectPath);
+  const result = await writeEnvLocal(projectPath, status, options);
+
+  if (result.added.length + result.updated.length === 0) {
+    logger.info(`${ENV_FILE} is up to date`);
+  } else {
+    logger.success(`Wrote ${[...result.added, ...result.updated].join(', ')} to ${chalk.cyan(ENV_FILE)}`);
+  }
+
+  if (result.kept.length > 0) {
+    logger.warn(`Kept the existing values of ${result.kept.join(', ')} in ${ENV_FILE}`);
+  }
+  
+  if (await isTrackable(projectPath)) {
+    logger.warn(`${ENV_FILE} holds the service role key but is not ignored by git. Add it to .gitignore.`);
+  }
+
+  return result;
+}
+
+module.exports = {
+  ENV_FILE,
+  parseEnv,
+  parseStatusOutput,
+  getStatus,
+  writeEnvLocal,
+  generateEnvLocal
+};
\ No newline at end of file
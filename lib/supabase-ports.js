@@ -0,0 +1,198 @@
+const fs = require('fs-extra');
+const net = require('net');
+const path = require('path');
+
+const errors = require('./errors');
+const supabaseConfig = require('./supabase-config');
+const supabaseEnv = require('./supabase-env');
+
+// Sections of config.toml whose ports are moved
+const PORT_SECTIONS = ['api', 'db', 'db.pooler', 'studio', 'inbucket', 'analytics'];
+
+// With `auto`, projects are spread over blocks of this many ports above the
+// template's own, picked from the project name so that projects created
+// while the others are stopped still tend to get different ports
+const AUTO_BLOCK_SIZE = 100;
+const AUTO_BLOCK_COUNT = 90;
+
+/**
+ * Parse the value of --supabase-ports
+ * @param {string} value - 'auto' or the lowest port to use
+ * @returns {string|number} - 'auto' or the port number
+ */
+function parsePortsOption(value) {
+  if (value === 'auto') {
+    return value;
+  }
+
+  const base = Number(value);
+
+  if (!Number.isInteger(base) || base < 1024 || base > 65535) {
+    throw new errors.UsageError('CSN_INVALID_OPTION', `Invalid value: ${value}. Use auto or a port number between 1024 and 65535.`);
+  }
+
+  return base;
+}
+
+/**
+ * Check whether a local port can be listened on
+ * @param {number} port - Port to check
+ * @returns {Promise<boolean>} - Whether the port is free
+ */
+function isPortFree(port) {
+  return new Promise((resolve) => {
+    const server = net.createServer();
+
+    server.once('error', () => resolve(false));
+    server.listen(port, () => server.close(() => resolve(true)));
+  });
+}
+
+/**
+ * Find the ports of config.toml that are moved
+ * @param {Object} config - Parsed config
+ * @returns {Object[]} - Port settings with their dotted `key` and `value`, see supabaseConfig.findPorts
+ */
+function getMovablePorts(config) {
+  return supabaseConfig.findPorts(config).filter(({ key, value }) =>
+    Number.isInteger(value) && PORT_SECTIONS.includes(key.slice(0, key.lastIndexOf('.'))));
+}
+
+/**
+ * Move ports so that the lowest one becomes `base`, keeping their layout
+ * @param {Object[]} ports - Port settings, see getMovablePorts
+ * @param {number} base - New lowest port
+ * @returns {Map<string, number>} - New port numbers keyed by dotted setting
+ */
+function shiftPorts(ports, base) {
+  const lowest = Math.min(...ports.map(port => port.value));
+  return new Map(ports.map(({ key, value }) => [key, base + value - lowest]));
+}
+
+/**
+ * Get a stable number for a project name
+ * @param {string} name - Project name
+ * @returns {number} - Non-negative integer
+ */
+function hashName(name) {
+  return [...name].reduce((hash, char) => (hash * 31 + char.charCodeAt(0)) >>> 0, 0);
+}
+
+/**
+ * Find a block of free ports for the project, starting at the block its name
+ * hashes to and trying the following ones in turn
+ * @param {Object[]} ports - Port settings, see getMovablePorts
+ * @param {string} projectName - Name of the project
+ * @returns {Promise<Map<string, number>>} - New port numbers keyed by dotted setting
+ */
+async function findFreePorts(ports, projectName) {
+  const lowest = Math.min(...ports.map(port => port.value));
+  const first = hashName(projectName) % AUTO_BLOCK_COUNT;
+
+  for (let i = 0; i < AUTO_BLOCK_COUNT; i++) {
+    const block = 1 + (first + i) % AUTO_BLOCK_COUNT;
+    const candidate = shiftPorts(ports, lowest + block * AUTO_BLOCK_SIZE);
+    const numbers = [...candidate.values()];
+
+    if (Math.max(...numbers) > 65535) {
+      continue;
+    }
+
+    const free = await Promise.all(numbers.map(isPortFree));
+
+    if (free.every(Boolean)) {
+      return candidate;
+    }
+  }
+
+  throw new errors.SupabaseError('CSN_SUPABASE_PORTS_FAILED', 'Could not find free ports for the local Supabase stack');
+}
+
+/**
+ * Point URLs in .env.local that use a moved port at its new number
+ * @param {string} projectPath - Path to the project
+ * @param {Map<number, number>} moved - New port numbers keyed by old ones
+ * @returns {Promise<string[]>} - Names of the variables that were updated
+ */
+async function updateEnvLocal(projectPath, moved) {
+  const envPath = path.join(projectPath, supabaseEnv.ENV_FILE);
+
+  if (!fs.existsSync(envPath)) {
+    return [];
+  }
+
+  const updated = [];
+  const lines = supabaseEnv.parseEnv(await fs.readFile(envPath, 'utf8')).map(line => {
+    if (!line.key) {
+      return line.text;
+    }
+
+    // The last colon in the authority starts the port, after any user:password@
+    const text = line.text.replace(/(:\/\/[^\s/]*:)(\d+)/g, (match, prefix, port) =>
+      (moved.has(Number(port)) ? `${prefix}${moved.get(Number(port))}` : match));
+
+    if (text !== line.text) {
+      updated.push(line.key);
+    }
+
+    return text;
+  });
+
+  if (updated.length > 0) {
+    await fs.writeFile(envPath, lines.join('\n'));
+  }
+
+  return updated;
+}
+
+/**
+ * Give the project's local Supabase stack its own ports and project_id, so
+ * that it can run next to other projects, and keep .env.local pointing at
+ * the new ports
+ * @param {string} projectPath - Path to the project
+ * @param {Object} options - Allocation options
+ * @param {string|number} options.mode - 'auto' to find free ports, or the lowest port to use
+ * @param {string} options.projectName - Name of the project, used as its project_id
+ * @returns {Promise<Object>} - New `ports` keyed by dotted setting, the `busy` ones among them and the `envUpdated` variables
+ */
+async function allocatePorts(projectPath, options) {
+  const { mode, projectName } = options;
+  const config = await supabaseConfig.readConfig(projectPath);
+  const current = getMovablePorts(config);
+
+  if (current.length === 0) {
+    throw new errors.SupabaseError('CSN_SUPABASE_CONFIG_INVALID', `${supabaseConfig.CONFIG_PATH} has no ports to move`);
+  }
+
+  const ports = mode === 'auto' ? await findFreePorts(current, projectName) : shiftPorts(current, mode);
+  const highest = Math.max(...ports.values());
+
+  if (highest > 65535) {
+    throw new errors.UsageError('CSN_INVALID_OPTION', `Starting at ${mode}, the ports would go up to ${highest}. Use a lower base port.`);
+  }
+
+  const busy = [];
+
+  if (mode !== 'auto') {
+    for (const [key, port] of ports) {
+      if (!await isPortFree(port)) {
+        busy.push(`${key} (${port})`);
+      }
+    }
+  }
+
+  const configPath = supabaseConfig.getConfigPath(projectPath);
+  const contents = await fs.readFile(configPath, 'utf8');
+  await fs.writeFile(configPath, supabaseConfig.rewriteConfig(contents, { projectId: projectName, ports }));
+
+  const moved = new Map(current.map(({ key, value }) => [value, ports.get(key)]));
+  const envUpdated = await updateEnvLocal(projectPath, moved);
+
+  return { ports, busy, envUpdated };
+}
+
+module.exports = {
+  parsePortsOption,
+  isPortFree,
+  allocatePorts
+};
\ No newline at end of file
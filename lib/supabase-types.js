@@ -0,0 +1,101 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+const errors = require('./errors');
+const supervisor = require('./process-supervisor');
+
+// Where the types are written when the template manifest does not say
+const DEFAULT_TYPES_OUTPUT = 'types/supabase.ts';
+
+// Generating types starts a container against the local database, so it
+// gets more time than `supabase status`
+const GEN_TYPES_TIMEOUT = 120000;
+
+/**
+ * Resolve where the types are written, making sure the path stays inside the project
+ * @param {string} projectPath - Path to the project
+ * @param {string} [output] - Output path relative to the project
+ * @returns {string} - Absolute output path
+ */
+function resolveOutputPath(projectPath, output = DEFAULT_TYPES_OUTPUT) {
+  const outputPath = path.resolve(projectPath, output);
+  const relativePath = path.relative(projectPath, outputPath);
+
+  if (!relativePath || relativePath.startsWith('..') || path.isAbsolute(relativePath)) {
+    throw new errors.UsageError('CSN_INVALID_OPTION', `The types output path ${output} must be a file inside the project`);
+  }
+
+  return outputPath;
+}
+
+/**
+ * Tell from a failed `supabase gen types` what the user has to fix
+ * @param {Error} error - Error the command failed with, with its `stderr`
+ * @returns {string|null} - 'docker' when Docker is not running, 'stack' when the local stack is not, 'cli' when the Supabase CLI is missing, 'timeout', or null if it cannot be told
+ */
+function getFailureReason(error) {
+  const output = `${error.message}\n${error.stderr || ''}`;
+
+  if (/docker daemon|docker.*not running|docker\.sock/i.test(output)) {
+    return 'docker';
+  }
+
+  if (/no such container|not running|supabase start/i.test(output)) {
+    return 'stack';
+  }
+
+  if (error.code === 'ENOENT') {
+    return 'cli';
+  }
+
+  return error.code === 'ETIMEDOUT' ? 'timeout' : null;
+}
+
+/**
+ * Generate TypeScript types from the schema of the project's local Supabase
+ * database, through npx first and then the globally installed CLI, and write
+ * them to the output path
+ * @param {string} projectPath - Path to the project
+ * @param {string} [output] - Output path relative to the project, DEFAULT_TYPES_OUTPUT by default
+ * @returns {Promise<string>} - Absolute path of the written file
+ */
+async function generateTypes(projectPath, output) {
+  const outputPath = resolveOutputPath(projectPath, output);
+  const genArgs = ['gen', 'types', 'typescript', '--local'];
+  let lastError = null;
+
+  for (const [command, args] of [['npx', ['supabase', ...genArgs]], ['supabase', genArgs]]) {
+    try {
+      const { stdout } = await supervisor.run(command, args, { cwd: projectPath, timeout: GEN_TYPES_TIMEOUT }).result;
+
+      if (!stdout.trim()) {
+        throw new Error('supabase gen types printed no types');
+      }
+
+      await fs.outputFile(outputPath, stdout.endsWith('\n') ? stdout : `${stdout}\n`);
+      return outputPath;
+    } catch (error) {
+      if (error.code === 'CSN_INTERRUPTED') {
+        throw error;
+      }
+
+      // A missing global CLI says less about the problem than npx's failure
+      if (!lastError || error.code !== 'ENOENT') {
+        lastError = error;
+      }
+    }
+  }
+
+  const reason = ((lastError.stderr || '').trim().split('\n').pop() || lastError.message).replace(/\.$/, '');
+  throw new errors.SupabaseError('CSN_SUPABASE_TYPES_FAILED', `Could not generate Supabase types: ${reason}`, {
+    reason: getFailureReason(lastError),
+    stderr: lastError.stderr,
+    cause: lastError
+  });
+}
+
+module.exports = {
+  DEFAULT_TYPES_OUTPUT,
+  resolveOutputPath,
+  generateTypes
+};
\ No newline at end of file
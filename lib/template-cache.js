@@ -0,0 +1,244 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { finished } = require('stream');
+const { promisify } = require('util');
+
+const errors = require('./errors');
+
+const finishedAsync = promisify(finished);
+
+// Bump when the on-disk layout changes; older layouts are left for `cache clean`
+const CACHE_VERSION = 'v1';
+
+/**
+ * Get the root directory of the template cache
+ * @returns {string} - Cache directory
+ */
+function getCacheRoot() {
+  if (process.env.CREATE_SUPABASE_NEXT_CACHE) {
+    return path.resolve(process.env.CREATE_SUPABASE_NEXT_CACHE);
+  }
+
+  if (process.platform === 'win32' && process.env.LOCALAPPDATA) {
+    return path.join(process.env.LOCALAPPDATA, 'create-supabase-next', 'Cache');
+  }
+
+  const cacheHome = process.env.XDG_CACHE_HOME || path.join(os.homedir(), '.cache');
+  return path.join(cacheHome, 'create-supabase-next');
+}
+
+/**
+ * Get the directory of the current cache version
+ * @returns {string} - Versioned cache directory
+ */
+function getCacheDir() {
+  return path.join(getCacheRoot(), CACHE_VERSION);
+}
+
+/**
+ * Get the path of the cache index file
+ * @returns {string} - Index file path
+ */
+function getIndexPath() {
+  return path.join(getCacheDir(), 'index.json');
+}
+
+/**
+ * Get the path a tarball is stored at
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} sha - Resolved commit SHA
+ * @returns {string} - Tarball path
+ */
+function getTarballPath(owner, repo, sha) {
+  return path.join(getCacheDir(), 'tarballs', owner, repo, `${sha}.tar.gz`);
+}
+
+/**
+ * Read the cache index
+ * @returns {Promise<Object[]>} - Cache entries
+ */
+async function readIndex() {
+  try {
+    const index = await fs.readJson(getIndexPath());
+    return Array.isArray(index.entries) ? index.entries : [];
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * Write the cache index atomically
+ * @param {Object[]} entries - Cache entries
+ * @returns {Promise<void>}
+ */
+async function writeIndex(entries) {
+  const indexPath = getIndexPath();
+  const tempPath = `${indexPath}.${process.pid}.tmp`;
+
+  await fs.ensureDir(path.dirname(indexPath));
+  await fs.writeJson(tempPath, { version: CACHE_VERSION, entries }, { spaces: 2 });
+  await fs.move(tempPath, indexPath, { overwrite: true });
+}
+
+/**
+ * Find the most recently cached tarball for a repository ref
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} ref - Branch, tag or commit the template was requested at
+ * @returns {Promise<Object|null>} - Cache entry with its tarball path, or null on a miss
+ */
+async function lookup(owner, repo, ref) {
+  const entries = await readIndex();
+  const matches = entries
+    .filter(entry => entry.owner === owner && entry.repo === repo && (entry.ref === ref || entry.sha === ref))
+    .sort((a, b) => b.fetchedAt.localeCompare(a.fetchedAt));
+
+  for (const entry of matches) {
+    const file = getTarballPath(owner, repo, entry.sha);
+    if (fs.existsSync(file)) {
+      return { ...entry, file };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Find a cached tarball by its resolved commit SHA
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} sha - Resolved commit SHA
+ * @returns {string|null} - Tarball path, or null on a miss
+ */
+function lookupSha(owner, repo, sha) {
+  const file = getTarballPath(owner, repo, sha);
+  return fs.existsSync(file) ? file : null;
+}
+
+/**
+ * Record that a ref resolved to a cached tarball
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} ref - Branch, tag or commit the template was requested at
+ * @param {string} sha - Resolved commit SHA
+ * @returns {Promise<void>}
+ */
+async function recordRef(owner, repo, ref, sha) {
+  const file = getTarballPath(owner, repo, sha);
+  const { size } = await fs.stat(file);
+  const entries = (await readIndex())
+    .filter(entry => !(entry.owner === owner && entry.repo === repo && entry.ref === ref && entry.sha === sha));
+
+  entries.push({ owner, repo, ref, sha, size, fetchedAt: new Date().toISOString() });
+  await writeIndex(entries);
+}
+
+/**
+ * Create a writer that streams a downloaded tarball into the cache. The
+ * tarball only becomes visible once committed, so interrupted downloads
+ * never leave a truncated archive behind.
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} sha - Resolved commit SHA
+ * @returns {Object} - Writer with a `stream` to pipe into, `commit(ref)` and `discard()`
+ */
+function createWriter(owner, repo, sha) {
+  const file = getTarballPath(owner, repo, sha);
+  const tempFile = `${file}.${process.pid}.tmp`;
+
+  fs.ensureDirSync(path.dirname(file));
+
+  const stream = fs.createWriteStream(tempFile);
+  const done = finishedAsync(stream);
+
+  // Errors surface through commit(); keep them from crashing the process meanwhile
+  done.catch(() => {});
+
+  return {
+    stream,
+    async commit(ref) {
+      await done;
+      await fs.move(tempFile, file, { overwrite: true });
+      await recordRef(owner, repo, ref, sha);
+    },
+    async discard() {
+      stream.destroy();
+      await done.catch(() => {});
+      await fs.remove(tempFile);
+    }
+  };
+}
+
+/**
+ * List cached templates
+ * @returns {Promise<Object[]>} - Cache entries whose tarball still exists
+ */
+async function list() {
+  const entries = await readIndex();
+  return entries.filter(entry => fs.existsSync(getTarballPath(entry.owner, entry.repo, entry.sha)));
+}
+
+/**
+ * Remove every cached template, including those of older cache versions
+ * @returns {Promise<void>}
+ */
+async function clean() {
+  await fs.remove(getCacheRoot());
+}
+
+/**
+ * Remove tarballs that are no longer the latest resolution of any ref, and
+ * optionally those fetched longer ago than the given age
+ * @param {Object} options - Prune options
+ * @param {number} [options.maxAge] - Maximum age in milliseconds
+ * @returns {Promise<Object[]>} - Entries that were removed
+ */
+async function prune(options = {}) {
+  const { maxAge } = options;
+
+  // NaN compares false, and would remove every template
+  if (maxAge !== undefined && !(Number.isFinite(maxAge) && maxAge >= 0)) {
+    throw new errors.UsageError('CSN_INVALID_OPTION', `Invalid maximum age: ${maxAge}. Use a non-negative number of milliseconds.`);
+  }
+
+  const entries = await list();
+  const now = Date.now();
+  const latest = new Map();
+
+  for (const entry of entries) {
+    const key = `${entry.owner}/${entry.repo}#${entry.ref}`;
+    const current = latest.get(key);
+    if (!current || entry.fetchedAt > current.fetchedAt) {
+      latest.set(key, entry);
+    }
+  }
+
+  const kept = [...latest.values()].filter(entry =>
+    maxAge === undefined || now - Date.parse(entry.fetchedAt) <= maxAge
+  );
+  const removed = entries.filter(entry => !kept.includes(entry));
+  const keptFiles = new Set(kept.map(entry => getTarballPath(entry.owner, entry.repo, entry.sha)));
+
+  for (const entry of removed) {
+    const file = getTarballPath(entry.owner, entry.repo, entry.sha);
+    if (!keptFiles.has(file)) {
+      await fs.remove(file);
+    }
+  }
+
+  await writeIndex(kept);
+  return removed;
+}
+
+module.exports = {
+  getCacheDir,
+  lookup,
+  lookupSha,
+  recordRef,
+  createWriter,
+  list,
+  clean,
+  prune
+};
\ No newline at end of file
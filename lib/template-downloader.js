@@ -1,267 +1,685 @@
 const fs = require('fs-extra');
 const path = require('path');
+const http = require('http');
 const https = require('https');
 const tar = require('tar');
 const tmp = require('tmp-promise');
-const { Readable } = require('stream');
+const AdmZip = require('adm-zip');
 const { promisify } = require('util');
-const { pipeline } = require('stream');
+const { pipeline, Transform } = require('stream');
 
+const errors = require('./errors');
 const logger = require('./logger');
-const errorHandler = require('./error-handler');
+const templateCache = require('./template-cache');
+const templateIgnore = require('./template-ignore');
+const templateSpec = require('./template-spec');
+const providers = require('./providers');
 
 const pipelineAsync = promisify(pipeline);
 
-// GitHub API request options with User-Agent to avoid 403 errors
-const GITHUB_API_OPTIONS = {
-  headers: {
-    'User-Agent': 'create-supabase-next',
-    'Accept': 'application/vnd.github.v3+json'
+// User-Agent sent with every request, GitHub rejects requests without one
+const USER_AGENT = 'create-supabase-next';
+
+// Largest template archive accepted unless overridden with --max-archive-size
+const DEFAULT_MAX_ARCHIVE_SIZE = 500 * 1024 * 1024;
+
+// Redirects followed before a download is given up on
+const MAX_REDIRECTS = 5;
+
+// How long a request may go without receiving data before it times out
+const REQUEST_TIMEOUT = 30 * 1000;
+
+/**
+ * Parse a human readable size such as "200MB" or "1.5G" into bytes
+ * @param {string|number} value - Size to parse
+ * @returns {number} - Size in bytes
+ */
+function parseSize(value) {
+  if (typeof value === 'number') {
+    return value;
   }
-};
+  
+  const match = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*([kmg]?)i?b?$/i);
+  
+  if (!match) {
+    throw new Error(`Invalid size: ${value}. Use a number of bytes or a value such as 200MB.`);
+  }
+  
+  const multipliers = { '': 1, k: 1024, m: 1024 ** 2, g: 1024 ** 3 };
+  return Math.round(parseFloat(match[1]) * multipliers[match[2].toLowerCase()]);
+}
 
-// Optional GitHub token for authentication (increases rate limits)
-const GITHUB_TOKEN = process.env.GITHUB_TOKEN;
-if (GITHUB_TOKEN) {
-  GITHUB_API_OPTIONS.headers['Authorization'] = `token ${GITHUB_TOKEN}`;
+/**
+ * Describe a failed response when the provider has no better message
+ * @param {http.IncomingMessage} response - Failed response
+ * @returns {string} - Error message
+ */
+function describeHttpError(response) {
+  return `Failed to download file: ${response.statusCode} ${response.statusMessage}`;
 }
 
 /**
- * Download a file from a URL
+ * Open a download stream for a URL, following up to MAX_REDIRECTS
+ * redirects. Credentials are only sent to the host they were given for, not
+ * to redirect targets such as codeload.github.com or signed storage URLs.
+ * Requests, and the response once it is read, time out with ETIMEDOUT when
+ * no data arrives for REQUEST_TIMEOUT.
  * @param {string} url - URL to download from
- * @returns {Promise<Buffer>} - Downloaded data
+ * @param {Object} options - Request options
+ * @param {Object} [options.headers] - Extra request headers, e.g. for authentication
+ * @param {Function} [options.describeError] - Turns a failed response into an error message
+ * @param {number} [options.redirects] - Redirects followed to get to this URL
+ * @returns {Promise<http.IncomingMessage>} - Response of the final request
  */
-async function downloadFile(url) {
+function openDownloadStream(url, options = {}) {
+  const { headers = {}, describeError = describeHttpError, redirects = 0 } = options;
+  
   return new Promise((resolve, reject) => {
-    // Use the GitHub API options for the request
-    const options = { ...GITHUB_API_OPTIONS };
-    
-    // Parse the URL to determine if it's a GitHub API URL
-    const isGitHubApi = url.includes('api.github.com');
+    const client = url.startsWith('http:') ? http : https;
+    let received = null;
     
-    https.get(url, isGitHubApi ? options : {}, (response) => {
-      if (response.statusCode === 302 || response.statusCode === 301) {
+    const request = client.get(url, { headers: { 'User-Agent': USER_AGENT, ...headers }, timeout: REQUEST_TIMEOUT }, (response) => {
+      received = response;
+      
+      if ([301, 302, 307, 308].includes(response.statusCode)) {
         // Handle redirects
-        downloadFile(response.headers.location)
+        response.resume();
+        
+        if (redirects >= MAX_REDIRECTS) {
+          reject(new errors.NetworkError('CSN_DOWNLOAD_FAILED', `Too many redirects: gave up after ${MAX_REDIRECTS}, at ${url}`));
+          return;
+        }
+        
+        const location = new URL(response.headers.location, url).toString();
+        const sameHost = new URL(location).host === new URL(url).host;
+        
+        openDownloadStream(location, { headers: sameHost ? headers : {}, describeError, redirects: redirects + 1 })
           .then(resolve)
           .catch(reject);
         return;
       }
       
-      // Handle specific error codes with more detailed messages
       if (response.statusCode !== 200) {
-        let errorMessage = `Failed to download file: ${response.statusCode} ${response.statusMessage}`;
-        
-        if (response.statusCode === 403) {
-          if (response.headers['x-ratelimit-remaining'] === '0') {
-            errorMessage = 'GitHub API rate limit exceeded. ';
-            
-            if (!GITHUB_TOKEN) {
-              errorMessage += 'Consider setting a GITHUB_TOKEN environment variable to increase rate limits.';
-            } else {
-              const resetTime = new Date(parseInt(response.headers['x-ratelimit-reset']) * 1000);
-              errorMessage += `Rate limit will reset at ${resetTime.toLocaleString()}.`;
-            }
-          } else {
-            errorMessage = 'Access forbidden. The repository may be private or not exist.';
-          }
-        } else if (response.statusCode === 404) {
-          errorMessage = 'Repository or branch not found. Please check the URL and branch name.';
-        } else if (response.statusCode >= 500) {
-          errorMessage = 'GitHub server error. Please try again later.';
-        }
-        
-        reject(new Error(errorMessage));
+        const error = new Error(describeError(response));
+        error.statusCode = response.statusCode;
+        response.resume();
+        reject(error);
         return;
       }
       
-      const chunks = [];
-      
-      response.on('data', (chunk) => {
-        chunks.push(chunk);
-      });
+      resolve(response);
+    });
+    
+    request.on('timeout', () => {
+      const error = new Error(`No data received from ${new URL(url).host} for ${REQUEST_TIMEOUT / 1000} seconds`);
+      error.code = 'ETIMEDOUT';
       
-      response.on('end', () => {
-        resolve(Buffer.concat(chunks));
-      });
+      // Fail whoever is reading the response with the timeout, not with the aborted connection
+      if (received) {
+        received.destroy(error);
+      }
       
-      response.on('error', (error) => {
-        reject(error);
-      });
-    }).on('error', (error) => {
+      request.destroy(error);
+    });
+    
+    request.on('error', (error) => {
       reject(error);
     });
   });
 }
 
 /**
- * Download template from GitHub repository
- * @param {string} repoUrl - GitHub repository URL
- * @param {string} branch - Branch to download
- * @returns {Promise<string>} - Path to downloaded template
+ * Download a small file, such as an API response, into memory
+ * @param {string} url - URL to download from
+ * @param {Object} options - Request options, see openDownloadStream
+ * @returns {Promise<Buffer>} - Downloaded data
+ */
+async function downloadFile(url, options = {}) {
+  const response = await openDownloadStream(url, options);
+  const chunks = [];
+  
+  for await (const chunk of response) {
+    chunks.push(chunk);
+  }
+  
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Get the request options a provider uses for a template source
+ * @param {Object} source - Template source
+ * @returns {Object} - Request options for openDownloadStream
+ */
+function getRequestOptions(source) {
+  const provider = providers.get(source.provider);
+  
+  return {
+    headers: provider.getHeaders ? provider.getHeaders(source) : {},
+    describeError: provider.describeHttpError
+      ? (response) => provider.describeHttpError(response, source)
+      : describeHttpError
+  };
+}
+
+/**
+ * Create the error raised when an archive is larger than allowed
+ * @param {number} maxSize - Maximum archive size in bytes
+ * @returns {errors.TemplateError} - Size error
+ */
+function archiveTooLargeError(maxSize) {
+  return new errors.TemplateError(
+    'CSN_TEMPLATE_TOO_LARGE',
+    `Template archive is larger than the maximum of ${logger.formatBytes(maxSize)}. ` +
+    'Use --max-archive-size to allow larger templates.'
+  );
+}
+
+/**
+ * Create a pass-through stream that reports download progress on the spinner
+ * and aborts once more than the maximum size has been received
+ * @param {number} total - Expected size in bytes, 0 when unknown
+ * @param {number} maxSize - Maximum archive size in bytes
+ * @returns {Transform} - Progress stream
+ */
+function createProgressStream(total, maxSize) {
+  let received = 0;
+  let lastUpdate = 0;
+  
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      received += chunk.length;
+      
+      if (received > maxSize) {
+        callback(archiveTooLargeError(maxSize));
+        return;
+      }
+      
+      // Throttle spinner updates, chunks arrive far more often than it renders
+      const now = Date.now();
+      if (now - lastUpdate >= 100) {
+        lastUpdate = now;
+        const progress = total
+          ? `${logger.formatBytes(received)} / ${logger.formatBytes(total)} (${Math.floor((received / total) * 100)}%)`
+          : logger.formatBytes(received);
+        logger.updateSpinner(`Downloading template... ${progress}`);
+      }
+      
+      callback(null, chunk);
+    }
+  });
+}
+
+/**
+ * Open an archive download and wrap it in a progress stream, rejecting
+ * archives that announce a size above the maximum up front
+ * @param {string} url - Archive URL
+ * @param {Object} requestOptions - Request options, see openDownloadStream
+ * @param {number} maxSize - Maximum archive size in bytes
+ * @returns {Promise<Object>} - The response and the progress stream to read it through
+ */
+async function openArchiveDownload(url, requestOptions, maxSize) {
+  const response = await openDownloadStream(url, requestOptions);
+  const total = parseInt(response.headers['content-length'], 10) || 0;
+  
+  if (total > maxSize) {
+    response.destroy();
+    throw archiveTooLargeError(maxSize);
+  }
+  
+  return { response, progress: createProgressStream(total, maxSize) };
+}
+
+/**
+ * Create a stream that extracts a tarball into a directory, dropping its
+ * top-level folder. When a subdirectory is given, only its contents are
+ * extracted.
+ * @param {string} destPath - Directory to extract into
+ * @param {string} [subdir] - Subdirectory of the repository to extract
+ * @returns {Writable} - Extraction stream
+ */
+function createExtractStream(destPath, subdir = '') {
+  if (!subdir) {
+    return tar.extract({ cwd: destPath, strip: 1 });
+  }
+  
+  const prefix = `${subdir.replace(/^\/+|\/+$/g, '')}/`;
+  
+  return tar.extract({
+    cwd: destPath,
+    strip: prefix.split('/').length,
+    // Entry paths start with the archive's top-level folder
+    filter: (entryPath) => entryPath.split('/').slice(1).join('/').startsWith(prefix)
+  });
+}
+
+/**
+ * Move the contents of a lone top-level folder up into the directory
+ * itself. Archives from arbitrary URLs may or may not wrap their files in
+ * one, unlike the repository tarballs of the git hosts.
+ * @param {string} destPath - Directory an archive was extracted into
+ * @returns {Promise<void>}
+ */
+async function unwrapSingleDirectory(destPath) {
+  const entries = await fs.readdir(destPath);
+  
+  if (entries.length !== 1 || !(await fs.stat(path.join(destPath, entries[0]))).isDirectory()) {
+    return;
+  }
+  
+  const staging = path.join(destPath, `.unwrap-${process.pid}`);
+  await fs.move(path.join(destPath, entries[0]), staging);
+  
+  for (const entry of await fs.readdir(staging)) {
+    await fs.move(path.join(staging, entry), path.join(destPath, entry));
+  }
+  
+  await fs.remove(staging);
+}
+
+/**
+ * Extract a tar or zip archive from disk into a directory
+ * @param {string} file - Archive path
+ * @param {string} format - 'tar' or 'zip'
+ * @param {string} destPath - Directory to extract into
+ * @returns {Promise<void>}
+ */
+async function extractArchiveFile(file, format, destPath) {
+  logger.updateSpinner('Extracting template files...');
+  
+  if (format === 'zip') {
+    new AdmZip(file).extractAllTo(destPath, true);
+  } else {
+    await tar.extract({ file, cwd: destPath });
+  }
+  
+  await unwrapSingleDirectory(destPath);
+}
+
+/**
+ * Check whether an error means the network could not be reached
+ * @param {Error} error - Error to check
+ * @returns {boolean} - Whether the error is a connectivity error
+ */
+function isNetworkError(error) {
+  return ['ENOTFOUND', 'EAI_AGAIN', 'ETIMEDOUT', 'ECONNRESET', 'ECONNREFUSED', 'ENETUNREACH'].includes(error.code);
+}
+
+/**
+ * Extract a tarball from the template cache
+ * @param {string} file - Cached tarball path
+ * @param {string} destPath - Directory to extract into
+ * @param {string} subdir - Subdirectory of the repository to extract
+ * @returns {Promise<void>}
+ */
+async function extractCachedTarball(file, destPath, subdir) {
+  logger.updateSpinner('Extracting template files...');
+  await pipelineAsync(fs.createReadStream(file), createExtractStream(destPath, subdir));
+}
+
+/**
+ * Stream a repository tarball straight into extraction, writing it to the
+ * template cache along the way
+ * @param {Object} source - Template source of a repository provider
+ * @param {string} cacheRef - Ref to record the tarball under in the cache
+ * @param {string} sha - Resolved commit SHA
+ * @param {string} destPath - Directory to extract into
+ * @param {number} maxSize - Maximum archive size in bytes
+ * @returns {Promise<void>}
+ */
+async function downloadTarball(source, cacheRef, sha, destPath, maxSize) {
+  const provider = providers.get(source.provider);
+  const { owner, repo } = provider.getCacheKey(source);
+  const { response, progress } = await openArchiveDownload(
+    provider.getArchiveUrl(source, sha),
+    getRequestOptions(source),
+    maxSize
+  );
+  
+  const cacheWriter = templateCache.createWriter(owner, repo, sha);
+  progress.pipe(cacheWriter.stream);
+  
+  try {
+    await pipelineAsync(response, progress, createExtractStream(destPath, source.subdir));
+  } catch (error) {
+    await cacheWriter.discard();
+    throw error;
+  }
+  
+  try {
+    await cacheWriter.commit(cacheRef);
+  } catch (cacheError) {
+    logger.warn(`Could not cache template: ${cacheError.message}`);
+    await cacheWriter.discard();
+  }
+}
+
+/**
+ * Fetch the tarball of a repository template and extract it, from the
+ * template cache or from the git host depending on the cache mode. Downloads
+ * are stored in the cache, and a cached copy is used when the host cannot be
+ * reached. Templates without a ref are cached under HEAD and resolved to the
+ * repository's default branch.
+ * @param {Object} source - Template source of a repository provider
+ * @param {string} destPath - Directory to extract into
+ * @param {Object} options - Fetch options
+ * @param {string} options.cacheMode - 'online', 'prefer-offline' or 'offline'
+ * @param {number} options.maxSize - Maximum archive size in bytes
+ * @returns {Promise<Object>} - The ref and commit SHA the template resolved to
  */
-async function downloadTemplate(repoUrl, branch = 'main') {
+async function fetchRepositoryTemplate(source, destPath, options) {
+  const provider = providers.get(source.provider);
+  const { owner, repo } = provider.getCacheKey(source);
+  const { cacheMode, maxSize } = options;
+  const cacheRef = source.ref || 'HEAD';
+  const requestOptions = getRequestOptions(source);
+  const fetchJson = async (url) => JSON.parse((await downloadFile(url, requestOptions)).toString());
+  
+  if (cacheMode !== 'online') {
+    const entry = await templateCache.lookup(owner, repo, cacheRef);
+    
+    if (entry) {
+      logger.updateSpinner(`Using cached template ${templateSpec.formatTemplateSpec(source)}@${entry.sha.slice(0, 7)}...`);
+      await extractCachedTarball(entry.file, destPath, source.subdir);
+      return { ref: source.ref, sha: entry.sha };
+    }
+    
+    if (cacheMode === 'offline') {
+      throw new errors.TemplateError(
+        'CSN_TEMPLATE_NOT_CACHED',
+        `Template ${templateSpec.formatTemplateSpec(source)} is not in the offline cache. ` +
+        'Run once without --offline to cache it.'
+      );
+    }
+  }
+  
+  let ref;
+  let sha;
+  
   try {
-    // Parse GitHub repository URL
-    const repoMatch = repoUrl.match(/github\.com\/([^/]+)\/([^/]+)/);
+    ref = source.ref || await provider.getDefaultBranch(source, fetchJson);
+    sha = await provider.resolveCommit(source, ref, fetchJson);
+  } catch (error) {
+    const entry = isNetworkError(error) ? await templateCache.lookup(owner, repo, cacheRef) : null;
     
-    if (!repoMatch) {
-      throw new Error(`Invalid GitHub repository URL: ${repoUrl}`);
+    if (!entry) {
+      throw error;
     }
     
-    const [, owner, repo] = repoMatch;
-    const cleanRepo = repo.replace(/\.git$/, '');
+    logger.warn(`Could not reach the template host (${error.message}). Using template cached at ${entry.fetchedAt}.`);
+    await extractCachedTarball(entry.file, destPath, source.subdir);
+    return { ref: source.ref, sha: entry.sha };
+  }
+  
+  logger.updateSpinner(`Downloading template from ${templateSpec.formatTemplateSpec(source)} (ref: ${ref})...`);
+  
+  const cachedFile = templateCache.lookupSha(owner, repo, sha);
+  
+  if (cachedFile) {
+    await templateCache.recordRef(owner, repo, cacheRef, sha);
+    await extractCachedTarball(cachedFile, destPath, source.subdir);
+  } else {
+    await downloadTarball(source, cacheRef, sha, destPath, maxSize);
+  }
+  
+  return { ref, sha };
+}
+
+/**
+ * Download a template from a plain archive URL and extract it. Zip files
+ * need random access, so they are written to a temporary file first.
+ * @param {Object} source - Template source of the archive provider
+ * @param {string} destPath - Directory to extract into
+ * @param {Object} options - Fetch options
+ * @param {string} options.cacheMode - 'online', 'prefer-offline' or 'offline'
+ * @param {number} options.maxSize - Maximum archive size in bytes
+ * @returns {Promise<Object>} - Empty ref and SHA, archives are not versioned
+ */
+async function fetchArchiveTemplate(source, destPath, options) {
+  if (options.cacheMode === 'offline') {
+    throw new errors.TemplateError('CSN_TEMPLATE_NOT_CACHED', 'Templates from archive URLs are not cached and cannot be used with --offline.');
+  }
+  
+  const { response, progress } = await openArchiveDownload(source.url, getRequestOptions(source), options.maxSize);
+  
+  if (source.format === 'zip') {
+    const zipFile = await tmp.file({ postfix: '.zip' });
+    
+    try {
+      await pipelineAsync(response, progress, fs.createWriteStream(zipFile.path));
+      await extractArchiveFile(zipFile.path, 'zip', destPath);
+    } finally {
+      await zipFile.cleanup();
+    }
+  } else {
+    await pipelineAsync(response, progress, tar.extract({ cwd: destPath }));
+    await unwrapSingleDirectory(destPath);
+  }
+  
+  return { ref: null, sha: null };
+}
+
+/**
+ * Copy or extract a template from the local file system
+ * @param {Object} source - Template source of the file provider
+ * @param {string} destPath - Directory to copy into
+ * @returns {Promise<Object>} - Empty ref and SHA, local templates are not versioned
+ */
+async function fetchLocalTemplate(source, destPath) {
+  if (!fs.existsSync(source.path)) {
+    throw new errors.TemplateError('CSN_TEMPLATE_NOT_FOUND', `Local template not found: ${source.path}`);
+  }
+  
+  if (source.format === 'directory') {
+    logger.updateSpinner('Copying local template...');
+    await fs.copy(source.path, destPath);
+  } else {
+    await extractArchiveFile(source.path, source.format, destPath);
+  }
+  
+  return { ref: null, sha: null };
+}
+
+/**
+ * Get the directory of a template that can be used in place, without
+ * copying it to a temporary directory first
+ * @param {Object} source - Template source
+ * @returns {string|null} - Template directory, or null if the template must be downloaded
+ */
+function getLocalTemplatePath(source) {
+  if (source.provider !== 'file' || source.format !== 'directory') {
+    return null;
+  }
+  
+  const templatePath = path.join(source.path, source.subdir);
+  
+  if (!fs.existsSync(templatePath) || !fs.statSync(templatePath).isDirectory()) {
+    throw new errors.TemplateError('CSN_TEMPLATE_NOT_FOUND', `Local template not found: ${templatePath}`);
+  }
+  
+  return templatePath;
+}
+
+/**
+ * Download a template into a temporary directory
+ * @param {string|Object} spec - Template specifier or source, see templateSpec.parseTemplateSpec
+ * @param {Object} options - Download options
+ * @param {string} [options.cacheMode] - 'online', 'prefer-offline' or 'offline'
+ * @param {number} [options.maxArchiveSize] - Maximum archive size in bytes
+ * @returns {Promise<Object>} - `path` to the downloaded template, and the `ref` and commit `sha` it resolved to, null for archives and local templates
+ */
+async function downloadTemplate(spec, options = {}) {
+  const { cacheMode = 'online', maxArchiveSize = DEFAULT_MAX_ARCHIVE_SIZE } = options;
+  const description = typeof spec === 'string' ? spec : templateSpec.formatTemplateSpec(spec);
+  
+  try {
+    const source = typeof spec === 'string' ? templateSpec.parseTemplateSpec(spec) : spec;
+    const fetchOptions = { cacheMode, maxSize: maxArchiveSize };
+    const { kind } = providers.get(source.provider);
     
     // Create temporary directory
     const tempDir = await tmp.dir({ unsafeCleanup: true });
     
-    // Download tarball from GitHub
-    const tarballUrl = `https://api.github.com/repos/${owner}/${cleanRepo}/tarball/${branch}`;
+    logger.startSpinner(`Downloading template from ${description}...`);
     
-    logger.startSpinner(`Downloading template from ${owner}/${cleanRepo} (branch: ${branch})...`);
+    let resolved;
     
     try {
-      const tarballData = await downloadFile(tarballUrl);
-      
-      logger.updateSpinner('Extracting template files...');
-      
-      // Extract tarball
-      const tarballStream = new Readable();
-      tarballStream.push(tarballData);
-      tarballStream.push(null);
-      
-      await pipelineAsync(
-        tarballStream,
-        tar.extract({ cwd: tempDir.path, strip: 1 })
-      );
-      
-      logger.succeedSpinner('Template downloaded successfully');
-      
-      return tempDir.path;
-    } catch (downloadError) {
-      // If the main branch fails, try 'master' as a fallback if the branch is 'main'
-      if (branch === 'main') {
-        logger.updateSpinner('Main branch not found, trying master branch...');
-        try {
-          const masterTarballUrl = `https://api.github.com/repos/${owner}/${cleanRepo}/tarball/master`;
-          const tarballData = await downloadFile(masterTarballUrl);
-          
-          logger.updateSpinner('Extracting template files...');
-          
-          // Extract tarball
-          const tarballStream = new Readable();
-          tarballStream.push(tarballData);
-          tarballStream.push(null);
-          
-          await pipelineAsync(
-            tarballStream,
-            tar.extract({ cwd: tempDir.path, strip: 1 })
-          );
-          
-          logger.succeedSpinner('Template downloaded successfully from master branch');
-          
-          return tempDir.path;
-        } catch (masterError) {
-          // Both main and master failed, throw the original error
-          throw downloadError;
-        }
+      if (kind === 'file') {
+        resolved = await fetchLocalTemplate(source, tempDir.path);
+      } else if (kind === 'archive') {
+        resolved = await fetchArchiveTemplate(source, tempDir.path, fetchOptions);
       } else {
-        // Not trying to use 'main', so just throw the original error
-        throw downloadError;
+        resolved = await fetchRepositoryTemplate(source, tempDir.path, fetchOptions);
+      }
+      
+      if (source.subdir && (await fs.readdir(tempDir.path)).length === 0) {
+        throw new errors.TemplateError('CSN_TEMPLATE_NOT_FOUND', `Subdirectory ${source.subdir} not found in template ${description}`);
       }
+    } catch (error) {
+      await tempDir.cleanup();
+      throw error;
     }
-  } catch (error) {
-    logger.failSpinner('Failed to download template');
     
-    if (error.code === 'ENOTFOUND') {
-      errorHandler.handleNetworkError(new Error(
-        `Could not resolve hostname. Please check your internet connection and DNS settings.\n` +
-        `Repository URL: ${repoUrl}`
-      ));
-    } else if (error.code === 'ETIMEDOUT') {
-      errorHandler.handleNetworkError(new Error(
-        `Connection timed out. The server might be down or your internet connection is slow.\n` +
-        `Repository URL: ${repoUrl}`
-      ));
-    } else if (error.message.includes('rate limit exceeded')) {
-      errorHandler.handleError(new Error(
-        `GitHub API rate limit exceeded. Please try again later or set a GITHUB_TOKEN environment variable.\n` +
-        `You can create a token at: https://github.com/settings/tokens`
-      ));
-    } else if (error.message.includes('Access forbidden') || error.message.includes('not found')) {
-      errorHandler.handleError(new Error(
-        `Repository not accessible: ${repoUrl}\n` +
-        `Please check that the repository exists and is public.`
-      ));
-    } else {
-      errorHandler.handleError(error);
-    }
+    const { ref, sha } = resolved;
+    const version = sha ? ` (${ref ? `${ref} @ ` : ''}${sha.slice(0, 7)})` : '';
+    logger.succeedSpinner(`Template downloaded successfully${version}`);
     
-    throw error;
+    return { path: tempDir.path, ref, sha };
+  } catch (error) {
+    logger.failSpinner('Failed to download template');
+    throw toDownloadError(error, description);
   }
 }
 
 /**
- * Copy template files to destination
+ * Give a failed download the error code that says why it failed, naming
+ * the template in the message
+ * @param {Error} error - Error the download failed with
+ * @param {string} description - Template description
+ * @returns {Error} - Error to report
+ */
+function toDownloadError(error, description) {
+  if (error instanceof errors.CsnError) {
+    return error;
+  }
+  
+  const props = { cause: error, statusCode: error.statusCode };
+  
+  if (error.statusCode === 404) {
+    return new errors.TemplateError('CSN_TEMPLATE_NOT_FOUND', `${error.message}\nTemplate: ${description}`, props);
+  }
+  
+  if (error.statusCode) {
+    return new errors.NetworkError('CSN_DOWNLOAD_FAILED', `${error.message}\nTemplate: ${description}`, props);
+  }
+  
+  if (error.code === 'ETIMEDOUT') {
+    return new errors.NetworkError('CSN_NETWORK_TIMEOUT', `Connection timed out. The server might be down or your internet connection is slow.\nTemplate: ${description}`, props);
+  }
+  
+  if (isNetworkError(error)) {
+    return new errors.NetworkError('CSN_NETWORK_UNREACHABLE', `Could not reach the template host (${error.message}).\nTemplate: ${description}`, props);
+  }
+  
+  return error;
+}
+
+/**
+ * Report template files that were skipped by the ignore rules
+ * @param {string[]} skipped - Skipped paths, relative to the template
+ * @param {boolean} verbose - List every path instead of only counting them
+ */
+function reportSkippedFiles(skipped, verbose) {
+  if (!verbose || skipped.length === 0) {
+    return;
+  }
+  
+  logger.info(`Skipped ${skipped.length} ignored path(s):`, skipped);
+}
+
+/**
+ * Copy template files to destination, skipping the paths matched by the
+ * ignore rules, see templateIgnore.createIgnoreMatcher
  * @param {string} templatePath - Path to template files
  * @param {string} destPath - Destination path
+ * @param {Object} options - Copy options
+ * @param {string[]} [options.exclude] - Extra globs to skip
+ * @param {string[]} [options.include] - Globs to copy even when ignored
+ * @param {boolean} [options.verbose] - List the skipped paths
  * @returns {Promise<void>}
  */
-async function copyTemplateFiles(templatePath, destPath) {
+async function copyTemplateFiles(templatePath, destPath, options = {}) {
+  const isIgnored = templateIgnore.createIgnoreMatcher(templatePath, options);
+  const skipped = [];
+  
   try {
     logger.startSpinner('Copying template files...');
     
     await fs.copy(templatePath, destPath, {
-      filter: (src) => {
-        // Skip node_modules and .git directories
-        return !src.includes('node_modules') && !src.includes('.git');
+      filter: async (src) => {
+        const relative = path.relative(templatePath, src);
+        
+        if (!relative) {
+          return true;
+        }
+        
+        const isDirectory = (await fs.lstat(src)).isDirectory();
+        
+        if (isIgnored(relative, isDirectory)) {
+          skipped.push(isDirectory ? `${relative}${path.sep}` : relative);
+          return false;
+        }
+        
+        return true;
       }
     });
     
     logger.succeedSpinner('Template files copied successfully');
   } catch (error) {
     logger.failSpinner('Failed to copy template files');
-    errorHandler.handleFileSystemError(error);
-    throw error;
+    throw new errors.FileSystemError('CSN_FILE_SYSTEM', `Could not copy the template files: ${error.message}`, { cause: error });
   }
+  
+  reportSkippedFiles(skipped, options.verbose);
 }
 
 /**
- * Validate GitHub repository URL
- * @param {string} repoUrl - GitHub repository URL
- * @returns {Promise<boolean>} - Whether the repository is valid and accessible
+ * Validate a template specifier
+ * @param {string} repoUrl - Template specifier, see templateSpec.parseTemplateSpec
+ * @returns {Promise<boolean>} - Whether the template is valid and accessible
  */
 async function validateRepositoryUrl(repoUrl) {
+  let source;
+  
   try {
-    // Parse GitHub repository URL
-    const repoMatch = repoUrl.match(/github\.com\/([^/]+)\/([^/]+)/);
-    
-    if (!repoMatch) {
-      logger.warn(`Invalid GitHub repository URL format: ${repoUrl}`);
-      return false;
-    }
-    
-    const [, owner, repo] = repoMatch;
-    const cleanRepo = repo.replace(/\.git$/, '');
-    
-    // Check if repository exists and is accessible
-    const repoApiUrl = `https://api.github.com/repos/${owner}/${cleanRepo}`;
-    
-    try {
-      await downloadFile(repoApiUrl);
-      return true;
-    } catch (error) {
-      logger.warn(`Repository not accessible: ${repoUrl}`);
-      return false;
+    source = templateSpec.parseTemplateSpec(repoUrl);
+  } catch (error) {
+    logger.warn(`Invalid template: ${repoUrl}`);
+    return false;
+  }
+  
+  const provider = providers.get(source.provider);
+  
+  try {
+    if (provider.kind === 'file') {
+      await fs.access(source.path);
+    } else if (provider.kind === 'repository') {
+      // Check if repository exists and is accessible
+      const requestOptions = getRequestOptions(source);
+      await provider.getDefaultBranch(source, async (url) => JSON.parse((await downloadFile(url, requestOptions)).toString()));
     }
+    return true;
   } catch (error) {
-    logger.warn(`Error validating repository URL: ${error.message}`);
+    logger.warn(`Template not accessible: ${repoUrl}`);
     return false;
   }
 }
 
 module.exports = {
+  DEFAULT_MAX_ARCHIVE_SIZE,
+  parseSize,
   downloadTemplate,
+  getLocalTemplatePath,
   copyTemplateFiles,
   validateRepositoryUrl
 };
\ No newline at end of file
@@ -0,0 +1,49 @@
+const fs = require('fs-extra');
+const path = require('path');
+const ignore = require('ignore');
+
+// Ignore file a template may ship at its root, in gitignore syntax
+const IGNORE_FILE = '.templateignore';
+
+// Always skipped, in gitignore syntax. Only exact names match, so .github/
+// and .gitignore are copied.
+const DEFAULT_IGNORES = ['node_modules', '.git', IGNORE_FILE];
+
+/**
+ * Read the ignore file of a template, if it has one
+ * @param {string} templatePath - Template directory
+ * @returns {string} - Ignore file contents, empty when there is none
+ */
+function readIgnoreFile(templatePath) {
+  const ignorePath = path.join(templatePath, IGNORE_FILE);
+  return fs.existsSync(ignorePath) ? fs.readFileSync(ignorePath, 'utf8') : '';
+}
+
+/**
+ * Create a matcher that decides which template paths are skipped. Rules are
+ * the built-in defaults, the template's .templateignore and --exclude
+ * globs; an --include glob re-includes a path any of those would skip.
+ * @param {string} templatePath - Template directory
+ * @param {Object} options - Ignore options
+ * @param {string[]} [options.exclude] - Extra globs to skip
+ * @param {string[]} [options.include] - Globs to copy even when ignored
+ * @returns {Function} - Called with a path relative to templatePath and whether it is a directory; returns whether to skip it
+ */
+function createIgnoreMatcher(templatePath, options = {}) {
+  const { exclude = [], include = [] } = options;
+  const ignored = ignore()
+    .add(DEFAULT_IGNORES)
+    .add(readIgnoreFile(templatePath))
+    .add(exclude);
+  const included = ignore().add(include);
+
+  return (relativePath, isDirectory) => {
+    const posixPath = relativePath.split(path.sep).join('/') + (isDirectory ? '/' : '');
+    return ignored.ignores(posixPath) && !included.ignores(posixPath);
+  };
+}
+
+module.exports = {
+  IGNORE_FILE,
+  createIgnoreMatcher
+};
\ No newline at end of file
@@ -0,0 +1,333 @@
+const fs = require('fs-extra');
+const path = require('path');
+const minimatch = require('minimatch');
+
+const semver = require('semver');
+
+const errors = require('./errors');
+const prompter = require('./prompter');
+const dependencyChecker = require('./dependency-checker');
+
+// Manifest file a template may ship at its root; it is never copied into the project
+const MANIFEST_FILE = 'create-supabase-next.json';
+
+// Question types a manifest may declare, see inquirer
+const QUESTION_TYPES = ['input', 'number', 'confirm', 'list', 'checkbox'];
+
+// Matches {{ name }} placeholders in file contents and file names
+const PLACEHOLDER_PATTERN = /\{\{\s*([A-Za-z_]\w*)\s*\}\}/g;
+
+/**
+ * Check a manifest for mistakes a template author is likely to make
+ * @param {Object} manifest - Parsed manifest
+ * @param {string} manifestPath - Manifest path, used in error messages
+ */
+function validateManifest(manifest, manifestPath) {
+  const fail = (message) => {
+    throw new errors.TemplateError('CSN_TEMPLATE_INVALID', `Invalid template manifest ${manifestPath}: ${message}`);
+  };
+
+  if (!Array.isArray(manifest.questions)) {
+    fail('"questions" must be an array');
+  }
+
+  if (!Array.isArray(manifest.files)) {
+    fail('"files" must be an array');
+  }
+
+  for (const question of manifest.questions) {
+    if (!question || typeof question.name !== 'string' || !/^[A-Za-z_]\w*$/.test(question.name)) {
+      fail('every question needs a "name" made of letters, digits and underscores');
+    }
+
+    if (!QUESTION_TYPES.includes(question.type)) {
+      fail(`question "${question.name}" has type "${question.type}", expected one of: ${QUESTION_TYPES.join(', ')}`);
+    }
+
+    if ((question.type === 'list' || question.type === 'checkbox') && !Array.isArray(question.choices)) {
+      fail(`question "${question.name}" needs "choices"`);
+    }
+  }
+
+  for (const file of manifest.files) {
+    if (!file || typeof file.path !== 'string' || !file.when || typeof file.when !== 'object') {
+      fail('every entry in "files" needs a "path" and a "when" condition');
+    }
+  }
+
+  if (manifest.engines !== undefined) {
+    if (!manifest.engines || typeof manifest.engines !== 'object' || Array.isArray(manifest.engines)) {
+      fail('"engines" must map tool names to version ranges');
+    }
+
+    for (const [name, range] of Object.entries(manifest.engines)) {
+      if (!dependencyChecker.DEPENDENCY_RULES[name]) {
+        fail(`"engines" names unknown tool "${name}", expected one of: ${Object.keys(dependencyChecker.DEPENDENCY_RULES).join(', ')}`);
+      }
+
+      if (typeof range !== 'string' || !semver.validRange(range)) {
+        fail(`"engines.${name}" must be a semver range, such as ">=1.150.0"`);
+      }
+    }
+  }
+
+  if (manifest.types !== undefined) {
+    const output = manifest.types && manifest.types.output;
+
+    if (typeof output !== 'string' || output === '' || path.isAbsolute(output) || output.split(/[\\/]/).includes('..')) {
+      fail('"types.output" must be a path inside the project, such as "types/supabase.ts"');
+    }
+  }
+}
+
+/**
+ * Load the manifest of a template, if it has one
+ * @param {string} templatePath - Template directory
+ * @returns {Promise<Object|null>} - Manifest with `questions`, `files` and optionally `engines` and `types`, or null
+ */
+async function loadManifest(templatePath) {
+  const manifestPath = path.join(templatePath, MANIFEST_FILE);
+
+  if (!fs.existsSync(manifestPath)) {
+    return null;
+  }
+
+  let manifest;
+
+  try {
+    manifest = await fs.readJson(manifestPath);
+  } catch (error) {
+    throw new errors.TemplateError('CSN_TEMPLATE_INVALID', `Invalid template manifest ${manifestPath}: ${error.message}`, { cause: error });
+  }
+
+  manifest = {
+    ...manifest,
+    questions: (manifest.questions || []).map(question => ({ type: 'input', ...question })),
+    files: manifest.files || []
+  };
+
+  validateManifest(manifest, manifestPath);
+  return manifest;
+}
+
+/**
+ * Parse a --var flag value into the type its question expects
+ * @param {Object} question - Manifest question
+ * @param {string} value - Raw flag value
+ * @returns {*} - Parsed answer
+ */
+function parseVariable(question, value) {
+  switch (question.type) {
+    case 'checkbox':
+      return value.split(',').map(item => item.trim()).filter(Boolean);
+    case 'confirm':
+      if (/^(true|yes|y|1)$/i.test(value)) {
+        return true;
+      }
+      if (/^(false|no|n|0)$/i.test(value)) {
+        return false;
+      }
+      throw new errors.UsageError('CSN_INVALID_OPTION', `Invalid value "${value}" for --var ${question.name}. Expected true or false`);
+    case 'number':
+      if (value.trim() === '' || Number.isNaN(Number(value))) {
+        throw new errors.UsageError('CSN_INVALID_OPTION', `Invalid value "${value}" for --var ${question.name}. Expected a number`);
+      }
+      return Number(value);
+    default:
+      return value;
+  }
+}
+
+/**
+ * Ask the questions declared by a manifest
+ * @param {Object} manifest - Manifest, see loadManifest
+ * @param {Object} variables - Answers given with --var, keyed by question name
+ * @returns {Promise<Object>} - Answers keyed by question name
+ */
+async function askQuestions(manifest, variables = {}) {
+  const questions = manifest.questions.map(question => {
+    const pattern = question.pattern ? new RegExp(question.pattern) : null;
+
+    return {
+      type: question.type,
+      name: question.name,
+      message: question.message || question.name,
+      default: question.default,
+      choices: question.choices,
+      flag: `--var ${question.name}=<value>`,
+      validate: (value) => {
+        if (question.required && (value === '' || (Array.isArray(value) && value.length === 0))) {
+          return `${question.message || question.name} is required`;
+        }
+        if (pattern && typeof value === 'string' && !pattern.test(value)) {
+          return `${question.message || question.name} must match ${question.pattern}`;
+        }
+        return true;
+      }
+    };
+  });
+
+  const presets = {};
+
+  for (const question of manifest.questions) {
+    if (variables[question.name] !== undefined) {
+      presets[question.name] = parseVariable(question, variables[question.name]);
+    }
+  }
+
+  return prompter.ask(questions, presets);
+}
+
+/**
+ * Substitute {{ name }} placeholders. Unknown names are left untouched so
+ * that unrelated double-brace syntax survives.
+ * @param {string} text - Text to render
+ * @param {Object} variables - Values keyed by placeholder name
+ * @returns {string} - Rendered text
+ */
+function renderString(text, variables) {
+  return text.replace(PLACEHOLDER_PATTERN, (match, name) => {
+    if (!Object.prototype.hasOwnProperty.call(variables, name)) {
+      return match;
+    }
+    const value = variables[name];
+    return Array.isArray(value) ? value.join(',') : String(value);
+  });
+}
+
+/**
+ * Check whether the answers satisfy a file condition. Every key must match;
+ * a list of expected values matches any of them, and a checkbox answer
+ * matches when it contains an expected value.
+ * @param {Object} when - Expected answers keyed by question name
+ * @param {Object} answers - Answers keyed by question name
+ * @returns {boolean} - Whether the condition holds
+ */
+function matchesCondition(when, answers) {
+  return Object.entries(when).every(([name, expected]) => {
+    const alternatives = Array.isArray(expected) ? expected : [expected];
+    const answer = answers[name];
+
+    if (Array.isArray(answer)) {
+      return alternatives.some(value => answer.includes(value));
+    }
+    return alternatives.includes(answer);
+  });
+}
+
+/**
+ * Check whether a file is excluded by a conditional file entry
+ * @param {string} relativePath - File path relative to the project, with forward slashes
+ * @param {Object} manifest - Manifest, see loadManifest
+ * @param {Object} answers - Answers keyed by question name
+ * @returns {boolean} - Whether the file should be removed
+ */
+function isExcluded(relativePath, manifest, answers) {
+  return manifest.files.some(file => {
+    const pattern = file.path.replace(/\/+$/, '');
+    const matches = minimatch(relativePath, pattern, { dot: true }) ||
+      relativePath.startsWith(`${pattern}/`);
+    return matches && !matchesCondition(file.when, answers);
+  });
+}
+
+/**
+ * Check whether a file looks binary, so that its contents are left alone
+ * @param {Buffer} contents - File contents
+ * @returns {boolean} - Whether the file contains a NUL byte
+ */
+function isBinary(contents) {
+  return contents.subarray(0, 8000).includes(0);
+}
+
+/**
+ * List the files and directories of a project, skipping node_modules and .git
+ * @param {string} rootPath - Project directory
+ * @param {string} relativePath - Directory being listed, relative to rootPath
+ * @returns {Promise<Object>} - Relative `files` and `directories`, with forward slashes
+ */
+async function listProject(rootPath, relativePath = '') {
+  const result = { files: [], directories: [] };
+  const entries = await fs.readdir(path.join(rootPath, relativePath), { withFileTypes: true });
+
+  for (const entry of entries) {
+    const relative = relativePath ? `${relativePath}/${entry.name}` : entry.name;
+
+    if (entry.isDirectory()) {
+      if (entry.name === 'node_modules' || entry.name === '.git') {
+        continue;
+      }
+      const nested = await listProject(rootPath, relative);
+      result.directories.push(relative, ...nested.directories);
+      result.files.push(...nested.files);
+    } else if (entry.isFile()) {
+      result.files.push(relative);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Apply a manifest to a project in place: drop conditional files whose
+ * condition does not hold, substitute placeholders in file contents and
+ * names, and remove the manifest itself
+ * @param {string} projectPath - Project directory
+ * @param {Object} manifest - Manifest, see loadManifest
+ * @param {Object} variables - Answers plus built-in values such as projectName
+ * @returns {Promise<void>}
+ */
+async function renderProject(projectPath, manifest, variables) {
+  await fs.remove(path.join(projectPath, MANIFEST_FILE));
+
+  const { files, directories } = await listProject(projectPath);
+  const emptyDirectories = new Set();
+
+  for (const relative of directories) {
+    if ((await fs.readdir(path.join(projectPath, relative))).length === 0) {
+      emptyDirectories.add(relative);
+    }
+  }
+
+  for (const relative of files) {
+    const filePath = path.join(projectPath, relative);
+
+    if (isExcluded(relative, manifest, variables)) {
+      await fs.remove(filePath);
+      continue;
+    }
+
+    const contents = await fs.readFile(filePath);
+
+    if (!isBinary(contents)) {
+      const text = contents.toString('utf8');
+      const rendered = renderString(text, variables);
+      if (rendered !== text) {
+        await fs.writeFile(filePath, rendered);
+      }
+    }
+
+    const renamed = renderString(relative, variables);
+    if (renamed !== relative) {
+      await fs.move(filePath, path.join(projectPath, renamed), { overwrite: true });
+    }
+  }
+
+  // Remove directories left empty by the moves and removals above, deepest
+  // first so that parents are empty by the time they are checked
+  for (const relative of directories.reverse()) {
+    const dirPath = path.join(projectPath, relative);
+
+    if (!emptyDirectories.has(relative) && fs.existsSync(dirPath) && (await fs.readdir(dirPath)).length === 0) {
+      await fs.remove(dirPath);
+    }
+  }
+}
+
+module.exports = {
+  MANIFEST_FILE,
+  loadManifest,
+  askQuestions,
+  renderString,
+  renderProject
+};
\ No newline at end of file
@@ -0,0 +1,55 @@
+const errors = require('./errors');
+const providers = require('./providers');
+
+/**
+ * Parse a template specifier into a template source. The source records the
+ * provider that handles it, plus provider-specific fields such as owner,
+ * repo, ref (null for the default branch) and subdir. See lib/providers for
+ * the forms each provider accepts.
+ * @param {string} spec - Template specifier
+ * @param {Object} options - Provider options
+ * @param {string} [options.githubHost] - GitHub Enterprise host
+ * @param {string} [options.gitlabHost] - Self-hosted GitLab host
+ * @returns {Object} - Template source
+ */
+function parseTemplateSpec(spec, options = {}) {
+  const trimmed = String(spec).trim();
+
+  for (const provider of providers.providers) {
+    const source = provider.parse(trimmed, options);
+    if (source) {
+      return source;
+    }
+  }
+
+  throw new errors.UsageError(
+    'CSN_INVALID_OPTION',
+    `Invalid template: ${spec}\n` +
+    'Expected owner/repo(#ref), a GitHub, GitLab or Bitbucket URL, an https://…/*.tar.gz or .zip URL, or a file: path.'
+  );
+}
+
+/**
+ * Format a template source for display
+ * @param {Object} source - Template source
+ * @returns {string} - Template description
+ */
+function formatTemplateSpec(source) {
+  return providers.get(source.provider).format(source);
+}
+
+/**
+ * Build the URL create-next-app's --example flag understands
+ * @param {Object} source - Template source
+ * @returns {string|null} - Example URL, or null if create-next-app cannot fetch the template
+ */
+function toExampleUrl(source) {
+  const provider = providers.get(source.provider);
+  return provider.toExampleUrl ? provider.toExampleUrl(source) : null;
+}
+
+module.exports = {
+  parseTemplateSpec,
+  formatTemplateSpec,
+  toExampleUrl
+};
\ No newline at end of file
@@ -0,0 +1,110 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+const logger = require('./logger');
+
+// Wait for a burst of editor writes to settle before re-syncing
+const DEBOUNCE_DELAY = 200;
+
+/**
+ * List a directory and all of its subdirectories
+ * @param {string} dirPath - Directory to walk
+ * @returns {string[]} - Directory paths, including dirPath itself
+ */
+function listDirectories(dirPath) {
+  const directories = [dirPath];
+
+  for (const entry of fs.readdirSync(dirPath, { withFileTypes: true })) {
+    if (entry.isDirectory() && entry.name !== 'node_modules' && entry.name !== '.git') {
+      directories.push(...listDirectories(path.join(dirPath, entry.name)));
+    }
+  }
+
+  return directories;
+}
+
+/**
+ * Watch a directory tree. Recursive fs.watch is only available on macOS and
+ * Windows before Node 19, so elsewhere every directory is watched on its own
+ * and the watchers are rebuilt after each change to pick up new directories.
+ * @param {string} rootPath - Directory to watch
+ * @param {Function} onEvent - Called with the path of each changed file, relative to rootPath
+ * @returns {Function} - Stops watching
+ */
+function watchTree(rootPath, onEvent) {
+  try {
+    const watcher = fs.watch(rootPath, { recursive: true }, (eventType, filename) => {
+      onEvent(filename ? filename.toString() : '');
+    });
+    return () => watcher.close();
+  } catch (error) {
+    if (error.code !== 'ERR_FEATURE_UNAVAILABLE_ON_PLATFORM') {
+      throw error;
+    }
+  }
+
+  let watchers = [];
+
+  const closeAll = () => {
+    watchers.forEach(watcher => watcher.close());
+    watchers = [];
+  };
+
+  const watchAll = () => {
+    closeAll();
+    watchers = listDirectories(rootPath).map(dirPath =>
+      fs.watch(dirPath, (eventType, filename) => {
+        const relative = path.relative(rootPath, path.join(dirPath, filename ? filename.toString() : ''));
+        onEvent(relative);
+        if (eventType === 'rename') {
+          watchAll();
+        }
+      })
+    );
+  };
+
+  watchAll();
+  return closeAll;
+}
+
+/**
+ * Watch a local template and re-sync the project generated from it whenever
+ * the template changes. Changes are batched, and a sync never overlaps the
+ * previous one.
+ * @param {string} templatePath - Template directory to watch
+ * @param {Function} sync - Called with the changed paths, relative to templatePath; may return a promise
+ * @returns {Function} - Stops watching
+ */
+function watchTemplate(templatePath, sync) {
+  let pending = new Set();
+  let timer = null;
+  let running = Promise.resolve();
+
+  const flush = () => {
+    timer = null;
+    const changed = [...pending];
+    pending = new Set();
+    running = running
+      .then(() => sync(changed))
+      .catch(error => logger.error(`Failed to re-sync template: ${error.message}`));
+  };
+
+  const stop = watchTree(templatePath, (relativePath) => {
+    if (relativePath.split(path.sep).some(part => part === 'node_modules' || part === '.git')) {
+      return;
+    }
+
+    pending.add(relativePath);
+    clearTimeout(timer);
+    timer = setTimeout(flush, DEBOUNCE_DELAY);
+  });
+
+  return () => {
+    clearTimeout(timer);
+    stop();
+  };
+}
+
+module.exports = {
+  watchTemplate
+};
\ No newline at end of file
@@ -0,0 +1,222 @@
+const fs = require('fs-extra');
+const path = require('path');
+const os = require('os');
+const tmp = require('tmp-promise');
+
+const logger = require('./logger');
+const supervisor = require('./process-supervisor');
+
+let active = null;
+
+/**
+ * Remove everything the transaction created and restore what it replaced
+ * @param {Object} tx - Transaction
+ * @returns {Promise<Object>} - Summary of the clean-up
+ */
+async function undo(tx) {
+  const summary = { stopped: 0, removed: [], restored: [], quarantined: null, kept: null };
+
+  // Wait for running commands to exit, so they do not write into what is being removed
+  summary.stopped = await supervisor.terminateAll(supervisor.interruptedError(tx.signal || 'SIGTERM'));
+
+  if (tx.onFailure === 'keep') {
+    summary.kept = tx.projectPath;
+  } else if (!tx.existed) {
+    if (fs.existsSync(tx.projectPath)) {
+      if (tx.onFailure === 'quarantine') {
+        const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+        summary.quarantined = `${tx.projectPath}.partial-${timestamp}`;
+        await fs.move(tx.projectPath, summary.quarantined);
+      } else {
+        await fs.remove(tx.projectPath);
+        summary.removed.push(tx.projectPath);
+      }
+    }
+  } else {
+    // The directory existed before, so only undo the individual changes
+    for (const createdPath of tx.created.reverse()) {
+      await fs.remove(createdPath);
+      summary.removed.push(createdPath);
+    }
+
+    for (const { originalPath, backupPath } of tx.replaced.reverse()) {
+      await fs.move(backupPath, originalPath, { overwrite: true });
+      summary.restored.push(originalPath);
+    }
+  }
+
+  if (tx.backupDir) {
+    await fs.remove(tx.backupDir);
+  }
+
+  return summary;
+}
+
+/**
+ * Print what a rollback cleaned up
+ * @param {Object} summary - Summary returned by undo
+ */
+function printSummary(summary) {
+  const lines = [];
+
+  if (summary.stopped > 0) {
+    lines.push(`Stopped ${summary.stopped} running process(es)`);
+  }
+  summary.removed.forEach(removedPath => lines.push(`Removed ${removedPath}`));
+  summary.restored.forEach(restoredPath => lines.push(`Restored ${restoredPath}`));
+  if (summary.quarantined) {
+    lines.push(`Moved the partial project to ${summary.quarantined}`);
+  }
+  if (summary.kept) {
+    lines.push(`Left the partial project at ${summary.kept}`);
+  }
+
+  if (lines.length === 0) {
+    logger.info('Nothing needed to be cleaned up');
+    return;
+  }
+
+  logger.info('Cleaned up after the failed scaffold:', lines);
+}
+
+/**
+ * Start tracking what scaffolding a project creates, so that it can be
+ * undone if scaffolding fails or the user presses Ctrl+C. Only one
+ * transaction is active at a time.
+ * @param {Object} options - Transaction options
+ * @param {string} options.projectPath - Path to the project
+ * @param {boolean} options.existed - Whether the directory existed before, in which case only tracked paths are undone
+ * @param {string} [options.onFailure] - 'remove' (the default), 'quarantine' or 'keep' the partial project
+ */
+function begin(options) {
+  const tx = {
+    projectPath: options.projectPath,
+    existed: options.existed,
+    onFailure: options.onFailure || 'remove',
+    created: [],
+    replaced: [],
+    backupDir: null,
+    signal: null,
+    rollback: null,
+    interrupted: false
+  };
+
+  tx.onSignal = async (signal) => {
+    if (tx.interrupted) {
+      return;
+    }
+
+    tx.interrupted = true;
+    tx.signal = signal;
+    logger.failSpinner(`Interrupted by ${signal}`);
+    await rollback();
+    process.exit(supervisor.SIGNAL_EXIT_CODES[signal]);
+  };
+
+  process.on('SIGINT', tx.onSignal);
+  process.on('SIGTERM', tx.onSignal);
+  active = tx;
+
+  // Downloads and merges go through temporary directories, remove them on exit too
+  tmp.setGracefulCleanup();
+}
+
+/**
+ * Record a path created inside a directory that already existed
+ * @param {string} createdPath - Created file or directory
+ */
+function trackCreated(createdPath) {
+  if (active) {
+    active.created.push(createdPath);
+  }
+}
+
+/**
+ * Move a file that is about to be overwritten out of the way, so that a
+ * rollback can restore it
+ * @param {string} originalPath - File about to be overwritten
+ * @returns {Promise<void>}
+ */
+async function trackReplaced(originalPath) {
+  if (!active) {
+    return;
+  }
+
+  if (!active.backupDir) {
+    active.backupDir = await fs.mkdtemp(path.join(os.tmpdir(), 'create-supabase-next-'));
+  }
+
+  const backupPath = path.join(active.backupDir, String(active.replaced.length));
+  await fs.move(originalPath, backupPath);
+  active.replaced.push({ originalPath, backupPath });
+}
+
+/**
+ * Check whether the active transaction was interrupted by a signal
+ * @returns {boolean} - Whether Ctrl+C or SIGTERM was received
+ */
+function wasInterrupted() {
+  return Boolean(active && active.interrupted);
+}
+
+/**
+ * End the active transaction
+ * @param {Object} tx - Transaction
+ */
+function end(tx) {
+  process.removeListener('SIGINT', tx.onSignal);
+  process.removeListener('SIGTERM', tx.onSignal);
+
+  if (active === tx) {
+    active = null;
+  }
+}
+
+/**
+ * Keep everything the active transaction created
+ * @returns {Promise<void>}
+ */
+async function commit() {
+  const tx = active;
+
+  if (!tx) {
+    return;
+  }
+
+  end(tx);
+
+  if (tx.backupDir) {
+    await fs.remove(tx.backupDir);
+  }
+}
+
+/**
+ * Undo the active transaction and print what was cleaned up. Safe to call
+ * more than once, e.g. from both a signal handler and a catch block.
+ * @returns {Promise<void>}
+ */
+async function rollback() {
+  const tx = active;
+
+  if (!tx) {
+    return;
+  }
+
+  if (!tx.rollback) {
+    tx.rollback = undo(tx)
+      .then(printSummary)
+      .catch(error => logger.error(`Failed to clean up the partial project: ${error.message}`))
+      .finally(() => end(tx));
+  }
+
+  await tx.rollback;
+}
+
+module.exports = {
+  begin,
+  trackCreated,
+  trackReplaced,
+  wasInterrupted,
+  commit,
+  rollback
+};
\ No newline at end of file
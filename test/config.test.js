@@ -0,0 +1,40 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+
+const config = require('../lib/config');
+
+let dir;
+
+beforeEach(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'csn-config-'));
+});
+
+afterEach(async () => {
+  await fs.remove(dir);
+});
+
+test('a JavaScript config file can define a retry classifier', async () => {
+  const configPath = path.join(dir, 'create-supabase-next.config.js');
+  await fs.outputFile(configPath, 'module.exports = { retry: { timeout: \'90s\', classify: () => true } };');
+
+  const loaded = config.loadConfig(configPath);
+
+  assert.strictEqual(loaded.path, configPath);
+  assert.strictEqual(loaded.retry.timeout, 90000);
+  assert.strictEqual(typeof loaded.retry.classify, 'function');
+});
+
+test('a missing or invalid config file stops with exit code 4', async () => {
+  const configPath = path.join(dir, 'create-supabase-next.config.json');
+
+  assert.throws(() => config.loadConfig(configPath), { code: 'CSN_CONFIG_INVALID', exitCode: 4 });
+
+  await fs.outputJson(configPath, { retries: 3 });
+  assert.throws(() => config.loadConfig(configPath), /unknown setting "retries"\. Supported settings: retry\./);
+
+  await fs.outputJson(configPath, { retry: { timeout: 'soon' } });
+  assert.throws(() => config.loadConfig(configPath), { code: 'CSN_CONFIG_INVALID', message: 'create-supabase-next.config.json retry: timeout must be a duration such as 300s, 5m or 1500ms' });
+});
\ No newline at end of file
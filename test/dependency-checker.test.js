@@ -0,0 +1,175 @@
+const { test, before, after } = require('node:test');
+const assert = require('assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+
+const dependencyChecker = require('../lib/dependency-checker');
+const { fakeBinary } = require('./helpers');
+
+const originalPath = process.env.PATH;
+let binDir;
+let cacheRoot;
+
+const fakeTool = (name, script) => fakeBinary(binDir, name, script);
+
+before(async () => {
+  binDir = await fs.mkdtemp(path.join(os.tmpdir(), 'csn-bin-'));
+  cacheRoot = await fs.mkdtemp(path.join(os.tmpdir(), 'csn-cache-'));
+  process.env.PATH = `${binDir}${path.delimiter}${originalPath}`;
+  process.env.CREATE_SUPABASE_NEXT_CACHE = cacheRoot;
+});
+
+after(async () => {
+  process.env.PATH = originalPath;
+  delete process.env.CREATE_SUPABASE_NEXT_CACHE;
+  await fs.remove(binDir);
+  await fs.remove(cacheRoot);
+});
+
+test('a tool in the default range is ok, an older one is outdated', { skip: process.platform === 'win32' }, async () => {
+  await fakeTool('yarn', 'echo 1.22.19');
+  await fakeTool('pnpm', 'echo 6.35.1');
+
+  const [yarn, pnpm] = await dependencyChecker.checkTools(['yarn', 'pnpm'], { cacheTtl: 0 });
+
+  assert.strictEqual(yarn.status, 'ok');
+  assert.strictEqual(yarn.version, '1.22.19');
+  assert.strictEqual(yarn.source, 'default');
+  assert.strictEqual(pnpm.status, 'outdated');
+  assert.strictEqual(pnpm.range, '>=7.0.0');
+});
+
+test('a template requirement replaces the default range', { skip: process.platform === 'win32' }, async () => {
+  await fakeTool('yarn', 'echo 1.22.19');
+
+  const [yarn] = await dependencyChecker.checkTools(['yarn'], {
+    cacheTtl: 0,
+    requirements: { yarn: { range: '>=3.0.0', source: 'package.json engines' } }
+  });
+
+  assert.strictEqual(yarn.status, 'outdated');
+  assert.strictEqual(yarn.range, '>=3.0.0');
+  assert.strictEqual(yarn.source, 'package.json engines');
+});
+
+test('a tool without a version in its output is unknown, a failing one missing', { skip: process.platform === 'win32' }, async () => {
+  await fakeTool('bun', 'echo "no version here"');
+  await fakeTool('docker', 'exit 1');
+
+  const [bun, docker] = await dependencyChecker.checkTools(['bun', 'docker'], { cacheTtl: 0 });
+
+  assert.strictEqual(bun.status, 'unknown');
+  assert.strictEqual(docker.status, 'missing');
+  assert.strictEqual(docker.version, null);
+});
+
+test('readRequirements prefers the manifest and ignores unknown tools and invalid ranges', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'csn-template-'));
+
+  try {
+    await fs.outputJson(path.join(dir, 'package.json'), {
+      engines: { node: '>=18.0.0', supabase: '>=1.100.0', deno: '>=1.0.0', pnpm: 'not a range' }
+    });
+    await fs.outputJson(path.join(dir, 'create-supabase-next.json'), { engines: { supabase: '>=1.150.0' } });
+
+    assert.deepStrictEqual(dependencyChecker.readRequirements(dir), {
+      node: { range: '>=18.0.0', source: 'package.json engines' },
+      supabase: { range: '>=1.150.0', source: 'create-supabase-next.json engines' }
+    });
+  } finally {
+    await fs.remove(dir);
+  }
+});
+
+test('create-next-app is only required by the create-next-app strategy', () => {
+  assert.ok(dependencyChecker.getRequiredTools().includes('create-next-app'));
+  assert.ok(!dependencyChecker.getRequiredTools({ strategy: 'native' }).includes('create-next-app'));
+  assert.deepStrictEqual(
+    dependencyChecker.getRequiredTools({ strategy: 'native', packageManager: 'pnpm', supabase: false }),
+    ['node', 'npm', 'npx', 'pnpm']
+  );
+});
+
+test('Docker is running when its daemon answers, with Compose and the engine\'s memory', { skip: process.platform === 'win32' }, async () => {
+  await fakeTool('docker', `case "$1" in
+  compose) echo 2.24.0 ;;
+  info) echo '{"ServerVersion":"24.0.7","MemTotal":2147483648}' ;;
+  *) echo 'Docker version 24.0.7, build afdd53b' ;;
+esac`);
+  await fakeTool('supabase', 'echo 1.200.3');
+
+  assert.deepStrictEqual(await dependencyChecker.checkDocker(), {
+    installed: true,
+    running: true,
+    version: '24.0.7',
+    memory: 2147483648,
+    compose: { command: 'docker compose', version: '2.24.0' },
+    error: null
+  });
+
+  const result = await dependencyChecker.checkAll({ strategy: 'native', cacheTtl: 0 });
+  assert.strictEqual(result.success, true);
+  assert.deepStrictEqual(result.warnings, ['docker-memory']);
+});
+
+test('an unreachable daemon is a warning, or missing with --require-docker', { skip: process.platform === 'win32' }, async () => {
+  await fakeTool('docker', `case "$1" in
+  --version) echo 'Docker version 24.0.7, build afdd53b' ;;
+  *) echo 'Cannot connect to the Docker daemon at unix:///var/run/docker.sock. Is the docker daemon running?' >&2; exit 1 ;;
+esac`);
+  await fakeTool('docker-compose', 'exit 1');
+  await fakeTool('supabase', 'echo 1.200.3');
+
+  const docker = await dependencyChecker.checkDocker();
+  assert.strictEqual(docker.installed, true);
+  assert.strictEqual(docker.running, false);
+  assert.strictEqual(docker.compose, null);
+  assert.match(docker.error, /^Cannot connect to the Docker daemon/);
+
+  const warned = await dependencyChecker.checkAll({ strategy: 'native', cacheTtl: 0 });
+  assert.strictEqual(warned.success, true);
+  assert.deepStrictEqual(warned.warnings, ['docker-daemon', 'docker-compose']);
+
+  const required = await dependencyChecker.checkAll({ strategy: 'native', cacheTtl: 0, requireDocker: true });
+  assert.strictEqual(required.success, false);
+  assert.deepStrictEqual(required.missing, ['docker-daemon']);
+});
+
+test('Docker is not needed when Supabase is skipped', { skip: process.platform === 'win32' }, async () => {
+  const result = await dependencyChecker.checkAll({ strategy: 'native', supabase: false, cacheTtl: 0 });
+
+  assert.strictEqual(result.docker, null);
+  assert.ok(!result.tools.some(tool => tool.name === 'docker'));
+});
+
+test('versions are cached until they expire, the binary changes or a refresh is asked for', { skip: process.platform === 'win32' }, async () => {
+  const callsFile = path.join(binDir, 'pnpm-calls');
+  const callCount = async () => (await fs.readFile(callsFile, 'utf8')).split('\n').filter(Boolean).length;
+
+  await fakeTool('pnpm', `echo call >> "${callsFile}"; echo 8.15.0`);
+
+  assert.strictEqual((await dependencyChecker.checkTools(['pnpm']))[0].version, '8.15.0');
+  assert.strictEqual((await dependencyChecker.checkTools(['pnpm']))[0].version, '8.15.0');
+  assert.strictEqual(await callCount(), 1);
+
+  await dependencyChecker.checkTools(['pnpm'], { refresh: true });
+  assert.strictEqual(await callCount(), 2);
+
+  await new Promise(resolve => setTimeout(resolve, 10));
+  await dependencyChecker.checkTools(['pnpm'], { cacheTtl: 5 });
+  assert.strictEqual(await callCount(), 3);
+
+  // An upgrade is seen at once
+  await fakeTool('pnpm', `echo call >> "${callsFile}"; echo 9.0.0`);
+  assert.strictEqual((await dependencyChecker.checkTools(['pnpm']))[0].version, '9.0.0');
+  assert.strictEqual(await callCount(), 4);
+});
+
+test('missing tools are not cached', { skip: process.platform === 'win32' }, async () => {
+  await fakeTool('yarn', 'exit 1');
+  assert.strictEqual((await dependencyChecker.checkTools(['yarn']))[0].status, 'missing');
+
+  await fakeTool('yarn', 'echo 1.22.19');
+  assert.strictEqual((await dependencyChecker.checkTools(['yarn']))[0].status, 'ok');
+});
\ No newline at end of file
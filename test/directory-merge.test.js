@@ -0,0 +1,102 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+
+const directoryMerge = require('../lib/directory-merge');
+const prompter = require('../lib/prompter');
+const transaction = require('../lib/transaction');
+
+let dir;
+let scaffoldPath;
+let projectPath;
+
+/**
+ * Write files into a directory
+ * @param {string} rootPath - Directory to write into
+ * @param {Object} files - File contents keyed by relative path
+ * @returns {Promise<void>}
+ */
+async function writeFiles(rootPath, files) {
+  for (const [file, contents] of Object.entries(files)) {
+    await fs.outputFile(path.join(rootPath, file), contents);
+  }
+}
+
+beforeEach(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'csn-merge-'));
+  scaffoldPath = path.join(dir, 'scaffold');
+  projectPath = path.join(dir, 'project');
+
+  await writeFiles(scaffoldPath, {
+    'package.json': '{ "name": "template" }',
+    'README.md': 'Same',
+    'app/page.js': 'template page',
+    'app/layout.js': 'template layout',
+    '.git/HEAD': 'template'
+  });
+  await writeFiles(projectPath, {
+    'package.json': '{ "name": "mine" }',
+    'README.md': 'Same',
+    'app/page.js': 'my page',
+    '.git/HEAD': 'mine'
+  });
+
+  transaction.begin({ projectPath, existed: true });
+});
+
+afterEach(async () => {
+  await transaction.commit();
+  await fs.remove(dir);
+});
+
+test('new files are moved in and identical ones left alone, kept conflicts are reported', async () => {
+  const result = await directoryMerge.mergeDirectories(scaffoldPath, projectPath, directoryMerge.createConflictResolver('keep'));
+
+  assert.deepStrictEqual(result.kept.sort(), [path.join('app', 'page.js'), 'package.json']);
+  assert.deepStrictEqual(result.overwritten, []);
+  assert.strictEqual(await fs.readFile(path.join(projectPath, 'app/page.js'), 'utf8'), 'my page');
+  assert.strictEqual(await fs.readFile(path.join(projectPath, 'app/layout.js'), 'utf8'), 'template layout');
+  assert.strictEqual(await fs.readFile(path.join(projectPath, '.git/HEAD'), 'utf8'), 'mine');
+});
+
+test('overwritten conflicts take the template\'s version', async () => {
+  const result = await directoryMerge.mergeDirectories(scaffoldPath, projectPath, directoryMerge.createConflictResolver('overwrite'));
+
+  assert.deepStrictEqual(result.kept, []);
+  assert.deepStrictEqual(result.overwritten.sort(), [path.join('app', 'page.js'), 'package.json']);
+  assert.strictEqual(await fs.readFile(path.join(projectPath, 'app/page.js'), 'utf8'), 'template page');
+  assert.strictEqual(await fs.readFile(path.join(projectPath, '.git/HEAD'), 'utf8'), 'mine');
+});
+
+test('without a terminal, conflicts keep the existing file', async () => {
+  prompter.configure({ nonInteractive: true });
+
+  const resolve = directoryMerge.createConflictResolver();
+  const src = path.join(scaffoldPath, 'package.json');
+  const dest = path.join(projectPath, 'package.json');
+
+  assert.strictEqual(await resolve('package.json', src, dest), 'keep');
+});
+
+test('a rollback removes merged files and restores overwritten ones', async () => {
+  await directoryMerge.mergeDirectories(scaffoldPath, projectPath, directoryMerge.createConflictResolver('overwrite'));
+  await transaction.rollback();
+
+  assert.strictEqual(await fs.readFile(path.join(projectPath, 'app/page.js'), 'utf8'), 'my page');
+  assert.strictEqual(await fs.readFile(path.join(projectPath, 'package.json'), 'utf8'), '{ "name": "mine" }');
+  assert.ok(!fs.existsSync(path.join(projectPath, 'app/layout.js')));
+});
+
+test('backupDirectory moves the directory aside, or into the given directory', async () => {
+  const backupPath = await directoryMerge.backupDirectory(projectPath, path.join(dir, 'trash'));
+
+  assert.ok(!fs.existsSync(projectPath));
+  assert.strictEqual(path.dirname(backupPath), path.join(dir, 'trash'));
+  assert.match(path.basename(backupPath), /^project\.backup-\d{4}-/);
+  assert.strictEqual(await fs.readFile(path.join(backupPath, 'app/page.js'), 'utf8'), 'my page');
+
+  const siblingPath = await directoryMerge.backupDirectory(scaffoldPath);
+  assert.strictEqual(path.dirname(siblingPath), dir);
+});
\ No newline at end of file
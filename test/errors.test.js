@@ -0,0 +1,67 @@
+const { test } = require('node:test');
+const assert = require('assert');
+const { spawnSync } = require('child_process');
+const os = require('os');
+
+const errors = require('../lib/errors');
+const { CLI, runCli } = require('./helpers');
+
+test('every error code has its own exit code and a remediation', () => {
+  const exitCodes = Object.values(errors.ERROR_CODES).map(({ exitCode }) => exitCode);
+
+  assert.strictEqual(new Set(exitCodes).size, exitCodes.length);
+  assert.ok(exitCodes.every(exitCode => Number.isInteger(exitCode) && exitCode > 0 && exitCode < 256));
+  assert.ok(Object.keys(errors.ERROR_CODES).every(code => new errors.CsnError(code, 'Failed').remediation));
+});
+
+test('error codes keep their exit codes', () => {
+  assert.deepStrictEqual(
+    ['CSN_UNEXPECTED', 'CSN_MISSING_ANSWER', 'CSN_INVALID_OPTION', 'CSN_DEP_MISSING', 'CSN_TEMPLATE_NOT_FOUND', 'CSN_NETWORK_TIMEOUT', 'CSN_INSTALL_FAILED', 'CSN_SUPABASE_NOT_RUNNING']
+      .map(errors.getExitCode),
+    [1, 2, 3, 10, 20, 30, 40, 50]
+  );
+});
+
+test('errors the CLI did not throw on purpose are mapped by their system code', () => {
+  const timeout = errors.toCsnError(Object.assign(new Error('connect ETIMEDOUT'), { code: 'ETIMEDOUT' }));
+  const unreachable = errors.toCsnError(Object.assign(new Error('getaddrinfo ENOTFOUND codeload.github.com'), { code: 'ENOTFOUND' }));
+  const bug = new TypeError('Cannot read properties of undefined');
+  const unexpected = errors.toCsnError(bug);
+
+  assert.ok(timeout instanceof errors.NetworkError);
+  assert.strictEqual(timeout.code, 'CSN_NETWORK_TIMEOUT');
+  assert.strictEqual(unreachable.code, 'CSN_NETWORK_UNREACHABLE');
+  assert.strictEqual(unreachable.exitCode, 31);
+  assert.strictEqual(unexpected.code, 'CSN_UNEXPECTED');
+  assert.strictEqual(unexpected.message, bug.message);
+  assert.strictEqual(unexpected.cause, bug);
+  assert.match(unexpected.remediation, /^This looks like a bug/);
+});
+
+test('a CsnError is kept as it is, interrupts exit with the signal\'s code', () => {
+  const error = new errors.UsageError('CSN_PROJECT_EXISTS', 'app already exists');
+  const interrupted = new errors.InterruptedError('SIGTERM', 143);
+
+  assert.strictEqual(errors.toCsnError(error), error);
+  assert.strictEqual(error.name, 'UsageError');
+  assert.strictEqual(error.exitCode, 5);
+  assert.strictEqual(interrupted.code, 'CSN_INTERRUPTED');
+  assert.strictEqual(interrupted.exitCode, 143);
+});
+
+test('the CLI exits with the code of its error, and prints what to do about it', () => {
+  const { status, events, result } = runCli(['resume', 'missing-app'], { cwd: os.tmpdir() });
+  const error = events.find(event => event.type === 'error');
+
+  assert.strictEqual(status, 6);
+  assert.strictEqual(error.exitCode, 6);
+  assert.strictEqual(error.remediation, errors.ERROR_CODES.CSN_NOTHING_TO_RESUME.remediation);
+  assert.deepStrictEqual(result.error, { code: 'CSN_NOTHING_TO_RESUME', message: error.message });
+});
+
+test('an invalid command line exits with code 3', () => {
+  const cli = spawnSync(process.execPath, [CLI, 'app', '--supabase', 'maybe'], { encoding: 'utf8', timeout: 60000 });
+
+  assert.strictEqual(cli.status, 3);
+  assert.match(cli.stderr, /argument 'maybe' is invalid/);
+});
\ No newline at end of file
@@ -0,0 +1,53 @@
+const { spawnSync } = require('child_process');
+const path = require('path');
+const fs = require('fs-extra');
+
+const CLI = path.join(__dirname, '..', 'index.js');
+
+// Keep the initial commit of the git-init step independent of the user's git config
+const GIT_ENV = {
+  GIT_AUTHOR_NAME: 'Test',
+  GIT_AUTHOR_EMAIL: 'test@example.com',
+  GIT_COMMITTER_NAME: 'Test',
+  GIT_COMMITTER_EMAIL: 'test@example.com'
+};
+
+/**
+ * Write a fake command for tests to put on the PATH in place of a real tool
+ * @param {string} binDir - Directory on the PATH
+ * @param {string} name - Command name
+ * @param {string} script - Shell script body
+ * @returns {Promise<void>}
+ */
+async function fakeBinary(binDir, name, script) {
+  const file = path.join(binDir, name);
+  await fs.outputFile(file, `#!/bin/sh\n${script}\n`);
+  await fs.chmod(file, 0o755);
+}
+
+/**
+ * Run the CLI to the end with the json reporter
+ * @param {string[]} args - CLI arguments
+ * @param {Object} options - Run options
+ * @param {string} options.cwd - Directory to run in
+ * @param {Object} [options.env] - Environment variables to add
+ * @returns {Object} - Exit `status`, `stderr` and the parsed `events`, the last of which is the `result`
+ */
+function runCli(args, options) {
+  const cli = spawnSync(process.execPath, [CLI, ...args, '--json'], {
+    cwd: options.cwd,
+    env: { ...process.env, ...options.env },
+    encoding: 'utf8',
+    timeout: 120000
+  });
+  const events = cli.stdout.split('\n').filter(Boolean).map(line => JSON.parse(line));
+
+  return { status: cli.status, stderr: cli.stderr, events, result: events[events.length - 1] };
+}
+
+module.exports = {
+  CLI,
+  GIT_ENV,
+  fakeBinary,
+  runCli
+};
\ No newline at end of file
@@ -0,0 +1,82 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+
+const journal = require('../lib/journal');
+const { GIT_ENV, fakeBinary, runCli } = require('./helpers');
+
+let dir;
+let projectPath;
+
+beforeEach(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'csn-journal-'));
+  projectPath = path.join(dir, 'app');
+});
+
+afterEach(async () => {
+  await fs.remove(dir);
+});
+
+test('a saved journal loads back, and a project without one has none', async () => {
+  const saved = journal.create({ projectName: 'app' }, ['download', 'copy']);
+  saved.steps[0].status = 'done';
+
+  assert.strictEqual(await journal.load(projectPath), null);
+
+  await journal.save(projectPath, saved);
+
+  assert.ok(journal.exists(projectPath));
+  assert.deepStrictEqual((await journal.load(projectPath)).steps, [
+    { name: 'download', status: 'done' },
+    { name: 'copy', status: 'pending' }
+  ]);
+
+  await journal.remove(projectPath);
+  assert.ok(!journal.exists(projectPath));
+});
+
+test('a journal from another version is refused', async () => {
+  await fs.outputJson(path.join(journal.getJournalDir(projectPath), 'journal.json'), { version: 99, steps: [] });
+
+  await assert.rejects(journal.load(projectPath), (error) => {
+    assert.strictEqual(error.code, 'CSN_JOURNAL_INVALID');
+    assert.strictEqual(error.exitCode, 7);
+    return true;
+  });
+});
+
+test('resume re-runs the failed steps only, then has nothing left to do', { skip: process.platform === 'win32' }, async () => {
+  const binDir = path.join(dir, 'bin');
+  const env = { PATH: `${binDir}${path.delimiter}${process.env.PATH}`, ...GIT_ENV };
+
+  await fs.outputJson(path.join(dir, 'template', 'package.json'), { name: 'template', scripts: { dev: 'next dev' } });
+  await fakeBinary(binDir, 'npm', 'exit 1');
+
+  const failed = runCli(
+    ['app', '--template', path.join(dir, 'template'), '--skip-dependency-check', '--supabase', 'skip', '--package-manager', 'npm', '--retries', '0'],
+    { cwd: dir, env }
+  );
+  assert.strictEqual(failed.status, 40, failed.stderr);
+  assert.strictEqual(failed.result.error.code, 'CSN_INSTALL_FAILED');
+
+  // The files are kept, with the failed step left for resume
+  const saved = await journal.load(projectPath);
+  assert.strictEqual(saved.steps.find(step => step.name === 'copy').status, 'done');
+  assert.strictEqual(saved.steps.find(step => step.name === 'install').status, 'failed');
+
+  await fakeBinary(binDir, 'npm', 'exit 0');
+
+  const resumed = runCli(['resume', 'app'], { cwd: dir, env });
+  assert.strictEqual(resumed.status, 0, resumed.stderr);
+  assert.strictEqual(resumed.result.success, true);
+  const started = resumed.events.filter(event => event.type === 'step:start').map(event => event.step);
+  assert.strictEqual(started[0], 'install');
+  assert.ok(!started.includes('download') && !started.includes('copy'));
+  assert.ok(!journal.exists(projectPath));
+
+  const again = runCli(['resume', 'app'], { cwd: dir, env });
+  assert.strictEqual(again.status, 6);
+  assert.strictEqual(again.result.error.code, 'CSN_NOTHING_TO_RESUME');
+});
\ No newline at end of file
@@ -0,0 +1,63 @@
+const { test } = require('node:test');
+const assert = require('assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+
+const { GIT_ENV, fakeBinary, runCli } = require('./helpers');
+
+test('the json reporter writes the run as one event per line, ending with the result', { skip: process.platform === 'win32' }, async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'csn-json-'));
+  const binDir = path.join(dir, 'bin');
+  const args = ['app', '--template', path.join(dir, 'template'), '--skip-dependency-check', '--supabase', 'skip', '--package-manager', 'npm'];
+  const env = { PATH: `${binDir}${path.delimiter}${process.env.PATH}`, ...GIT_ENV };
+
+  try {
+    // The package manager's output goes to stderr, out of the way of the events
+    await fakeBinary(binDir, 'npm', 'echo "added 1 package"');
+    await fs.outputJson(path.join(dir, 'template', 'package.json'), { name: 'template', scripts: { dev: 'next dev' } });
+
+    const { status, stderr, events, result } = runCli(args, { cwd: dir, env });
+
+    assert.strictEqual(status, 0, stderr);
+    assert.match(stderr, /added 1 package/);
+    assert.ok(events.every(event => typeof event.type === 'string' && !Number.isNaN(Date.parse(event.time))));
+    assert.deepStrictEqual(events[0], {
+      type: 'start',
+      time: events[0].time,
+      command: 'create',
+      version: require('../package.json').version,
+      projectName: 'app',
+      projectPath: path.join(dir, 'app'),
+      template: path.join(dir, 'template'),
+      strategy: 'native',
+      packageManager: 'npm'
+    });
+
+    // Every step that starts also finishes, and skipped ones say why
+    const started = events.filter(event => event.type === 'step:start').map(event => event.step);
+    const finished = events.filter(event => event.type === 'step:finish');
+    assert.deepStrictEqual(finished.filter(event => event.status === 'done').map(event => event.step), started);
+    assert.ok(finished.filter(event => event.status === 'skipped').every(event => event.reason));
+
+    assert.strictEqual(result.type, 'result');
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(result.exitCode, 0);
+    assert.deepStrictEqual(result.failedSteps, []);
+
+    // A failed run still ends with the result, after the error
+    await fakeBinary(binDir, 'npm', 'exit 1');
+    const failed = runCli(['other', ...args.slice(1), '--retries', '0'], { cwd: dir, env });
+    const error = failed.events.find(event => event.type === 'error');
+
+    assert.strictEqual(failed.status, 40);
+    assert.strictEqual(error.code, 'CSN_INSTALL_FAILED');
+    assert.ok(error.remediation);
+    assert.strictEqual(failed.result.type, 'result');
+    assert.deepStrictEqual(failed.result.error, { code: error.code, message: error.message });
+    assert.strictEqual(failed.result.success, false);
+    assert.strictEqual(failed.result.exitCode, 40);
+  } finally {
+    await fs.remove(dir);
+  }
+});
\ No newline at end of file
@@ -0,0 +1,39 @@
+const { test } = require('node:test');
+const assert = require('assert');
+
+const errors = require('../lib/errors');
+const packageManager = require('../lib/package-manager');
+
+test('the package manager running the CLI is read from the user agent', () => {
+  assert.strictEqual(packageManager.detectPackageManager('pnpm/8.15.0 npm/? node/v20.11.0 linux x64'), 'pnpm');
+  assert.strictEqual(packageManager.detectPackageManager('bun/1.1.0 npm/? node/v21.0.0 darwin arm64'), 'bun');
+  assert.strictEqual(packageManager.detectPackageManager('cnpm/9.0.0'), 'npm');
+  assert.strictEqual(packageManager.detectPackageManager(''), 'npm');
+});
+
+test('commands are built for each package manager', () => {
+  assert.deepStrictEqual(packageManager.getInstallCommand('yarn'), { command: 'yarn', args: ['install'] });
+  assert.deepStrictEqual(packageManager.getAddDevCommand('npm', ['supabase']), { command: 'npm', args: ['install', '--save-dev', 'supabase'] });
+  assert.deepStrictEqual(packageManager.getAddDevCommand('bun', ['supabase']), { command: 'bun', args: ['add', '--dev', 'supabase'] });
+  assert.deepStrictEqual(packageManager.getGlobalInstallCommand('yarn', ['supabase']), { command: 'yarn', args: ['global', 'add', 'supabase'] });
+  assert.deepStrictEqual(packageManager.getRunCommand('pnpm', 'setup'), { command: 'pnpm', args: ['run', 'setup'] });
+  assert.strictEqual(packageManager.getCreateNextAppFlag('bun'), '--use-bun');
+});
+
+test('suggested commands read the way each package manager is used', () => {
+  assert.strictEqual(packageManager.formatRun('npm', 'dev'), 'npm run dev');
+  assert.strictEqual(packageManager.formatRun('npm', 'start'), 'npm start');
+  assert.strictEqual(packageManager.formatRun('pnpm', 'dev'), 'pnpm dev');
+  assert.deepStrictEqual(
+    packageManager.PACKAGE_MANAGERS.map(manager => packageManager.formatExec(manager, 'supabase start')),
+    ['npx supabase start', 'pnpm exec supabase start', 'yarn supabase start', 'bunx supabase start']
+  );
+});
+
+test('Supabase remediations suggest the project\'s package manager', () => {
+  const notRunning = new errors.SupabaseError('CSN_SUPABASE_NOT_RUNNING', 'Not running', { packageManager: 'pnpm' });
+  const typesFailed = new errors.SupabaseError('CSN_SUPABASE_TYPES_FAILED', 'Failed');
+
+  assert.match(notRunning.remediation, /with pnpm exec supabase start /);
+  assert.match(typesFailed.remediation, /with npx supabase status\.$/);
+});
\ No newline at end of file
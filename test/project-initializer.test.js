@@ -0,0 +1,309 @@
+const { test } = require('node:test');
+const assert = require('assert');
+const { spawn } = require('child_process');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const tar = require('tar');
+
+const projectInitializer = require('../lib/project-initializer');
+const { CLI, GIT_ENV, fakeBinary, runCli } = require('./helpers');
+
+// The template's setup script writes its pid, then runs until it is stopped
+const SETUP_SCRIPT = `require('fs').writeFileSync('setup.pid', String(process.pid));
+setInterval(() => {}, 1000);
+`;
+
+/**
+ * Create a local template whose setup script keeps running
+ * @param {string} dir - Directory to create the template in
+ * @returns {Promise<string>} - Path to the template
+ */
+async function createTemplate(dir) {
+  const templatePath = path.join(dir, 'template');
+
+  await fs.outputJson(path.join(templatePath, 'package.json'), {
+    name: 'interrupt-test',
+    version: '1.0.0',
+    private: true,
+    scripts: { setup: 'node setup.js', dev: 'next dev' }
+  });
+  await fs.outputFile(path.join(templatePath, 'setup.js'), SETUP_SCRIPT);
+
+  return templatePath;
+}
+
+/**
+ * Wait until a condition holds
+ * @param {Function} condition - Returns whether to stop waiting
+ * @param {number} timeout - Milliseconds to wait at most
+ * @returns {Promise<void>}
+ */
+async function waitFor(condition, timeout = 60000) {
+  const deadline = Date.now() + timeout;
+
+  while (!condition()) {
+    if (Date.now() > deadline) {
+      throw new Error('Timed out waiting for the condition');
+    }
+
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+}
+
+/**
+ * Check whether a process is still running
+ * @param {number} pid - Process id
+ * @returns {boolean} - Whether it is running
+ */
+function isRunning(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+}
+
+test('Ctrl+C during a step stops its command and leaves the project resumable', { timeout: 120000 }, async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'csn-interrupt-'));
+  const projectPath = path.join(dir, 'app');
+  const pidFile = path.join(projectPath, 'setup.pid');
+
+  try {
+    const templatePath = await createTemplate(dir);
+    const cli = spawn(process.execPath, [
+      CLI, 'app',
+      '--template', templatePath,
+      '--json',
+      '--skip-dependency-check',
+      '--supabase', 'skip',
+      '--package-manager', 'npm'
+    ], { cwd: dir, stdio: ['ignore', 'pipe', 'ignore'] });
+    const exited = new Promise(resolve => cli.on('exit', (code, signal) => resolve({ code, signal })));
+    let stdout = '';
+
+    cli.stdout.on('data', (data) => {
+      stdout += data;
+    });
+
+    await waitFor(() => fs.existsSync(pidFile));
+    cli.kill('SIGINT');
+
+    const { code, signal } = await exited;
+    assert.deepStrictEqual({ code, signal }, { code: 130, signal: null });
+
+    const events = stdout.trim().split('\n').map(line => JSON.parse(line));
+    const result = events[events.length - 1];
+    assert.strictEqual(result.type, 'result');
+    assert.strictEqual(result.error.code, 'CSN_INTERRUPTED');
+    assert.ok(events.some(event => event.type === 'step:finish' && event.step === 'setup' && event.status === 'interrupted'));
+    assert.ok(events.some(event => event.type === 'log' && /create-supabase-next resume/.test(event.message)));
+
+    // The interrupted step is left for resume to re-run
+    const saved = await fs.readJson(path.join(projectPath, '.create-supabase-next', 'journal.json'));
+    assert.strictEqual(saved.steps.find(step => step.name === 'setup').status, 'running');
+
+    // The setup script shares the terminal, and is stopped with npm and the shell it runs under
+    const setupPid = Number(await fs.readFile(pidFile, 'utf8'));
+    await waitFor(() => !isRunning(setupPid), 10000);
+  } finally {
+    if (fs.existsSync(pidFile)) {
+      const pid = Number(await fs.readFile(pidFile, 'utf8'));
+
+      if (isRunning(pid)) {
+        process.kill(pid, 'SIGKILL');
+      }
+    }
+
+    await fs.remove(dir);
+  }
+});
+
+test('a template re-sync only touches the files the template renders to', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'csn-sync-'));
+  const templatePath = path.join(dir, 'template');
+  const projectPath = path.join(dir, 'app');
+  const files = {
+    'package.json': JSON.stringify({ name: 'app' }),
+    'app/page.js': 'export const title = \'app\';',
+    'notes.md': 'Template notes',
+    // Matches the template's conditional path, but was added by the user
+    'app/login/custom.js': 'custom login',
+    // Skipped by the template's ignore rules, so never the template's
+    'docs/private.md': 'private notes',
+    '.env.local': 'SUPABASE_URL=http://127.0.0.1:54321',
+    '.next/build-manifest.json': '{}',
+    '.create-supabase-next/journal.json': '{}'
+  };
+
+  try {
+    await fs.outputJson(path.join(templatePath, 'create-supabase-next.json'), {
+      questions: [{ name: 'auth', type: 'confirm' }],
+      files: [{ path: 'app/login/**', when: { auth: true } }]
+    });
+    await fs.outputJson(path.join(templatePath, 'package.json'), { name: 'template' });
+    await fs.outputFile(path.join(templatePath, 'app', 'page.js'), 'export const title = \'{{ projectName }} v2\';');
+    await fs.outputFile(path.join(templatePath, 'app', 'login', 'page.js'), 'login');
+    await fs.outputFile(path.join(templatePath, '.templateignore'), 'docs/\n');
+
+    for (const [file, contents] of Object.entries(files)) {
+      await fs.outputFile(path.join(projectPath, file), contents);
+    }
+
+    // notes.md and the others were deleted from the template, app/page.js was edited
+    await projectInitializer.syncTemplate(templatePath, ['notes.md', 'docs/private.md', '.env.local', '.next', 'app/page.js'], {
+      projectName: 'app',
+      projectPath,
+      answers: { auth: false }
+    });
+
+    assert.strictEqual(await fs.readFile(path.join(projectPath, 'app', 'page.js'), 'utf8'), 'export const title = \'app v2\';');
+    assert.strictEqual((await fs.readJson(path.join(projectPath, 'package.json'))).name, 'app');
+    assert.ok(!fs.existsSync(path.join(projectPath, 'notes.md')));
+    assert.ok(!fs.existsSync(path.join(projectPath, 'app', 'login', 'page.js')));
+    assert.ok(!fs.existsSync(path.join(projectPath, 'create-supabase-next.json')));
+
+    for (const file of Object.keys(files).filter(file => !['package.json', 'app/page.js', 'notes.md'].includes(file))) {
+      assert.strictEqual(await fs.readFile(path.join(projectPath, file), 'utf8'), files[file], file);
+    }
+  } finally {
+    await fs.remove(dir);
+  }
+});
+
+test('the native strategy scaffolds from a template archive without create-next-app', { skip: process.platform === 'win32' }, async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'csn-native-'));
+  const binDir = path.join(dir, 'bin');
+  const projectPath = path.join(dir, 'app');
+
+  try {
+    // npm installs at once, and npx leaves a trace if create-next-app is run
+    await fakeBinary(binDir, 'npm', 'exit 0');
+    await fakeBinary(binDir, 'npx', `touch "${path.join(dir, 'npx-called')}"; exit 1`);
+    await fs.outputJson(path.join(dir, 'template', 'package.json'), { name: 'template', scripts: { dev: 'next dev' } });
+    await fs.outputFile(path.join(dir, 'template', 'app', 'page.js'), 'export default function Page() {}');
+    await tar.create({ gzip: true, file: path.join(dir, 'template.tgz'), cwd: dir }, ['template']);
+
+    const args = ['app', '--template', 'file:./template.tgz', '--skip-dependency-check', '--supabase', 'skip', '--package-manager', 'npm'];
+    const env = { PATH: `${binDir}${path.delimiter}${process.env.PATH}`, ...GIT_ENV };
+
+    // create-next-app cannot fetch an archive
+    const refused = runCli([...args, '--strategy', 'create-next-app'], { cwd: dir, env });
+    assert.strictEqual(refused.status, 3);
+    assert.strictEqual(refused.result.error.code, 'CSN_INVALID_OPTION');
+    assert.ok(!fs.existsSync(projectPath));
+
+    const { status, stderr, events, result } = runCli([...args, '--strategy', 'native'], { cwd: dir, env });
+    assert.strictEqual(status, 0, stderr);
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(events[0].strategy, 'native');
+    assert.deepStrictEqual(
+      events.filter(event => event.type === 'step:finish' && event.status === 'done').map(event => event.step),
+      ['download', 'copy', 'install', 'git-init', 'verify']
+    );
+
+    assert.strictEqual((await fs.readJson(path.join(projectPath, 'package.json'))).name, 'app');
+    assert.ok(fs.existsSync(path.join(projectPath, 'app', 'page.js')));
+    assert.ok(!fs.existsSync(path.join(projectPath, '.create-supabase-next')));
+    assert.ok(!fs.existsSync(path.join(dir, 'npx-called')));
+  } finally {
+    await fs.remove(dir);
+  }
+});
+
+test('supabase init falls back to the supabase command, and retries it once more on "context canceled"', { skip: process.platform === 'win32' }, async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'csn-supabase-init-'));
+  const binDir = path.join(dir, 'bin');
+  const triedFile = path.join(dir, 'tried');
+  const projectPath = path.join(dir, 'app');
+
+  try {
+    await fakeBinary(binDir, 'npm', 'exit 0');
+    await fakeBinary(binDir, 'npx', 'echo \'context canceled\' >&2; exit 1');
+    // Canceled at first, then writes the config like supabase init
+    await fakeBinary(binDir, 'supabase', `if [ ! -f "${triedFile}" ]; then touch "${triedFile}"; echo 'context canceled' >&2; exit 1; fi
+mkdir -p supabase
+printf 'project_id = "app"\\n[api]\\nport = 54321\\n[db]\\nport = 54322\\n' > supabase/config.toml`);
+    await fs.outputJson(path.join(dir, 'template', 'package.json'), { name: 'template', scripts: { dev: 'next dev' } });
+
+    const { status, stderr, events } = runCli(
+      ['app', '--template', path.join(dir, 'template'), '--skip-dependency-check', '--package-manager', 'npm', '--retries', '0'],
+      { cwd: dir, env: { PATH: `${binDir}${path.delimiter}${process.env.PATH}`, ...GIT_ENV } }
+    );
+
+    assert.strictEqual(status, 0, stderr);
+    assert.strictEqual(events.filter(event => event.type === 'warning').length, 2);
+    assert.ok(events.some(event => event.type === 'step:finish' && event.step === 'supabase-init' && event.status === 'done'));
+    assert.ok(fs.existsSync(path.join(projectPath, 'supabase', 'config.toml')));
+  } finally {
+    await fs.remove(dir);
+  }
+});
+
+test('a template\'s invalid Supabase config fails the supabase-init step', { skip: process.platform === 'win32' }, async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'csn-supabase-init-'));
+  const binDir = path.join(dir, 'bin');
+
+  try {
+    await fakeBinary(binDir, 'npm', 'exit 0');
+    await fs.outputJson(path.join(dir, 'template', 'package.json'), { name: 'template', scripts: { dev: 'next dev' } });
+    await fs.outputFile(path.join(dir, 'template', 'supabase', 'config.toml'), 'project_id = "app"\n[api]\nport = 54321\n');
+
+    const { status, stderr, events, result } = runCli(
+      ['app', '--template', path.join(dir, 'template'), '--skip-dependency-check', '--package-manager', 'npm'],
+      { cwd: dir, env: { PATH: `${binDir}${path.delimiter}${process.env.PATH}`, ...GIT_ENV } }
+    );
+
+    // The step is optional: the project is created, and the step left for resume
+    assert.strictEqual(status, 0, stderr);
+    assert.deepStrictEqual(result.failedSteps, ['supabase-init']);
+    assert.strictEqual(
+      events.find(event => event.type === 'step:finish' && event.step === 'supabase-init').error.code,
+      'CSN_SUPABASE_CONFIG_INVALID'
+    );
+    assert.ok(fs.existsSync(path.join(dir, 'app', '.create-supabase-next', 'journal.json')));
+  } finally {
+    await fs.remove(dir);
+  }
+});
+
+test('a missing Supabase CLI is added to the project with --install-missing', { skip: process.platform === 'win32' }, async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'csn-install-missing-'));
+  const binDir = path.join(dir, 'bin');
+  const npmLog = path.join(dir, 'npm.log');
+  const args = ['app', '--template', path.join(dir, 'template'), '--package-manager', 'npm', '--strategy', 'native'];
+  // Neither Docker nor the Supabase CLI is installed, and npx only finds the CLI once it is in the project
+  const env = {
+    PATH: [binDir, '/usr/bin', '/bin'].join(path.delimiter),
+    CREATE_SUPABASE_NEXT_CACHE: path.join(dir, 'cache'),
+    ...GIT_ENV
+  };
+
+  try {
+    await fakeBinary(binDir, 'npm', `case "$1" in
+  --version) echo 10.2.0 ;;
+  install) echo "$*" >> "${npmLog}"; [ "$2" != --save-dev ] || { mkdir -p node_modules/.bin; touch node_modules/.bin/supabase; } ;;
+esac
+exit 0`);
+    await fakeBinary(binDir, 'npx', `case "$*" in
+  --version) echo 10.2.0 ;;
+  "supabase --version") [ -f node_modules/.bin/supabase ] && echo 1.200.3 || exit 1 ;;
+  "supabase init") mkdir -p supabase; printf 'project_id = "app"\\n[api]\\nport = 54321\\n[db]\\nport = 54322\\n' > supabase/config.toml ;;
+  *) exit 1 ;;
+esac`);
+    await fs.outputJson(path.join(dir, 'template', 'package.json'), { name: 'template', scripts: { dev: 'next dev' } });
+
+    const refused = runCli(args, { cwd: dir, env });
+    assert.strictEqual(refused.status, 10, refused.stderr);
+    assert.deepStrictEqual(refused.result.error, { code: 'CSN_DEP_MISSING', message: 'Missing or outdated dependencies: supabase' });
+    assert.ok(!fs.existsSync(path.join(dir, 'app')));
+
+    const { status, stderr, result } = runCli([...args, '--install-missing'], { cwd: dir, env });
+    assert.strictEqual(status, 0, stderr);
+    assert.deepStrictEqual(result.failedSteps, []);
+    assert.strictEqual(await fs.readFile(npmLog, 'utf8'), 'install\ninstall --save-dev supabase\n');
+  } finally {
+    await fs.remove(dir);
+  }
+});
\ No newline at end of file
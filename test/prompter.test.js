@@ -0,0 +1,64 @@
+const { test, before } = require('node:test');
+const assert = require('assert');
+const { spawnSync } = require('child_process');
+const path = require('path');
+
+const prompter = require('../lib/prompter');
+
+const QUESTIONS = [
+  { type: 'input', name: 'projectName', message: 'Project name', flag: 'the [project-name] argument' },
+  { type: 'list', name: 'overwrite', message: 'Directory exists', choices: ['abort', 'merge'], default: 'abort', flag: '--overwrite' },
+  {
+    type: 'input',
+    name: 'port',
+    message: 'Port',
+    default: '3000',
+    validate: input => /^\d+$/.test(input) || 'Port must be a number'
+  }
+];
+
+before(() => {
+  prompter.configure({ nonInteractive: true });
+});
+
+test('non-interactive mode never prompts', () => {
+  assert.strictEqual(prompter.isInteractive(), false);
+});
+
+test('answers come from the flags first, then from the defaults', async () => {
+  assert.deepStrictEqual(await prompter.ask(QUESTIONS, { projectName: 'my-app', overwrite: 'merge' }), {
+    projectName: 'my-app',
+    overwrite: 'merge',
+    port: '3000'
+  });
+});
+
+test('a question without a default or flag fails with the flag to pass', async () => {
+  await assert.rejects(prompter.ask(QUESTIONS), (error) => {
+    assert.strictEqual(error.code, 'CSN_MISSING_ANSWER');
+    assert.strictEqual(error.exitCode, 2);
+    assert.match(error.message, /Project name Pass the \[project-name\] argument/);
+    return true;
+  });
+});
+
+test('flag answers are checked against the choices and the validator', async () => {
+  await assert.rejects(prompter.ask(QUESTIONS, { projectName: 'my-app', overwrite: 'replace' }), {
+    code: 'CSN_INVALID_OPTION',
+    message: 'Invalid value "replace" for --overwrite. Expected one of: abort, merge'
+  });
+  await assert.rejects(prompter.ask(QUESTIONS, { projectName: 'my-app', port: 'http' }), {
+    code: 'CSN_INVALID_OPTION',
+    message: 'Port must be a number'
+  });
+});
+
+test('the CLI stops with exit code 2 instead of asking for a project name', () => {
+  const cli = spawnSync(process.execPath, [path.join(__dirname, '..', 'index.js'), '--yes', '--skip-dependency-check'], {
+    encoding: 'utf8',
+    timeout: 60000
+  });
+
+  assert.strictEqual(cli.status, 2);
+  assert.match(cli.stderr, /CSN_MISSING_ANSWER/);
+});
\ No newline at end of file
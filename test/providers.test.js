@@ -0,0 +1,74 @@
+const { test } = require('node:test');
+const assert = require('assert');
+const os = require('os');
+const path = require('path');
+
+const providers = require('../lib/providers');
+const templateSpec = require('../lib/template-spec');
+
+test('GitLab specifiers keep nested groups and read the ref from /-/tree/ or #', () => {
+  const gitlab = providers.get('gitlab');
+
+  assert.deepStrictEqual(gitlab.parse('gitlab:group/project#v1'), {
+    provider: 'gitlab', host: 'gitlab.com', projectPath: 'group/project', ref: 'v1', subdir: ''
+  });
+  assert.deepStrictEqual(gitlab.parse('https://gitlab.com/group/subgroup/project/-/tree/main/templates/app'), {
+    provider: 'gitlab', host: 'gitlab.com', projectPath: 'group/subgroup/project', ref: 'main', subdir: 'templates/app'
+  });
+  assert.deepStrictEqual(gitlab.parse('https://git.example.com/group/project.git', { gitlabHost: 'git.example.com' }), {
+    provider: 'gitlab', host: 'git.example.com', projectPath: 'group/project', ref: null, subdir: ''
+  });
+  assert.strictEqual(gitlab.parse('https://git.example.com/group/project'), null);
+  assert.throws(() => gitlab.parse('gitlab.com/group/project/-/tree/main#v1'), { code: 'CSN_INVALID_OPTION' });
+});
+
+test('Bitbucket specifiers read the ref from /src/ or #', () => {
+  const bitbucket = providers.get('bitbucket');
+
+  assert.deepStrictEqual(bitbucket.parse('bitbucket:owner/repo'), {
+    provider: 'bitbucket', owner: 'owner', repo: 'repo', ref: null, subdir: ''
+  });
+  assert.deepStrictEqual(bitbucket.parse('https://user@bitbucket.org/owner/repo.git#develop'), {
+    provider: 'bitbucket', owner: 'owner', repo: 'repo', ref: 'develop', subdir: ''
+  });
+  assert.deepStrictEqual(bitbucket.parse('bitbucket.org/owner/repo/src/main/templates/app'), {
+    provider: 'bitbucket', owner: 'owner', repo: 'repo', ref: 'main', subdir: 'templates/app'
+  });
+  assert.throws(() => bitbucket.parse('bitbucket.org/owner/repo/src/main#develop'), { code: 'CSN_INVALID_OPTION' });
+});
+
+test('GitHub Enterprise URLs and shorthands resolve to the configured host', () => {
+  const options = { githubHost: 'github.example.com' };
+
+  assert.strictEqual(templateSpec.parseTemplateSpec('https://github.example.com/owner/repo', options).host, 'github.example.com');
+  assert.strictEqual(templateSpec.parseTemplateSpec('owner/repo', options).host, 'github.example.com');
+  assert.strictEqual(templateSpec.parseTemplateSpec('https://github.com/owner/repo', options).host, 'github.com');
+});
+
+test('archive URLs are recognised by their extension', () => {
+  const archive = providers.get('archive');
+
+  assert.deepStrictEqual(archive.parse('https://example.com/template.tar.gz?token=secret'), {
+    provider: 'archive', url: 'https://example.com/template.tar.gz?token=secret', format: 'tar', subdir: ''
+  });
+  assert.strictEqual(archive.parse('http://example.com/template.zip').format, 'zip');
+  assert.strictEqual(archive.parse('https://example.com/template'), null);
+  assert.strictEqual(archive.format(archive.parse('https://example.com/template.tgz?token=secret')), 'https://example.com/template.tgz');
+});
+
+test('a malformed archive URL is an invalid template, not a crash', () => {
+  assert.strictEqual(providers.get('archive').parse('https://exa mple.com/template.tar.gz'), null);
+  assert.throws(() => templateSpec.parseTemplateSpec('https://exa mple.com/template.tar.gz'), { code: 'CSN_INVALID_OPTION' });
+  assert.throws(() => templateSpec.parseTemplateSpec('https://'), { code: 'CSN_INVALID_OPTION' });
+});
+
+test('local paths resolve to directories and archives', () => {
+  const file = providers.get('file');
+
+  assert.deepStrictEqual(file.parse('./templates/app'), {
+    provider: 'file', path: path.resolve('templates/app'), format: 'directory', subdir: ''
+  });
+  assert.strictEqual(file.parse('file:../template.tar.gz').format, 'tar');
+  assert.strictEqual(file.parse('~/template.zip').path, path.join(os.homedir(), 'template.zip'));
+  assert.strictEqual(file.parse('templates/app'), null);
+});
\ No newline at end of file
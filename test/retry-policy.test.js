@@ -0,0 +1,100 @@
+const { test } = require('node:test');
+const assert = require('assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+
+const retryPolicy = require('../lib/retry-policy');
+const { GIT_ENV, fakeBinary, runCli } = require('./helpers');
+
+test('durations take a unit, except for 0', () => {
+  assert.strictEqual(retryPolicy.parseDuration('1500ms'), 1500);
+  assert.strictEqual(retryPolicy.parseDuration('1.5s'), 1500);
+  assert.strictEqual(retryPolicy.parseDuration('5m'), 300000);
+  assert.strictEqual(retryPolicy.parseDuration('0'), 0);
+  assert.strictEqual(retryPolicy.parseDuration(250), 250);
+  assert.throws(() => retryPolicy.parseDuration('300'), /Invalid duration: 300/);
+  assert.throws(() => retryPolicy.parseDuration('soon'), /Invalid duration: soon/);
+});
+
+test('retry settings are checked, with durations in milliseconds', () => {
+  assert.deepStrictEqual(retryPolicy.normalizeRetrySettings({ timeout: '5m', jitter: true, steps: { install: { delay: '2s' } } }), {
+    timeout: 300000,
+    jitter: 0.2,
+    steps: { install: { delay: 2000 } }
+  });
+  assert.throws(() => retryPolicy.normalizeRetrySettings({ steps: { deploy: {} } }), /unknown step "deploy"/);
+  assert.throws(() => retryPolicy.normalizeRetrySettings({ maxRetries: -1 }), /maxRetries must be a whole number/);
+  assert.throws(() => retryPolicy.normalizeRetrySettings({ backoff: 'random' }), /backoff must be one of exponential, linear, fixed/);
+  assert.throws(() => retryPolicy.normalizeRetrySettings({ steps: { install: { jitter: 2 } } }, 'config'), /^Error: config\.steps\.install: jitter/);
+});
+
+test('a command\'s policy takes its own settings over those for all commands, and those over the defaults', () => {
+  const retry = retryPolicy.mergeRetrySettings(
+    { maxRetries: 5, steps: { install: { timeout: 1000, delay: 10 } } },
+    { steps: { install: { timeout: 2000 } } }
+  );
+
+  assert.deepStrictEqual(retry, { maxRetries: 5, steps: { install: { timeout: 2000, delay: 10 } } });
+
+  const install = retryPolicy.resolvePolicy('install', retry);
+  assert.strictEqual(install.maxRetries, 5);
+  assert.strictEqual(install.timeout, 2000);
+  assert.strictEqual(install.delay, 10);
+  assert.strictEqual(install.backoff, 'exponential');
+  assert.strictEqual(install.classify, retryPolicy.isTransientFailure);
+
+  assert.strictEqual(retryPolicy.resolvePolicy('create').timeout, 180000);
+});
+
+test('network errors and their messages are transient, other failures are not', () => {
+  const failed = new Error('Command failed with exit code 1');
+
+  assert.strictEqual(retryPolicy.isTransientFailure({ error: Object.assign(new Error('connect'), { code: 'ECONNRESET' }) }), true);
+  assert.strictEqual(retryPolicy.isTransientFailure({ error: failed, stderr: 'npm ERR! socket hang up' }), true);
+  assert.strictEqual(retryPolicy.isTransientFailure({ error: failed, stderr: 'npm ERR! 404 Not Found' }), false);
+});
+
+test('retry delays grow with the backoff, up to the maximum', () => {
+  const policy = { backoff: 'exponential', delay: 100, maxDelay: 300, jitter: 0 };
+
+  assert.deepStrictEqual([0, 1, 2].map(attempt => retryPolicy.getDelay(policy, attempt)), [100, 200, 300]);
+  assert.deepStrictEqual([0, 1].map(attempt => retryPolicy.getDelay({ ...policy, backoff: 'linear' }, attempt)), [100, 200]);
+  assert.strictEqual(retryPolicy.getDelay({ ...policy, backoff: 'fixed' }, 2), 100);
+});
+
+test('an install that fails on the network is retried, with the policy from the config file', { skip: process.platform === 'win32' }, async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'csn-retry-'));
+  const binDir = path.join(dir, 'bin');
+  const attemptsFile = path.join(dir, 'attempts');
+  const args = ['app', '--template', path.join(dir, 'template'), '--skip-dependency-check', '--supabase', 'skip', '--package-manager', 'npm'];
+  const env = { PATH: `${binDir}${path.delimiter}${process.env.PATH}`, ...GIT_ENV };
+
+  try {
+    await fs.outputJson(path.join(dir, 'template', 'package.json'), { name: 'template', scripts: { dev: 'next dev' } });
+    await fs.outputJson(path.join(dir, 'create-supabase-next.config.json'), { retry: { delay: 0, steps: { install: { maxRetries: 1 } } } });
+    // Only the first install fails
+    await fakeBinary(binDir, 'npm', `[ "$1" = install ] || exit 0
+[ -f "${attemptsFile}" ] && exit 0
+touch "${attemptsFile}"
+echo 'npm ERR! socket hang up' >&2
+exit 1`);
+
+    // --retries takes precedence over the config file
+    const failed = runCli([...args, '--retries', 'install=0'], { cwd: dir, env });
+    assert.strictEqual(failed.status, 40);
+    assert.strictEqual(failed.result.error.code, 'CSN_INSTALL_FAILED');
+
+    await fs.remove(attemptsFile);
+
+    const { status, stderr } = runCli(['retried', ...args.slice(1)], { cwd: dir, env });
+    assert.strictEqual(status, 0, stderr);
+    assert.ok(fs.existsSync(attemptsFile));
+
+    const refused = runCli(['other', ...args.slice(1), '--retries', 'deploy=1'], { cwd: dir, env });
+    assert.strictEqual(refused.status, 3);
+    assert.match(refused.stderr, /Unknown step "deploy"/);
+  } finally {
+    await fs.remove(dir);
+  }
+});
\ No newline at end of file
@@ -0,0 +1,64 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+
+const supabaseConfig = require('../lib/supabase-config');
+
+const CONFIG = `project_id = "app"
+
+[api]
+port = 54321
+
+[db]
+port = 54322
+shadow_port = 54320
+`;
+
+let projectPath;
+
+beforeEach(async () => {
+  projectPath = await fs.mkdtemp(path.join(os.tmpdir(), 'csn-supabase-config-'));
+});
+
+afterEach(async () => {
+  await fs.remove(projectPath);
+});
+
+test('a config with a project_id, [api], [db] and distinct ports is valid', async () => {
+  await fs.outputFile(supabaseConfig.getConfigPath(projectPath), CONFIG);
+
+  const config = await supabaseConfig.validateProjectConfig(projectPath);
+
+  assert.deepStrictEqual(supabaseConfig.findPorts(config), [
+    { key: 'api.port', value: 54321 },
+    { key: 'db.port', value: 54322 },
+    { key: 'db.shadow_port', value: 54320 }
+  ]);
+});
+
+test('every problem in a config is reported', () => {
+  assert.deepStrictEqual(supabaseConfig.validateConfig({ project_id: ' ', api: { port: 70000 }, studio: { port: 54323 }, inbucket: { smtp_port: 54323 } }), [
+    'project_id must be a non-empty string',
+    'the [api] and [db] sections are required',
+    'api.port must be a port number between 1 and 65535',
+    'inbucket.smtp_port uses port 54323, which studio.port already uses'
+  ]);
+});
+
+test('an invalid config stops with CSN_SUPABASE_CONFIG_INVALID', async () => {
+  await fs.outputFile(supabaseConfig.getConfigPath(projectPath), CONFIG.replace('54320', '54321'));
+
+  await assert.rejects(supabaseConfig.validateProjectConfig(projectPath), {
+    code: 'CSN_SUPABASE_CONFIG_INVALID',
+    message: `${supabaseConfig.CONFIG_PATH} is invalid: db.shadow_port uses port 54321, which api.port already uses`
+  });
+
+  await fs.outputFile(supabaseConfig.getConfigPath(projectPath), '[api\nport = 54321');
+
+  await assert.rejects(supabaseConfig.readConfig(projectPath), {
+    code: 'CSN_SUPABASE_CONFIG_INVALID',
+    message: /is not valid TOML: /
+  });
+});
\ No newline at end of file
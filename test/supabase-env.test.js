@@ -0,0 +1,68 @@
+const { test, before, after } = require('node:test');
+const assert = require('assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+
+const supabaseEnv = require('../lib/supabase-env');
+const { fakeBinary } = require('./helpers');
+
+const STATUS = {
+  API_URL: 'http://127.0.0.1:54321',
+  ANON_KEY: 'anon-key',
+  SERVICE_ROLE_KEY: 'service-role-key'
+};
+
+const originalPath = process.env.PATH;
+let binDir;
+
+// The PATH only holds binDir, so there is no global supabase to fall back to
+const fakeNpx = script => fakeBinary(binDir, 'npx', script);
+
+before(async () => {
+  binDir = await fs.mkdtemp(path.join(os.tmpdir(), 'csn-bin-'));
+  process.env.PATH = binDir;
+});
+
+after(async () => {
+  process.env.PATH = originalPath;
+  await fs.remove(binDir);
+});
+
+test('parseStatusOutput reads the JSON between other output', () => {
+  const output = `Update available: v1.200.0\n${JSON.stringify(STATUS, null, 2)}\nA new version is available`;
+
+  assert.deepStrictEqual(supabaseEnv.parseStatusOutput(output), STATUS);
+});
+
+test('parseStatusOutput rejects output without a JSON object', () => {
+  assert.throws(() => supabaseEnv.parseStatusOutput('API_URL=http://127.0.0.1:54321'), /Could not parse/);
+  assert.throws(() => supabaseEnv.parseStatusOutput('{ not json }'), /Could not parse/);
+});
+
+test('parseEnv keeps comments and reads quoted and exported values', () => {
+  const lines = supabaseEnv.parseEnv('# Supabase\nexport SUPABASE_URL="http://localhost"\nKEY=value # comment\n');
+
+  assert.deepStrictEqual(lines, [
+    { text: '# Supabase' },
+    { text: 'export SUPABASE_URL="http://localhost"', key: 'SUPABASE_URL', value: 'http://localhost' },
+    { text: 'KEY=value # comment', key: 'KEY', value: 'value' },
+    { text: '' }
+  ]);
+});
+
+test('getStatus reads the status through npx', { skip: process.platform === 'win32' }, async () => {
+  await fakeNpx(`echo '${JSON.stringify(STATUS)}'`);
+
+  assert.deepStrictEqual(await supabaseEnv.getStatus(binDir), STATUS);
+});
+
+test('getStatus reports why npx failed when there is no global CLI', { skip: process.platform === 'win32' }, async () => {
+  await fakeNpx('echo "supabase start is not running." >&2; exit 1');
+
+  await assert.rejects(supabaseEnv.getStatus(binDir), (error) => {
+    assert.strictEqual(error.code, 'CSN_SUPABASE_NOT_RUNNING');
+    assert.match(error.message, /: supabase start is not running$/);
+    return true;
+  });
+});
\ No newline at end of file
@@ -0,0 +1,65 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+
+const supabaseTypes = require('../lib/supabase-types');
+const { fakeBinary } = require('./helpers');
+
+const originalPath = process.env.PATH;
+
+let dir;
+let projectPath;
+let binDir;
+
+beforeEach(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'csn-types-'));
+  projectPath = path.join(dir, 'app');
+  binDir = path.join(dir, 'bin');
+  await fs.ensureDir(projectPath);
+  // Only the fake commands can be found, as if the Supabase CLI was not installed globally
+  process.env.PATH = binDir;
+});
+
+afterEach(async () => {
+  process.env.PATH = originalPath;
+  await fs.remove(dir);
+});
+
+test('the types output path must stay inside the project', () => {
+  assert.strictEqual(supabaseTypes.resolveOutputPath(projectPath), path.join(projectPath, 'types', 'supabase.ts'));
+  assert.strictEqual(supabaseTypes.resolveOutputPath(projectPath, 'lib/database.ts'), path.join(projectPath, 'lib', 'database.ts'));
+
+  for (const output of ['../database.ts', '.', path.join(dir, 'database.ts')]) {
+    assert.throws(() => supabaseTypes.resolveOutputPath(projectPath, output), { code: 'CSN_INVALID_OPTION' }, output);
+  }
+});
+
+test('the types printed by supabase gen types are written to the output path', { skip: process.platform === 'win32' }, async () => {
+  await fakeBinary(binDir, 'npx', 'echo "export type Database = {}"');
+
+  const outputPath = await supabaseTypes.generateTypes(projectPath, 'lib/database.ts');
+
+  assert.strictEqual(outputPath, path.join(projectPath, 'lib', 'database.ts'));
+  assert.strictEqual(await fs.readFile(outputPath, 'utf8'), 'export type Database = {}\n');
+});
+
+test('a failure says why, from npx\'s output when the Supabase CLI is not installed', { skip: process.platform === 'win32' }, async () => {
+  await fakeBinary(binDir, 'npx', 'echo "failed to inspect container health: Cannot connect to the Docker daemon." >&2; exit 1');
+
+  await assert.rejects(supabaseTypes.generateTypes(projectPath), (error) => {
+    assert.strictEqual(error.code, 'CSN_SUPABASE_TYPES_FAILED');
+    assert.strictEqual(error.exitCode, 51);
+    assert.strictEqual(error.reason, 'docker');
+    assert.strictEqual(error.message, 'Could not generate Supabase types: failed to inspect container health: Cannot connect to the Docker daemon');
+    return true;
+  });
+  assert.ok(!fs.existsSync(path.join(projectPath, 'types')));
+
+  await fakeBinary(binDir, 'npx', 'exit 0');
+
+  await assert.rejects(supabaseTypes.generateTypes(projectPath), {
+    message: 'Could not generate Supabase types: supabase gen types printed no types'
+  });
+});
\ No newline at end of file
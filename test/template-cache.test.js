@@ -0,0 +1,70 @@
+const { test, beforeEach, after } = require('node:test');
+const assert = require('assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+
+const cacheRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'csn-cache-'));
+process.env.CREATE_SUPABASE_NEXT_CACHE = cacheRoot;
+
+const templateCache = require('../lib/template-cache');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Cache a tarball for a ref, as a download would
+ * @param {string} ref - Ref the template was requested at
+ * @param {string} sha - Commit SHA it resolved to
+ * @param {number} [age] - How many milliseconds ago it was fetched
+ * @returns {Promise<void>}
+ */
+async function cacheTemplate(ref, sha, age = 0) {
+  const writer = templateCache.createWriter('owner', 'repo', sha);
+  writer.stream.end(`tarball ${sha}`);
+  await writer.commit(ref);
+
+  const indexPath = path.join(templateCache.getCacheDir(), 'index.json');
+  const index = await fs.readJson(indexPath);
+  const entry = index.entries.find(candidate => candidate.ref === ref && candidate.sha === sha);
+  entry.fetchedAt = new Date(Date.now() - age).toISOString();
+  await fs.writeJson(indexPath, index);
+}
+
+beforeEach(async () => {
+  await templateCache.clean();
+});
+
+after(async () => {
+  await fs.remove(cacheRoot);
+});
+
+test('prune keeps only the latest resolution of each ref', async () => {
+  await cacheTemplate('main', 'aaa', 2 * DAY);
+  await cacheTemplate('main', 'bbb', DAY);
+  await cacheTemplate('v1', 'ccc', 3 * DAY);
+
+  const removed = await templateCache.prune();
+
+  assert.deepStrictEqual(removed.map(entry => entry.sha), ['aaa']);
+  assert.deepStrictEqual((await templateCache.list()).map(entry => entry.sha).sort(), ['bbb', 'ccc']);
+});
+
+test('prune with a maximum age also removes older templates', async () => {
+  await cacheTemplate('main', 'aaa', DAY);
+  await cacheTemplate('v1', 'bbb', 10 * DAY);
+
+  const removed = await templateCache.prune({ maxAge: 5 * DAY });
+
+  assert.deepStrictEqual(removed.map(entry => entry.sha), ['bbb']);
+  assert.deepStrictEqual((await templateCache.list()).map(entry => entry.sha), ['aaa']);
+});
+
+test('prune rejects a maximum age that is not a number, removing nothing', async () => {
+  await cacheTemplate('main', 'aaa', DAY);
+
+  for (const maxAge of [NaN, -1, Infinity]) {
+    await assert.rejects(templateCache.prune({ maxAge }), { code: 'CSN_INVALID_OPTION' });
+  }
+
+  assert.deepStrictEqual((await templateCache.list()).map(entry => entry.sha), ['aaa']);
+});
\ No newline at end of file
@@ -0,0 +1,105 @@
+const { test, before, after } = require('node:test');
+const assert = require('assert');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const tar = require('tar');
+
+const templateDownloader = require('../lib/template-downloader');
+
+let server;
+let baseUrl;
+let archive;
+
+/**
+ * Pack a small template into a gzipped tarball with a top-level folder
+ * @returns {Promise<Buffer>} - Tarball contents
+ */
+async function packTemplate() {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'csn-pack-'));
+
+  try {
+    await fs.outputJson(path.join(dir, 'template', 'package.json'), { name: 'template' });
+    await fs.outputFile(path.join(dir, 'template', 'app', 'page.js'), 'export default function Page() {}\n');
+
+    const chunks = [];
+    for await (const chunk of tar.create({ gzip: true, cwd: dir }, ['template'])) {
+      chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+  } finally {
+    await fs.remove(dir);
+  }
+}
+
+before(async () => {
+  archive = await packTemplate();
+
+  server = http.createServer((request, response) => {
+    if (request.url === '/template.tar.gz') {
+      response.writeHead(200, { 'Content-Length': archive.length });
+      response.end(archive);
+    } else if (request.url === '/moved/template.tar.gz') {
+      response.writeHead(302, { Location: '/template.tar.gz' });
+      response.end();
+    } else if (request.url.startsWith('/loop/')) {
+      // Every hop redirects one level deeper, forever
+      response.writeHead(302, { Location: `/loop${request.url}` });
+      response.end();
+    } else {
+      response.writeHead(404);
+      response.end();
+    }
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+});
+
+test('parseSize reads bytes and human readable sizes', () => {
+  assert.strictEqual(templateDownloader.parseSize(1024), 1024);
+  assert.strictEqual(templateDownloader.parseSize('200MB'), 200 * 1024 * 1024);
+  assert.strictEqual(templateDownloader.parseSize('1.5G'), 1.5 * 1024 ** 3);
+  assert.throws(() => templateDownloader.parseSize('lots'), /Invalid size: lots/);
+});
+
+test('an archive is streamed into the template directory, following a redirect', async () => {
+  const { path: templatePath } = await templateDownloader.downloadTemplate(`${baseUrl}/moved/template.tar.gz`);
+
+  try {
+    assert.deepStrictEqual(await fs.readJson(path.join(templatePath, 'package.json')), { name: 'template' });
+    assert.ok(fs.existsSync(path.join(templatePath, 'app', 'page.js')));
+  } finally {
+    await fs.remove(templatePath);
+  }
+});
+
+test('an archive larger than the maximum size is refused', async () => {
+  await assert.rejects(
+    templateDownloader.downloadTemplate(`${baseUrl}/template.tar.gz`, { maxArchiveSize: archive.length - 1 }),
+    { code: 'CSN_TEMPLATE_TOO_LARGE' }
+  );
+});
+
+test('a missing archive is reported as not found', async () => {
+  await assert.rejects(
+    templateDownloader.downloadTemplate(`${baseUrl}/missing.tar.gz`),
+    { code: 'CSN_TEMPLATE_NOT_FOUND' }
+  );
+});
+
+test('a download gives up after too many redirects', async () => {
+  await assert.rejects(
+    templateDownloader.downloadTemplate(`${baseUrl}/loop/template.tar.gz`),
+    (error) => {
+      assert.strictEqual(error.code, 'CSN_DOWNLOAD_FAILED');
+      assert.match(error.message, /Too many redirects/);
+      return true;
+    }
+  );
+});
\ No newline at end of file
@@ -0,0 +1,68 @@
+const { test, before, after } = require('node:test');
+const assert = require('assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+
+const templateIgnore = require('../lib/template-ignore');
+const templateDownloader = require('../lib/template-downloader');
+
+let templatePath;
+
+before(async () => {
+  templatePath = await fs.mkdtemp(path.join(os.tmpdir(), 'csn-ignore-'));
+  await fs.outputFile(path.join(templatePath, templateIgnore.IGNORE_FILE), '# Template docs\ndocs/\n*.log\n!keep.log\n');
+});
+
+after(async () => {
+  await fs.remove(templatePath);
+});
+
+test('node_modules, .git and the ignore file are skipped, look-alikes are not', () => {
+  const isIgnored = templateIgnore.createIgnoreMatcher(templatePath);
+
+  assert.strictEqual(isIgnored('node_modules', true), true);
+  assert.strictEqual(isIgnored(path.join('packages', 'ui', 'node_modules'), true), true);
+  assert.strictEqual(isIgnored('.git', true), true);
+  assert.strictEqual(isIgnored(templateIgnore.IGNORE_FILE, false), true);
+  assert.strictEqual(isIgnored('.github', true), false);
+  assert.strictEqual(isIgnored('.gitignore', false), false);
+  assert.strictEqual(isIgnored('node_modules_backup.md', false), false);
+});
+
+test('the template\'s ignore file uses gitignore syntax', () => {
+  const isIgnored = templateIgnore.createIgnoreMatcher(templatePath);
+
+  assert.strictEqual(isIgnored('docs', true), true);
+  assert.strictEqual(isIgnored('docs', false), false);
+  assert.strictEqual(isIgnored(path.join('logs', 'debug.log'), false), true);
+  assert.strictEqual(isIgnored('keep.log', false), false);
+});
+
+test('--exclude skips more paths and --include copies ignored ones', () => {
+  const isIgnored = templateIgnore.createIgnoreMatcher(templatePath, {
+    exclude: ['*.test.js'],
+    include: ['install.log']
+  });
+
+  assert.strictEqual(isIgnored(path.join('lib', 'app.test.js'), false), true);
+  assert.strictEqual(isIgnored('install.log', false), false);
+  assert.strictEqual(isIgnored('debug.log', false), true);
+});
+
+test('copyTemplateFiles leaves out the ignored paths', async () => {
+  const destPath = await fs.mkdtemp(path.join(os.tmpdir(), 'csn-copy-'));
+
+  try {
+    await fs.outputFile(path.join(templatePath, 'docs', 'internals.md'), 'Internals');
+    await fs.outputFile(path.join(templatePath, 'node_modules', 'next', 'index.js'), '');
+    await fs.outputFile(path.join(templatePath, '.github', 'workflows', 'ci.yml'), '');
+    await fs.outputFile(path.join(templatePath, 'app', 'page.js'), '');
+
+    await templateDownloader.copyTemplateFiles(templatePath, destPath);
+
+    assert.deepStrictEqual((await fs.readdir(destPath)).sort(), ['.github', 'app']);
+  } finally {
+    await fs.remove(destPath);
+  }
+});
\ No newline at end of file
@@ -0,0 +1,121 @@
+const { test, before } = require('node:test');
+const assert = require('assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+
+const prompter = require('../lib/prompter');
+const templateManifest = require('../lib/template-manifest');
+
+const MANIFEST = {
+  questions: [
+    { name: 'siteTitle', message: 'Site title', default: 'My App', required: true },
+    { name: 'supabaseRef', message: 'Supabase project ref', required: true, pattern: '^[a-z]{20}$' },
+    { name: 'port', type: 'number', default: 3000 },
+    { name: 'authProviders', type: 'checkbox', choices: ['email', 'github'], default: ['email'] }
+  ],
+  files: [
+    { path: 'app/auth/github', when: { authProviders: 'github' } },
+    { path: 'docs/*.md', when: { siteTitle: ['Docs', 'Handbook'] } }
+  ]
+};
+
+/**
+ * Write a template with a manifest and the given files
+ * @param {Object} manifest - Manifest to write
+ * @param {Object} files - File contents keyed by path
+ * @returns {Promise<string>} - Template directory
+ */
+async function createTemplate(manifest, files = {}) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'csn-manifest-'));
+
+  await fs.outputJson(path.join(dir, 'create-supabase-next.json'), manifest);
+  for (const [file, contents] of Object.entries(files)) {
+    await fs.outputFile(path.join(dir, file), contents);
+  }
+
+  return dir;
+}
+
+before(() => {
+  prompter.configure({ nonInteractive: true });
+});
+
+test('loadManifest fills in question types and rejects mistakes', async () => {
+  const dir = await createTemplate(MANIFEST);
+
+  try {
+    const manifest = await templateManifest.loadManifest(dir);
+    assert.strictEqual(manifest.questions[0].type, 'input');
+
+    await fs.outputJson(path.join(dir, 'create-supabase-next.json'), { questions: [{ name: 'site-title' }] });
+    await assert.rejects(templateManifest.loadManifest(dir), { code: 'CSN_TEMPLATE_INVALID' });
+  } finally {
+    await fs.remove(dir);
+  }
+});
+
+test('required questions use their default and only fail without one', async () => {
+  const dir = await createTemplate(MANIFEST);
+
+  try {
+    const manifest = await templateManifest.loadManifest(dir);
+
+    await assert.rejects(templateManifest.askQuestions(manifest), (error) => {
+      assert.strictEqual(error.code, 'CSN_MISSING_ANSWER');
+      assert.match(error.message, /Supabase project ref.*--var supabaseRef=<value>/);
+      return true;
+    });
+
+    assert.deepStrictEqual(await templateManifest.askQuestions(manifest, { supabaseRef: 'abcdefghijklmnopqrst', port: '8080' }), {
+      siteTitle: 'My App',
+      supabaseRef: 'abcdefghijklmnopqrst',
+      port: 8080,
+      authProviders: ['email']
+    });
+  } finally {
+    await fs.remove(dir);
+  }
+});
+
+test('--var answers are checked against the question', async () => {
+  const dir = await createTemplate(MANIFEST);
+
+  try {
+    const manifest = await templateManifest.loadManifest(dir);
+    const answer = variables => templateManifest.askQuestions(manifest, { supabaseRef: 'abcdefghijklmnopqrst', ...variables });
+
+    await assert.rejects(answer({ siteTitle: '' }), { code: 'CSN_INVALID_OPTION', message: 'Site title is required' });
+    await assert.rejects(answer({ supabaseRef: 'ABC' }), { code: 'CSN_INVALID_OPTION', message: /must match/ });
+    await assert.rejects(answer({ port: 'http' }), { code: 'CSN_INVALID_OPTION', message: /Expected a number/ });
+    await assert.rejects(answer({ authProviders: 'email,gitlab' }), { code: 'CSN_INVALID_OPTION', message: /Expected one of: email, github/ });
+  } finally {
+    await fs.remove(dir);
+  }
+});
+
+test('renderProject substitutes placeholders and drops files whose condition fails', async () => {
+  const dir = await createTemplate(MANIFEST, {
+    'app/page.js': 'export const title = \'{{ siteTitle }}\'; // {{ unknown }}',
+    'app/auth/github/page.js': 'GitHub login',
+    'app/auth/email/page.js': 'Email login for {{authProviders}}',
+    'docs/guide.md': 'Guide',
+    'public/{{ projectName }}.svg': '<svg/>',
+    'public/logo.png': Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x00, 0x7b, 0x7b])
+  });
+
+  try {
+    const manifest = await templateManifest.loadManifest(dir);
+    await templateManifest.renderProject(dir, manifest, { projectName: 'my-app', siteTitle: 'My App', authProviders: ['email'] });
+
+    assert.strictEqual(await fs.readFile(path.join(dir, 'app/page.js'), 'utf8'), 'export const title = \'My App\'; // {{ unknown }}');
+    assert.strictEqual(await fs.readFile(path.join(dir, 'app/auth/email/page.js'), 'utf8'), 'Email login for email');
+    assert.ok(fs.existsSync(path.join(dir, 'public/my-app.svg')));
+    assert.ok(fs.existsSync(path.join(dir, 'public/logo.png')));
+    assert.ok(!fs.existsSync(path.join(dir, 'app/auth/github')));
+    assert.ok(!fs.existsSync(path.join(dir, 'docs')));
+    assert.ok(!fs.existsSync(path.join(dir, 'create-supabase-next.json')));
+  } finally {
+    await fs.remove(dir);
+  }
+});
\ No newline at end of file
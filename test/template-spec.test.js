@@ -0,0 +1,53 @@
+const { test } = require('node:test');
+const assert = require('assert');
+
+const templateSpec = require('../lib/template-spec');
+
+/**
+ * Describe a GitHub template source
+ * @param {Object} fields - Fields that differ from a github.com repo at its default branch
+ * @returns {Object} - Template source
+ */
+function github(fields) {
+  return { provider: 'github', host: 'github.com', owner: 'owner', repo: 'repo', ref: null, subdir: '', ...fields };
+}
+
+test('owner/repo and GitHub URLs parse to the default branch', () => {
+  for (const spec of ['owner/repo', 'github:owner/repo', 'https://github.com/owner/repo', 'https://github.com/owner/repo.git', ' github.com/owner/repo/ ']) {
+    assert.deepStrictEqual(templateSpec.parseTemplateSpec(spec), github(), spec);
+  }
+});
+
+test('a ref is read from #<ref> or /tree/<ref>, with an optional subdirectory', () => {
+  assert.deepStrictEqual(templateSpec.parseTemplateSpec('owner/repo#v2.1.0'), github({ ref: 'v2.1.0' }));
+  assert.deepStrictEqual(templateSpec.parseTemplateSpec('https://github.com/owner/repo.git#0123abc'), github({ ref: '0123abc' }));
+  assert.deepStrictEqual(
+    templateSpec.parseTemplateSpec('github.com/owner/repo/tree/main/examples/with-auth'),
+    github({ ref: 'main', subdir: 'examples/with-auth' })
+  );
+});
+
+test('a ref given both with /tree/ and with # is refused', () => {
+  assert.throws(
+    () => templateSpec.parseTemplateSpec('https://github.com/owner/repo/tree/main#v2'),
+    (error) => {
+      assert.strictEqual(error.code, 'CSN_INVALID_OPTION');
+      assert.match(error.message, /not both/);
+      return true;
+    }
+  );
+});
+
+test('a specifier no provider understands is refused', () => {
+  for (const spec of ['repo', 'owner/repo/extra', 'ftp://example.com/template']) {
+    assert.throws(() => templateSpec.parseTemplateSpec(spec), { code: 'CSN_INVALID_OPTION' }, spec);
+  }
+});
+
+test('formatTemplateSpec and toExampleUrl keep the ref and subdirectory', () => {
+  const source = github({ ref: 'main', subdir: 'examples/with-auth' });
+
+  assert.strictEqual(templateSpec.formatTemplateSpec(source), 'owner/repo#main:examples/with-auth');
+  assert.strictEqual(templateSpec.toExampleUrl(source), 'https://github.com/owner/repo/tree/main/examples/with-auth');
+  assert.strictEqual(templateSpec.toExampleUrl(github()), 'https://github.com/owner/repo');
+});
\ No newline at end of file
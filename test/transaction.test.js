@@ -0,0 +1,82 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+
+const transaction = require('../lib/transaction');
+const { runCli } = require('./helpers');
+
+let dir;
+let projectPath;
+
+beforeEach(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'csn-transaction-'));
+  projectPath = path.join(dir, 'app');
+});
+
+afterEach(async () => {
+  await fs.remove(dir);
+});
+
+test('a new project is removed on rollback', async () => {
+  transaction.begin({ projectPath, existed: false });
+  await fs.outputFile(path.join(projectPath, 'package.json'), '{}');
+
+  await transaction.rollback();
+
+  assert.deepStrictEqual(await fs.readdir(dir), []);
+});
+
+test('a new project is moved aside with --on-failure quarantine, and left with keep', async () => {
+  transaction.begin({ projectPath, existed: false, onFailure: 'quarantine' });
+  await fs.outputFile(path.join(projectPath, 'package.json'), '{}');
+  await transaction.rollback();
+
+  const [quarantined] = await fs.readdir(dir);
+  assert.match(quarantined, /^app\.partial-/);
+  assert.ok(fs.existsSync(path.join(dir, quarantined, 'package.json')));
+
+  transaction.begin({ projectPath, existed: false, onFailure: 'keep' });
+  await fs.outputFile(path.join(projectPath, 'package.json'), '{}');
+  await transaction.rollback();
+
+  assert.ok(fs.existsSync(path.join(projectPath, 'package.json')));
+});
+
+test('in an existing directory, only the tracked changes are undone', async () => {
+  await fs.outputFile(path.join(projectPath, 'notes.md'), 'mine');
+  await fs.outputFile(path.join(projectPath, 'package.json'), 'original');
+
+  transaction.begin({ projectPath, existed: true });
+  await fs.outputFile(path.join(projectPath, 'app', 'page.js'), 'template');
+  transaction.trackCreated(path.join(projectPath, 'app'));
+  await transaction.trackReplaced(path.join(projectPath, 'package.json'));
+  await fs.outputFile(path.join(projectPath, 'package.json'), 'template');
+
+  await transaction.rollback();
+
+  assert.deepStrictEqual((await fs.readdir(projectPath)).sort(), ['notes.md', 'package.json']);
+  assert.strictEqual(await fs.readFile(path.join(projectPath, 'package.json'), 'utf8'), 'original');
+});
+
+test('a committed transaction is not rolled back', async () => {
+  transaction.begin({ projectPath, existed: false });
+  await fs.outputFile(path.join(projectPath, 'package.json'), '{}');
+
+  await transaction.commit();
+  await transaction.rollback();
+
+  assert.ok(fs.existsSync(path.join(projectPath, 'package.json')));
+});
+
+test('a scaffold that fails before the files are copied leaves no project behind', () => {
+  const { status, result } = runCli(
+    ['app', '--template', 'file:./missing.tgz', '--skip-dependency-check', '--supabase', 'skip', '--package-manager', 'npm'],
+    { cwd: dir }
+  );
+
+  assert.strictEqual(status, 20);
+  assert.strictEqual(result.error.code, 'CSN_TEMPLATE_NOT_FOUND');
+  assert.ok(!fs.existsSync(projectPath));
+});
\ No newline at end of file